@@ -0,0 +1,237 @@
+/**
+ * Bots Module
+ * Headless opponents that play through the same game logic API as sockets
+ */
+
+const { findBestHand, estimateEquity } = require('./pokerEval');
+const { ACTIONS, LIAR_ACTIONS, getAvailableActions, getSeat, getHighestCommitted } = require('./gameLogic');
+const { MATCHING_CARDS, MAX_CLAIM_CARDS, matchesTableCard } = require('./liarsDeck');
+
+const DEFAULT_THINK_TIME = { minMs: 800, maxMs: 2200 };
+const EQUITY_SIMULATIONS = 200;
+
+// Liar's Deck: how readily each strategy calls a claim it doubts (1 = as often as it doubts it)
+const LIAR_SUSPICION = { random: 0, tightPassive: 0.6, equity: 1 };
+const RANDOM_LIAR_CALL = 0.3; // Random bots call this often regardless of the claim
+
+/**
+ * Everything a strategy may look at (only what the bot's seat can see)
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Bot's seat
+ * @returns {Object} Decision context
+ */
+function getBotContext(gameState, role) {
+  const seat = getSeat(gameState, role);
+  const opponentCommitted = getHighestCommitted(gameState);
+
+  return {
+    hand: seat.hand,
+    communityCards: gameState.communityCards,
+    availableActions: getAvailableActions(gameState),
+    bullets: seat.bullets,
+    committed: seat.committed,
+    opponentCommitted, // Biggest commitment at the table
+    opponents: gameState.seats.filter(other => other !== seat && other.inHand && !other.folded).length,
+    toCall: Math.max(0, opponentCommitted - seat.committed),
+    rules: gameState.rules
+  };
+}
+
+/**
+ * Pick the first action in the preference list that is available
+ * @param {Array} available - Available actions
+ * @param {Array} preferences - Actions in order of preference
+ * @returns {String} Chosen action
+ */
+function prefer(available, preferences) {
+  return preferences.find(action => available.includes(action)) || available[0];
+}
+
+/**
+ * Rough preflop strength of two hole cards, 0..1
+ * (Omaha hands are judged by their two best cards)
+ * @param {Array} hand - Hole cards
+ * @returns {Number} Strength
+ */
+function preflopStrength(hand) {
+  const [high, low] = hand.map(c => c.value).sort((a, b) => b - a);
+  let score = (high + low - 4) / 24; // 0 for 2-2 .. 1 for A-A before bonuses
+  if (high === low) score += 0.3;
+  if (hand[0].suit === hand[1].suit) score += 0.05;
+  if (high - low === 1) score += 0.05;
+  return Math.min(1, score);
+}
+
+// Strategies: (context, random) => action
+const STRATEGIES = {
+  /**
+   * Random: any legal action, folding only occasionally
+   */
+  random: (ctx, random) => {
+    const weighted = ctx.availableActions.flatMap(action => {
+      if (action === ACTIONS.FOLD) return ctx.toCall > 0 ? [action] : [];
+      if (action === ACTIONS.ALL_IN) return random() < 0.3 ? [action] : [];
+      return [action, action, action];
+    });
+    const choices = weighted.length > 0 ? weighted : ctx.availableActions;
+    return choices[Math.floor(random() * choices.length)];
+  },
+
+  /**
+   * Tight/passive: plays few hands, never raises, calls with made hands
+   */
+  tightPassive: (ctx) => {
+    const { availableActions: available } = ctx;
+    const strength = ctx.communityCards.length === 0
+      ? preflopStrength(ctx.hand)
+      : (findBestHand(ctx.hand, ctx.communityCards, ctx.rules.gameMode).rank - 1) / 4;
+
+    if (ctx.toCall === 0) {
+      return prefer(available, strength >= 0.5 ? [ACTIONS.BET, ACTIONS.CHECK] : [ACTIONS.CHECK]);
+    }
+    if (strength >= 0.45 && ctx.toCall <= 2) {
+      return prefer(available, [ACTIONS.CALL, ACTIONS.CHECK, ACTIONS.FOLD]);
+    }
+    if (strength >= 0.75) {
+      return prefer(available, [ACTIONS.CALL, ACTIONS.ALL_IN, ACTIONS.FOLD]);
+    }
+    return prefer(available, [ACTIONS.CHECK, ACTIONS.FOLD]);
+  },
+
+  /**
+   * Equity-aware: simulates the board and bets bullets in line with its chances
+   */
+  equity: (ctx, random) => {
+    const { availableActions: available } = ctx;
+    const odds = estimateEquity(ctx.hand, ctx.communityCards, {
+      opponents: ctx.opponents,
+      variant: ctx.rules.gameMode,
+      iterations: EQUITY_SIMULATIONS,
+      random
+    });
+    const equity = (odds.win + odds.tie / 2) / 100;
+
+    // Risk of calling: the extra death odds taken on if we lose
+    const risk = ctx.toCall / ctx.rules.chambers;
+
+    if (equity >= 0.85) {
+      return prefer(available, [ACTIONS.RAISE, ACTIONS.BET, ACTIONS.ALL_IN, ACTIONS.CALL, ACTIONS.CHECK]);
+    }
+    if (equity >= 0.65) {
+      return prefer(available, [ACTIONS.RAISE, ACTIONS.BET, ACTIONS.CALL, ACTIONS.CHECK]);
+    }
+    if (ctx.toCall === 0) {
+      return prefer(available, equity >= 0.5 ? [ACTIONS.BET, ACTIONS.CHECK] : [ACTIONS.CHECK]);
+    }
+    if (equity - risk >= 0.35) {
+      return prefer(available, [ACTIONS.CALL, ACTIONS.FOLD]);
+    }
+    return prefer(available, [ACTIONS.CHECK, ACTIONS.FOLD]);
+  }
+};
+
+/**
+ * Create a bot descriptor
+ * @param {Object} options - { strategy, thinkTime: { minMs, maxMs } }
+ * @returns {Object} Bot { strategy, thinkTime }
+ */
+function createBot({ strategy = 'equity', thinkTime } = {}) {
+  if (!isStrategy(strategy)) {
+    throw new Error(`Unknown bot strategy: ${strategy}`);
+  }
+
+  const minMs = Math.max(0, thinkTime?.minMs ?? DEFAULT_THINK_TIME.minMs);
+  const maxMs = Math.max(minMs, thinkTime?.maxMs ?? DEFAULT_THINK_TIME.maxMs);
+  return { strategy, thinkTime: { minMs, maxMs } };
+}
+
+/**
+ * Pick an action for a bot's seat
+ * @param {Object} bot - Bot descriptor
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Bot's seat
+ * @param {Function} random - RNG returning 0..1
+ * @returns {String} Action from ACTIONS
+ */
+function decideAction(bot, gameState, role, random = Math.random) {
+  const ctx = getBotContext(gameState, role);
+  return STRATEGIES[bot.strategy](ctx, random);
+}
+
+/**
+ * Pick a Liar's Deck move for a bot's seat: call a claim that needs more
+ * table cards than the bot can't see, otherwise lay table cards it holds,
+ * or bluff with a single card when it holds none
+ * @param {Object} bot - Bot descriptor
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Bot's seat
+ * @param {Function} random - RNG returning 0..1
+ * @returns {Object} { action, cards } (cards: hand indexes to lay for PLAY)
+ */
+function decideLiarAction(bot, gameState, role, random = Math.random) {
+  const { hand } = getSeat(gameState, role);
+  const { tableCard, lastClaim } = gameState.liar;
+  const available = getAvailableActions(gameState);
+  const matching = hand.map((card, index) => index).filter(index => matchesTableCard(hand[index], tableCard));
+
+  if (!available.includes(LIAR_ACTIONS.PLAY)) {
+    return { action: LIAR_ACTIONS.LIAR };
+  }
+
+  if (available.includes(LIAR_ACTIONS.LIAR)) {
+    const doubt = Math.min(0.9, lastClaim.cards.length / Math.max(1, MATCHING_CARDS - matching.length) +
+      (matching.length === 0 ? 0.2 : 0));
+    const callChance = bot.strategy === 'random' ? RANDOM_LIAR_CALL : doubt * (LIAR_SUSPICION[bot.strategy] ?? 1);
+    if (random() < callChance) {
+      return { action: LIAR_ACTIONS.LIAR };
+    }
+  }
+
+  if (matching.length > 0 && bot.strategy !== 'random') {
+    const count = 1 + Math.floor(random() * Math.min(MAX_CLAIM_CARDS, matching.length));
+    return { action: LIAR_ACTIONS.PLAY, cards: matching.slice(0, count) };
+  }
+  return { action: LIAR_ACTIONS.PLAY, cards: [Math.floor(random() * hand.length)] };
+}
+
+/**
+ * How long the bot "thinks" before acting
+ * @param {Object} bot - Bot descriptor
+ * @param {Function} random - RNG returning 0..1
+ * @returns {Number} Delay in ms
+ */
+function getThinkTime(bot, random = Math.random) {
+  const { minMs, maxMs } = bot.thinkTime;
+  return Math.round(minMs + random() * (maxMs - minMs));
+}
+
+/**
+ * Check a name is a registered strategy (not something inherited from Object)
+ * @param {String} name - Strategy key
+ * @returns {Boolean}
+ */
+function isStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+/**
+ * Register a custom strategy
+ * @param {String} name - Strategy key
+ * @param {Function} strategy - (context, random) => action
+ */
+function registerStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error('Bot strategy must be a function');
+  }
+  STRATEGIES[name] = strategy;
+}
+
+module.exports = {
+  STRATEGIES,
+  isStrategy,
+  createBot,
+  decideAction,
+  decideLiarAction,
+  getThinkTime,
+  registerStrategy
+};
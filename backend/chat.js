@@ -0,0 +1,218 @@
+/**
+ * Chat Module
+ * Per-table chat with player and viewer channels, quick emotes,
+ * rate limiting, a profanity filter and host mutes
+ */
+
+const { isSeatRole } = require('./gameLogic');
+
+// Channels: players talk at the table, viewers talk among themselves
+const CHANNELS = {
+  PLAYERS: 'players',
+  VIEWERS: 'viewers'
+};
+
+// Quick emotes: key -> text shown in chat
+const EMOTES = {
+  nice_hand: '👏 Nice hand',
+  bluff: '🃏 Smells like a bluff',
+  call_me: '😏 Call me if you dare',
+  lucky: '🍀 Lucky river...',
+  thinking: '🤔 Hmm...',
+  scared: '😰 My hands are shaking',
+  gg: '🤝 GG'
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+const MAX_HISTORY = 200;
+
+// Rate limit: at most RATE_LIMIT_COUNT messages per RATE_LIMIT_WINDOW_MS per sender
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW_MS = 10000;
+
+const PROFANITY = ['fuck', 'shit', 'bitch', 'asshole', 'cunt', 'dick', 'bastard', 'whore', 'slut'];
+const PROFANITY_PATTERN = new RegExp(`\\b(?:${PROFANITY.join('|')})\\w*`, 'gi');
+
+let nextMessageId = 1;
+
+/**
+ * Create the chat of a table
+ * @returns {Object} Chat state
+ */
+function createChat() {
+  return {
+    messages: [],       // History for the current match
+    muted: new Set(),   // Sender keys muted by the host
+    banned: new Set(),  // Sender keys kicked by the host
+    recent: new Map()   // Sender key -> timestamps of recent messages
+  };
+}
+
+/**
+ * Mask profanity with asterisks
+ * @param {String} text - Message text
+ * @returns {String} Filtered text
+ */
+function filterProfanity(text) {
+  return text.replace(PROFANITY_PATTERN, word => '*'.repeat(word.length));
+}
+
+/**
+ * Which channel a role writes to
+ * @param {String} role - Seat role ('player1'..), 'viewer' or 'spectator_delayed'
+ * @returns {String} Channel
+ */
+function getChannel(role) {
+  return isSeatRole(role) ? CHANNELS.PLAYERS : CHANNELS.VIEWERS;
+}
+
+/**
+ * Whether a role may read a channel (players never see the viewer channel)
+ * @param {String} role - Reader's role
+ * @param {String} channel - Message channel
+ * @returns {Boolean}
+ */
+function canRead(role, channel) {
+  return channel === CHANNELS.PLAYERS || getChannel(role) === CHANNELS.VIEWERS;
+}
+
+/**
+ * Record a message against the sender's rate limit
+ * @param {Object} chat - Chat state
+ * @param {String} senderKey - Stable sender key
+ * @param {Number} now - Current time in ms
+ * @returns {Boolean} true if the message may be sent
+ */
+function checkRateLimit(chat, senderKey, now = Date.now()) {
+  const recent = (chat.recent.get(senderKey) || []).filter(at => now - at < RATE_LIMIT_WINDOW_MS);
+  if (recent.length >= RATE_LIMIT_COUNT) {
+    chat.recent.set(senderKey, recent);
+    return false;
+  }
+  recent.push(now);
+  chat.recent.set(senderKey, recent);
+  return true;
+}
+
+/**
+ * Validate, filter and store a chat message
+ * @param {Object} chat - Chat state
+ * @param {Object} sender - { key, id, nickname, role }
+ * @param {Object} content - { text } or { emote }
+ * @returns {Object} { success, message, chatMessage }
+ */
+function postMessage(chat, sender, { text, emote } = {}) {
+  if (chat.muted.has(sender.key)) {
+    return { success: false, message: 'You are muted' };
+  }
+
+  let body;
+  if (emote !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(EMOTES, emote)) {
+      return { success: false, message: 'Unknown emote' };
+    }
+    body = EMOTES[emote];
+  } else {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return { success: false, message: 'Message is empty' };
+    }
+    body = filterProfanity(text.trim().slice(0, MAX_MESSAGE_LENGTH));
+  }
+
+  if (!checkRateLimit(chat, sender.key)) {
+    return { success: false, message: 'Slow down: too many messages' };
+  }
+
+  const chatMessage = {
+    id: nextMessageId++,
+    channel: getChannel(sender.role),
+    senderId: sender.id,
+    nickname: sender.nickname,
+    role: sender.role,
+    text: body,
+    emote: emote !== undefined ? emote : null,
+    at: Date.now()
+  };
+
+  storeMessage(chat, chatMessage);
+  return { success: true, chatMessage };
+}
+
+/**
+ * Add a system notice (mute, kick) visible to everyone
+ * @param {Object} chat - Chat state
+ * @param {String} text - Notice
+ * @returns {Object} Chat message
+ */
+function postNotice(chat, text) {
+  const chatMessage = {
+    id: nextMessageId++,
+    channel: CHANNELS.PLAYERS,
+    senderId: null,
+    nickname: null,
+    role: 'system',
+    text,
+    emote: null,
+    at: Date.now()
+  };
+  storeMessage(chat, chatMessage);
+  return chatMessage;
+}
+
+/**
+ * Add a message to the history, dropping the oldest past MAX_HISTORY
+ * @param {Object} chat - Chat state
+ * @param {Object} chatMessage - Message
+ */
+function storeMessage(chat, chatMessage) {
+  chat.messages.push(chatMessage);
+  if (chat.messages.length > MAX_HISTORY) {
+    chat.messages.shift();
+  }
+}
+
+/**
+ * Messages of the current match a role may read
+ * @param {Object} chat - Chat state
+ * @param {String} role - Reader's role
+ * @returns {Array} Messages, oldest first
+ */
+function getChatHistory(chat, role) {
+  return chat.messages.filter(message => canRead(role, message.channel));
+}
+
+/**
+ * Mute or unmute a sender
+ * @param {Object} chat - Chat state
+ * @param {String} senderKey - Stable sender key
+ * @param {Boolean} muted - Mute state
+ */
+function setMuted(chat, senderKey, muted) {
+  if (muted) {
+    chat.muted.add(senderKey);
+  } else {
+    chat.muted.delete(senderKey);
+  }
+}
+
+/**
+ * Forget the history when a new match starts (mutes and bans stay)
+ * @param {Object} chat - Chat state
+ */
+function clearChat(chat) {
+  chat.messages = [];
+  chat.recent.clear();
+}
+
+module.exports = {
+  CHANNELS,
+  EMOTES,
+  createChat,
+  filterProfanity,
+  canRead,
+  postMessage,
+  postNotice,
+  getChatHistory,
+  setMuted,
+  clearChat
+};
@@ -0,0 +1,246 @@
+/**
+ * Fairness Module
+ * Commit-reveal seeds: the server publishes a hash of its seed before a hand,
+ * players add client seeds, and an HMAC-SHA256 stream of both drives the
+ * shuffle and the roulette roll. The seed is revealed once the hand is over.
+ * Each table derives its server seeds from a secret of its own, so a table
+ * rebuilt from its event log deals the same cards (see gameEvents.js).
+ */
+
+const crypto = require('crypto');
+const { createDeck, shuffleDeck } = require('./pokerEval');
+const { MAX_PLAYERS } = require('./rules');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+/**
+ * SHA-256 commitment to a server seed
+ * @param {String} serverSeed - Server seed (hex)
+ * @returns {String} Hash (hex)
+ */
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * Derive the table's next server seed with its published hash
+ * @param {Object} fairness - Fairness state (its seed counter moves on)
+ * @returns {Object} { serverSeed, serverSeedHash }
+ */
+function createCommitment(fairness) {
+  const serverSeed = crypto.createHmac('sha256', fairness.secret)
+    .update(`server-seed:${fairness.seeds++}`)
+    .digest('hex');
+  return { serverSeed, serverSeedHash: hashServerSeed(serverSeed) };
+}
+
+/**
+ * Deterministic CSPRNG: HMAC-SHA256(serverSeed, "clientSeed:nonce:purpose:counter")
+ * Each 32-byte block yields eight 32-bit floats
+ * @param {String} serverSeed - Server seed
+ * @param {String} clientSeed - Combined client seed
+ * @param {Number} nonce - Hand number
+ * @param {String} purpose - Separate stream per use ('shuffle', 'roll')
+ * @returns {Function} () => float in [0, 1)
+ */
+function createFairRandom(serverSeed, clientSeed, nonce, purpose) {
+  let counter = 0;
+  let block = null;
+  let offset = 32;
+
+  return function random() {
+    if (offset === 32) {
+      block = crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${purpose}:${counter++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset) / 4294967296;
+    offset += 4;
+    return value;
+  };
+}
+
+/**
+ * Deck for a hand, in the order the game holds it (cards are dealt from the end)
+ * @param {Object} seed - { serverSeed, clientSeed, nonce }
+ * @param {Array} cards - Unshuffled deck (default: the 52-card deck)
+ * @returns {Array} Shuffled deck
+ */
+function getDeck({ serverSeed, clientSeed, nonce }, cards = createDeck()) {
+  return shuffleDeck(cards, createFairRandom(serverSeed, clientSeed, nonce, 'shuffle'));
+}
+
+/**
+ * Stream for a hand's private draws (switch options)
+ * Keyed by the table secret rather than the hand's server seed, so revealing
+ * the seed doesn't tell anyone which cards a player was offered
+ * @param {Object} fairness - Fairness state (with a locked hand seed)
+ * @param {String} purpose - Separate stream per use
+ * @returns {Function} () => float in [0, 1)
+ */
+function createPrivateRandom(fairness, purpose) {
+  const { serverSeed, clientSeed, nonce } = fairness.hand;
+  const key = crypto.createHmac('sha256', fairness.secret).update(`private:${serverSeed}`).digest('hex');
+  return createFairRandom(key, clientSeed, nonce, purpose);
+}
+
+/**
+ * Swap a hole card for a card still in the deck
+ * The taken card leaves the deck and the discarded one goes to the bottom,
+ * so nobody sees it dealt as a board card before the rest of the deck
+ * @param {Array} deck - Deck in game order (changed in place)
+ * @param {Object} oldCard - Card given up
+ * @param {Object} newCard - Card taken
+ * @returns {Object|null} Card taken from the deck, or null if it isn't in it
+ */
+function applySwitch(deck, oldCard, newCard) {
+  const index = deck.findIndex(c => c.rank === newCard.rank && c.suit === newCard.suit);
+  if (index === -1) return null;
+
+  const [taken] = deck.splice(index, 1);
+  deck.unshift(oldCard);
+  return taken;
+}
+
+/**
+ * Roulette roll for a shot of a hand (death if roll < death probability)
+ * Every loser of a hand shoots in turn, each with the next float of the stream
+ * @param {Object} seed - { serverSeed, clientSeed, nonce }
+ * @param {Number} shot - Index of the shot in the hand (0 for the first loser)
+ * @returns {Number} Roll in [0, 1)
+ */
+function getRoll({ serverSeed, clientSeed, nonce }, shot = 0) {
+  const random = createFairRandom(serverSeed, clientSeed, nonce, 'roll');
+  let roll = random();
+  for (let i = 0; i < shot; i++) {
+    roll = random();
+  }
+  return roll;
+}
+
+/**
+ * Combine the seated players' client seeds (missing seeds count as empty)
+ * @param {Array} seeds - Client seeds in seat order
+ * @returns {String} Combined client seed
+ */
+function combineClientSeeds(seeds) {
+  return seeds.map(seed => seed || '').join(':');
+}
+
+/**
+ * Check a client seed is acceptable
+ * @param {*} seed - Seed sent by a client
+ * @returns {Boolean}
+ */
+function isValidClientSeed(seed) {
+  return typeof seed === 'string' && seed.length <= MAX_CLIENT_SEED_LENGTH && !seed.includes(':');
+}
+
+/**
+ * Create a random table secret for createFairnessState
+ * @returns {String} Secret (hex)
+ */
+function createTableSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Fairness state for a table: the committed seed for the next hand,
+ * the seed locked for the hand in play and the last revealed seed
+ * @param {String} secret - Secret the table's server seeds derive from (never sent to clients)
+ * @returns {Object} Fairness state
+ */
+function createFairnessState(secret = createTableSecret()) {
+  const fairness = {
+    secret,
+    seeds: 0,       // Server seeds derived so far
+    next: null,
+    hand: null,     // { serverSeed, serverSeedHash, clientSeed, nonce }
+    revealed: null  // Same shape, seed of the last finished hand
+  };
+  fairness.next = createCommitment(fairness);
+  return fairness;
+}
+
+/**
+ * Lock the committed seed for a new hand
+ * @param {Object} fairness - Fairness state
+ * @param {String} clientSeed - Combined client seed
+ * @param {Number} nonce - Hand number
+ * @returns {Object} Locked hand seed
+ */
+function lockHandSeed(fairness, clientSeed, nonce) {
+  fairness.hand = { ...fairness.next, clientSeed, nonce };
+  fairness.next = null;
+  return fairness.hand;
+}
+
+/**
+ * Reveal the seed of the hand that just ended and commit to the next one
+ * @param {Object} fairness - Fairness state
+ * @returns {Object|null} Revealed seed, or null if no hand was locked
+ */
+function revealHandSeed(fairness) {
+  if (!fairness.hand) return null;
+
+  fairness.revealed = fairness.hand;
+  fairness.hand = null;
+  fairness.next = createCommitment(fairness);
+  return fairness.revealed;
+}
+
+/**
+ * Fairness state as sent to clients (never includes an unrevealed seed)
+ * @param {Object} fairness - Fairness state
+ * @returns {Object} { nextServerSeedHash, hand, revealed }
+ */
+function getPublicFairness(fairness) {
+  const { hand, next, revealed } = fairness;
+  return {
+    nextServerSeedHash: next ? next.serverSeedHash : null,
+    hand: hand ? { serverSeedHash: hand.serverSeedHash, clientSeed: hand.clientSeed, nonce: hand.nonce } : null,
+    revealed
+  };
+}
+
+/**
+ * Recompute a hand from its revealed seed
+ * Switches made during the hand are replayed on the deck: each taken card
+ * leaves the deal order and each discarded card is added at its end
+ * @param {Object} seed - { serverSeed, clientSeed, nonce, serverSeedHash (optional, checked if given) }
+ * @param {Array} cards - Unshuffled deck of the table's game (default: the 52-card deck)
+ * @param {Array} switches - { oldCard, newCard } in the order they were made
+ * @returns {Object} { serverSeedHash, hashMatches, dealOrder, roll, rolls (one per seat of the biggest table) }
+ */
+function verifyHand({ serverSeed, clientSeed = '', nonce, serverSeedHash }, cards = createDeck(), switches = []) {
+  const seed = { serverSeed, clientSeed, nonce };
+  const computedHash = hashServerSeed(serverSeed);
+  const deck = getDeck(seed, cards);
+  switches.forEach(({ oldCard, newCard }) => applySwitch(deck, oldCard, newCard));
+
+  return {
+    serverSeedHash: computedHash,
+    hashMatches: serverSeedHash ? computedHash === serverSeedHash.toLowerCase() : null,
+    dealOrder: deck.reverse(), // First card dealt first
+    roll: getRoll(seed),
+    rolls: Array.from({ length: MAX_PLAYERS }, (_, shot) => getRoll(seed, shot))
+  };
+}
+
+module.exports = {
+  hashServerSeed,
+  createFairRandom,
+  getDeck,
+  createPrivateRandom,
+  applySwitch,
+  getRoll,
+  combineClientSeeds,
+  isValidClientSeed,
+  createTableSecret,
+  createFairnessState,
+  lockHandSeed,
+  revealHandSeed,
+  getPublicFairness,
+  verifyHand
+};
@@ -0,0 +1,310 @@
+/**
+ * Game Events Module
+ * Every change to a table is an event applied by a reducer. Events are
+ * appended to a per-table log on disk, with a snapshot every so often, so
+ * live tables can be rebuilt after a restart and any table can be audited.
+ * Hand histories come out of the same events (the reducers fill the hand log).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  runAt,
+  isSeatRole,
+  createGameState,
+  getPlayer,
+  addPlayer,
+  removePlayer,
+  disconnectPlayer,
+  reconnectPlayer,
+  dropConnections,
+  resetGame,
+  startNewHand,
+  continueAfterTie,
+  processAction,
+  processLiarAction,
+  continueAfterReveal,
+  requestSwitchOptions,
+  executeSwitch,
+  executeShoot,
+  forfeitMatch,
+  setClientSeed,
+  startTurnClock,
+  handleTurnTimeout
+} = require('./gameLogic');
+
+// Where logs and snapshots are kept ('off' keeps tables in memory only)
+const EVENT_LOG_DIR = process.env.EVENT_LOG_DIR || path.join(__dirname, 'data', 'tables');
+const PERSISTED = EVENT_LOG_DIR !== 'off';
+const CLOSED_DIR = path.join(EVENT_LOG_DIR, 'closed');
+
+// A snapshot is taken when a hand starts once this many events were logged since the last one
+const SNAPSHOT_INTERVAL = Number(process.env.SNAPSHOT_INTERVAL) || 200;
+
+// Event data that stays on the server (audits get it redacted)
+const PRIVATE_FIELDS = ['fairnessSecret', 'sessionToken'];
+
+// Connection ids in event data: chat moderation targets them, so audits get a per-table alias
+const CONNECTION_FIELDS = ['socketId', 'botId'];
+
+// Reducers: (room, data, event) => result
+// A result with success: false means the event was rejected and changed nothing
+const REDUCERS = {
+  room_created: (room, { name, rules, fairnessSecret }, event) => {
+    room.name = name;
+    room.createdAt = event.at;
+    room.gameState = createGameState(rules, fairnessSecret);
+  },
+  room_closed: () => {},
+
+  // Seats and connections
+  player_joined: (room, { socketId, nickname, sessionToken, profileId }) =>
+    addPlayer(room.gameState, socketId, nickname, sessionToken, { profileId }),
+  player_left: (room, { socketId }) => removePlayer(room.gameState, socketId),
+  player_disconnected: (room, { socketId }) => disconnectPlayer(room.gameState, socketId),
+  player_reconnected: (room, { sessionToken, socketId }) => reconnectPlayer(room.gameState, sessionToken, socketId),
+  bot_added: (room, { botId, nickname, bot }) => {
+    const role = addPlayer(room.gameState, botId, nickname, null, { isBot: true });
+    if (!role) return { success: false, message: 'No free seat for a bot' };
+    room.bots[role] = bot;
+    return role;
+  },
+  bot_removed: (room, { role }) => {
+    if (!isSeatRole(role) || !Object.prototype.hasOwnProperty.call(room.bots, role)) {
+      return { success: false, message: 'No bot in that seat' };
+    }
+    removePlayer(room.gameState, getPlayer(room.gameState, role).socketId);
+    delete room.bots[role];
+  },
+  table_restored: room => dropConnections(room.gameState),
+  client_seed_set: (room, { role, seed }) => setClientSeed(room.gameState, role, seed),
+
+  // Hands (antes, blinds and the deal are part of the hand start)
+  game_reset: room => resetGame(room.gameState),
+  hand_started: (room, { replay = false }) => startNewHand(room.gameState, replay),
+  turn_clock_started: room => startTurnClock(room.gameState),
+  action: (room, { role, action, amount }) => processAction(room.gameState, role, action, amount),
+  turn_timeout: room => handleTurnTimeout(room.gameState),
+  switch_requested: (room, { role }) => requestSwitchOptions(room.gameState, role),
+  switch: (room, { role, cardIndex, optionIndex }) => executeSwitch(room.gameState, role, cardIndex, optionIndex),
+  tie_settled: room => continueAfterTie(room.gameState),
+  liar_action: (room, { role, action, cards }) => processLiarAction(room.gameState, role, action, cards),
+  reveal_settled: room => continueAfterReveal(room.gameState),
+  shot: room => executeShoot(room.gameState),
+  match_forfeited: (room, { role }) => forfeitMatch(room.gameState, role),
+
+  // Rating changes come from the profile database, the event keeps them with the match
+  match_rated: (room, { ratings }) => {
+    room.gameState.match.ratings = ratings;
+  }
+};
+
+const EVENT_TYPES = Object.keys(REDUCERS);
+
+/**
+ * Paths of a table's log and snapshot
+ * @param {String} code - Room code
+ * @returns {Object} { log, snapshot }
+ */
+function getTableFiles(code) {
+  return {
+    log: path.join(EVENT_LOG_DIR, `${code}.events.jsonl`),
+    snapshot: path.join(EVENT_LOG_DIR, `${code}.snapshot.json`)
+  };
+}
+
+/**
+ * Sequence number of the last event applied to a room
+ * @param {Object} room - Room
+ * @returns {Number} Sequence number (0 before the first event)
+ */
+function getLastSeq(room) {
+  return room.events.length > 0 ? room.events[room.events.length - 1].seq : room.snapshotSeq;
+}
+
+/**
+ * Apply an event to a room through its reducer
+ * @param {Object} room - Room
+ * @param {Object} event - { seq, type, at, data }
+ * @returns {*} Reducer result
+ */
+function applyEvent(room, event) {
+  const reducer = REDUCERS[event.type];
+  if (!reducer) {
+    throw new Error(`Unknown event type: ${event.type}`);
+  }
+  return runAt(event.at, () => reducer(room, event.data, event));
+}
+
+/**
+ * Save the room's state as of its last event, then drop the events it covers
+ * from memory and from the log
+ * @param {Object} room - Room
+ */
+function writeSnapshot(room) {
+  room.snapshotSeq = getLastSeq(room);
+  room.events = [];
+  if (!PERSISTED) return;
+
+  const files = getTableFiles(room.code);
+  const snapshot = {
+    seq: room.snapshotSeq,
+    code: room.code,
+    name: room.name,
+    createdAt: room.createdAt,
+    // Logged hand events were already recorded, replaying later events logs them again
+    gameState: { ...room.gameState, handLog: [] },
+    bots: room.bots
+  };
+
+  // Write then rename so a crash never leaves half a snapshot. A crash before
+  // the log is emptied only leaves events the restore skips
+  fs.writeFileSync(`${files.snapshot}.tmp`, JSON.stringify(snapshot));
+  fs.renameSync(`${files.snapshot}.tmp`, files.snapshot);
+  fs.writeFileSync(files.log, '');
+}
+
+/**
+ * Apply a change to a room as an event and log it
+ * Rejected events (success: false) change nothing and are not logged
+ * @param {Object} room - Room
+ * @param {String} type - Event type (see EVENT_TYPES)
+ * @param {Object} data - Event data (plain JSON)
+ * @returns {*} Reducer result
+ */
+function dispatch(room, type, data = {}) {
+  const event = { seq: getLastSeq(room) + 1, type, at: Date.now(), data };
+
+  // Snapshots are taken between hands so replaying the events after one
+  // always starts with a whole hand
+  if (type === 'hand_started' && event.seq - 1 - room.snapshotSeq >= SNAPSHOT_INTERVAL) {
+    writeSnapshot(room);
+  }
+
+  const result = applyEvent(room, event);
+  if (result?.success === false) return result;
+
+  room.events.push(event);
+  if (PERSISTED) {
+    if (event.seq === 1) fs.mkdirSync(EVENT_LOG_DIR, { recursive: true });
+    fs.appendFileSync(getTableFiles(room.code).log, `${JSON.stringify(event)}\n`);
+  }
+  return result;
+}
+
+/**
+ * Log a room's closing and move its log out of the way of the tables
+ * rebuilt on boot (closed logs are kept for auditing)
+ * @param {Object} room - Room being closed
+ */
+function archiveTable(room) {
+  dispatch(room, 'room_closed');
+  if (!PERSISTED) return;
+
+  const files = getTableFiles(room.code);
+  fs.mkdirSync(CLOSED_DIR, { recursive: true });
+  fs.renameSync(files.log, path.join(CLOSED_DIR, `${room.code}-${room.createdAt}.events.jsonl`));
+  fs.rmSync(files.snapshot, { force: true });
+}
+
+/**
+ * Read a log file, stopping at a line cut short by a crash
+ * @param {String} file - Log file
+ * @returns {Array} Events
+ */
+function readLog(file) {
+  const events = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Logs and snapshots of the tables that were open when the server stopped
+ * @returns {Array} { code, snapshot, events } per table
+ */
+function loadTables() {
+  if (!PERSISTED || !fs.existsSync(EVENT_LOG_DIR)) return [];
+
+  return fs.readdirSync(EVENT_LOG_DIR)
+    .filter(file => file.endsWith('.events.jsonl'))
+    .map((file) => {
+      const code = file.slice(0, -'.events.jsonl'.length);
+      const files = getTableFiles(code);
+      return {
+        code,
+        snapshot: fs.existsSync(files.snapshot) ? JSON.parse(fs.readFileSync(files.snapshot, 'utf8')) : null,
+        events: readLog(files.log)
+      };
+    })
+    .filter(table => (table.snapshot || table.events.length > 0) && table.events[table.events.length - 1]?.type !== 'room_closed');
+}
+
+/**
+ * Rebuild a room from its snapshot and the events logged after it
+ * @param {Object} room - Empty room record (see roomManager.js)
+ * @param {Object} table - { snapshot, events } from loadTables
+ */
+function restoreTable(room, { snapshot, events }) {
+  if (snapshot) {
+    room.name = snapshot.name;
+    room.createdAt = snapshot.createdAt;
+    room.gameState = snapshot.gameState;
+    room.bots = snapshot.bots;
+    room.snapshotSeq = snapshot.seq;
+  }
+
+  room.events = events.filter(event => event.seq > room.snapshotSeq);
+  room.events.forEach(event => applyEvent(room, event));
+}
+
+/**
+ * Alias of a socket or bot id in audits: stable for the table, but not the id itself
+ * @param {Object} room - Room
+ * @param {String} id - Socket or bot id
+ * @returns {String} 'conn-' and 8 hex digits
+ */
+function getConnectionAlias(room, id) {
+  const digest = crypto.createHmac('sha256', room.gameState.fairness.secret).update(String(id)).digest('hex');
+  return `conn-${digest.slice(0, 8)}`;
+}
+
+/**
+ * A room's events since its last snapshot as shown to auditors (server-only
+ * data redacted, connection ids replaced by aliases)
+ * @param {Object} room - Room
+ * @param {Number} since - Only events after this sequence number
+ * @returns {Array} Events
+ */
+function getPublicEvents(room, since = 0) {
+  return room.events
+    .filter(event => event.seq > since)
+    .map((event) => {
+      const data = { ...event.data };
+      PRIVATE_FIELDS.forEach((field) => {
+        if (field in data) data[field] = '[redacted]';
+      });
+      CONNECTION_FIELDS.forEach((field) => {
+        if (field in data) data[field] = getConnectionAlias(room, data[field]);
+      });
+      return { ...event, data };
+    });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  applyEvent,
+  dispatch,
+  archiveTable,
+  loadTables,
+  restoreTable,
+  getLastSeq,
+  getPublicEvents
+};
@@ -1,9 +1,25 @@
 /**
  * Game Logic Module
  * Handles game state machine, betting rounds, and shooting mechanics
+ * Tables have 2-6 seats ('player1'..'player6') around a rotating dealer button
  */
 
-const { createDeck, shuffleDeck, findBestHand, compareHands } = require('./pokerEval');
+const { createDeck, getVariant, findBestHand, compareHands } = require('./pokerEval');
+const { DEATH_MODELS, GAME_MODES, TIE_POLICIES, MAX_PLAYERS, createRules, getDeathProbability, getStakes } = require('./rules');
+const { createCylinder, advanceCylinder } = require('./revolver');
+const { LIAR_HAND_SIZE, MAX_CLAIM_CARDS, createLiarDeck, pickTableCard, isTruthfulClaim } = require('./liarsDeck');
+const {
+  createFairRandom,
+  getDeck,
+  createPrivateRandom,
+  applySwitch,
+  getRoll,
+  combineClientSeeds,
+  isValidClientSeed,
+  createFairnessState,
+  lockHandSeed,
+  revealHandSeed
+} = require('./fairness');
 
 // Game phases
 const PHASES = {
@@ -14,8 +30,10 @@ const PHASES = {
   TURN: 'TURN',                // Turn betting
   RIVER: 'RIVER',              // River betting
   SHOWDOWN: 'SHOWDOWN',        // Reveal hands
-  SHOOTING: 'SHOOTING',        // Loser shoots
-  GAME_OVER: 'GAME_OVER'       // Someone died
+  TIE: 'TIE',                  // Pots were split: result shown before the tie policy plays out
+  SHOOTING: 'SHOOTING',        // Losers shoot, one after the other
+  HAND_OVER: 'HAND_OVER',      // Match mode: losers survived, next hand coming
+  GAME_OVER: 'GAME_OVER'       // Someone died (or the match is decided)
 };
 
 // Player actions
@@ -23,49 +41,422 @@ const ACTIONS = {
   FOLD: 'FOLD',
   CHECK: 'CHECK',
   CALL: 'CALL',
-  RAISE: 'RAISE',
+  BET: 'BET',      // First bet of a street
+  RAISE: 'RAISE',  // Bet over an earlier bet of the same street
   ALL_IN: 'ALL_IN'
 };
 
-const MAX_BULLETS = 8;
-const ANTE_AMOUNT = 1;
-const RAISE_AMOUNT = 1;
+// Liar's Deck phases (WAITING, SHOOTING, HAND_OVER and GAME_OVER are shared)
+const LIAR_PHASES = {
+  CLAIM: 'CLAIM',   // Players lay cards face down claiming the table card
+  REVEAL: 'REVEAL'  // "Liar!" was called: the last claim is shown before the loser shoots
+};
+
+// Liar's Deck actions
+const LIAR_ACTIONS = {
+  PLAY: 'PLAY',  // Lay 1-3 cards face down as the table card
+  LIAR: 'LIAR'   // Call the last claim a lie
+};
+
+const SWITCH_OPTION_COUNT = 3;
+
+// Phases in which players may act (bet or switch a card)
+const BETTING_PHASES = [PHASES.PREFLOP, PHASES.FLOP, PHASES.TURN, PHASES.RIVER];
+
+// Phases in which whoever is to act is on the clock
+const ACTING_PHASES = [...BETTING_PHASES, LIAR_PHASES.CLAIM];
+
+// Seat roles: 'player1' .. 'player<MAX_PLAYERS>'
+const SEAT_ROLE_PATTERN = /^player([1-9]\d*)$/;
+
+// Time of the event being applied (see runAt), null outside of one
+let eventTime = null;
+
+/**
+ * Apply a state change as of a given time: logged events, disconnects and
+ * turn clocks use it instead of the wall clock, so replaying an event log
+ * rebuilds the same state (see gameEvents.js)
+ * @param {Number} time - Time of the change in ms
+ * @param {Function} apply - Change to make
+ * @returns {*} Whatever apply returns
+ */
+function runAt(time, apply) {
+  const previous = eventTime;
+  eventTime = time;
+  try {
+    return apply();
+  } finally {
+    eventTime = previous;
+  }
+}
+
+/**
+ * Current time for state changes
+ * @returns {Number} Time in ms
+ */
+function now() {
+  return eventTime ?? Date.now();
+}
 
 /**
  * Create a new game state
+ * @param {Object} ruleOverrides - Table rules (see rules.js), e.g. { preset: 'sixShooter', maxPlayers: 4 }
+ * @param {String} fairnessSecret - Secret the table's server seeds derive from (default: random)
  * @returns {Object} Initial game state
  */
-function createGameState() {
+function createGameState(ruleOverrides = {}, fairnessSecret = undefined) {
+  const rules = createRules(ruleOverrides);
+
   return {
+    rules,
     phase: PHASES.WAITING,
-    players: {
-      player1: null,
-      player2: null
-    },
+    seats: Array.from({ length: rules.maxPlayers }, (_, index) => createSeat(index, rules)),
     viewers: [],
-    
+
     // Hand state
     deck: [],
     communityCards: [],
     pot: 0,
     currentBet: 0,
-    
-    // Player hands
-    player1Hand: [],
-    player2Hand: [],
-    player1Bullets: MAX_BULLETS,
-    player2Bullets: MAX_BULLETS,
-    player1Committed: 0, // Bullets committed this hand
-    player2Committed: 0,
-    
+    streetBet: 0, // Highest commitment when the street opened (no bet this street while equal)
+    minRaise: rules.raiseSize, // Smallest raise increment, the largest full raise of the street so far
+    dealer: null, // Role holding the dealer button, moves one live seat per hand
+    blinds: null, // { small, big } roles that posted blinds this hand (blind tables)
+    stakes: getStakes(rules, 0), // Forced bets of the current hand (see getStakes)
+    handsPlayed: 0, // Hands dealt this game, drives the blind levels
+
     // Turn management
-    activePlayer: null, // 'player1' or 'player2'
+    activePlayer: null, // Role to act
     lastAction: null,
-    
+
+    // Turn clock
+    turnClock: null, // { player, startedAt, deadline }
+
+    // Switch options offered this hand: { phase, cards } per role
+    switchOptions: {},
+
+    // Liar's Deck round (null on Hold'em tables, see startLiarRound)
+    liar: null,
+
     // Results
+    winners: [],      // Roles that won at least one pot
+    tied: [],         // Winners who only ever split a pot (see rules.tiePolicy)
+    losers: [],       // Roles that must shoot, in shooting order
+    loser: null,      // Loser currently holding the revolver
+    shots: [],        // { player, probability, roll, survived } fired this hand
+    pots: [],         // { amount, eligible, winners } main pot first
+    handResult: null, // Role -> best hand at showdown
+
+    // Hand log: events since the recorder last drained it (see handHistory.js)
+    handNumber: 0,
+    handLog: [],
+
+    // Commit-reveal seeds for the shuffle and the roll (see fairness.js)
+    fairness: createFairnessState(fairnessSecret),
+
+    // Match mode progress (null when every shot ends the game)
+    match: createMatch(rules)
+  };
+}
+
+/**
+ * Create an empty seat
+ * @param {Number} index - Seat index (0-based)
+ * @param {Object} rules - Table rules
+ * @returns {Object} Seat
+ */
+function createSeat(index, rules) {
+  return {
+    role: `player${index + 1}`,
+    player: null,         // Seated player record, null if the seat is free
+    bullets: rules.startingBullets,
+    committed: 0,         // Bullets committed this hand
+    hand: [],
+    timeBank: rules.timeBankMs,
+    inHand: false,        // Dealt into the current hand
+    folded: false,
+    hasActed: false,      // Acted since the last bet or raise on this street
+    eliminated: false,    // Died (match mode: out of the match)
+    // Revolver model: this seat's cylinder, kept for the whole game (null with a death formula)
+    cylinder: rules.deathModel === DEATH_MODELS.REVOLVER ? createCylinder(rules.chambers) : null
+  };
+}
+
+/**
+ * Put a seat back to a fresh stack with no hand
+ * @param {Object} seat - Seat
+ * @param {Object} rules - Table rules
+ */
+function resetSeat(seat, rules) {
+  Object.assign(seat, createSeat(Number(seat.role.slice('player'.length)) - 1, rules), { player: seat.player });
+}
+
+/**
+ * Check a string names a seat ('player1'..'player6')
+ * @param {String} role - Role
+ * @returns {Boolean}
+ */
+function isSeatRole(role) {
+  const match = typeof role === 'string' && SEAT_ROLE_PATTERN.exec(role);
+  return Boolean(match) && Number(match[1]) <= MAX_PLAYERS;
+}
+
+/**
+ * Seat of a role
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Seat role
+ * @returns {Object|null} Seat or null
+ */
+function getSeat(gameState, role) {
+  return gameState.seats.find(seat => seat.role === role) || null;
+}
+
+/**
+ * Player seated in a role
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Seat role
+ * @returns {Object|null} Player record or null
+ */
+function getPlayer(gameState, role) {
+  return getSeat(gameState, role)?.player || null;
+}
+
+/**
+ * Roles of the seats that have a player, in seat order
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Roles
+ */
+function getSeatedRoles(gameState) {
+  return gameState.seats.filter(seat => seat.player).map(seat => seat.role);
+}
+
+/**
+ * Seats clockwise from the one after a role (ending with that role itself)
+ * @param {Object} gameState - Current game state
+ * @param {String|null} role - Starting role (null starts from the first seat)
+ * @returns {Array} Seats
+ */
+function getSeatsAfter(gameState, role) {
+  const { seats } = gameState;
+  const index = seats.findIndex(seat => seat.role === role);
+  return seats.slice(index + 1).concat(seats.slice(0, index + 1));
+}
+
+/**
+ * Whether a seat can still put bullets in this hand
+ * @param {Object} seat - Seat
+ * @returns {Boolean}
+ */
+function canAct(seat) {
+  return seat.inHand && !seat.folded && seat.bullets > 0;
+}
+
+/**
+ * Seats still contesting the hand (dealt in and not folded)
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Seats
+ */
+function getContenders(gameState) {
+  return gameState.seats.filter(seat => seat.inHand && !seat.folded);
+}
+
+/**
+ * Most bullets any seat has committed this hand
+ * @param {Object} gameState - Current game state
+ * @returns {Number} Highest commitment
+ */
+function getHighestCommitted(gameState) {
+  return Math.max(0, ...gameState.seats.filter(seat => seat.inHand).map(seat => seat.committed));
+}
+
+/**
+ * Whether a seat still has to act on this street
+ * @param {Object} gameState - Current game state
+ * @param {Object} seat - Seat
+ * @returns {Boolean}
+ */
+function needsAction(gameState, seat) {
+  return canAct(seat) && (!seat.hasActed || seat.committed < getHighestCommitted(gameState));
+}
+
+/**
+ * Create the match record for a new game
+ * @param {Object} rules - Table rules
+ * @returns {Object|null} Match, or null if the table doesn't play matches
+ */
+function createMatch(rules) {
+  if (!rules.matchMode) return null;
+
+  const perSeat = () => Object.fromEntries(
+    Array.from({ length: rules.maxPlayers }, (_, index) => [`player${index + 1}`, 0])
+  );
+
+  return {
+    bestOfSurvivals: rules.bestOfSurvivals,
+    hands: [],                           // { handNumber, winners, loser, survived, probability, roll } per shot
+    handsWon: perSeat(),
+    survivals: perSeat(),
     winner: null,
-    loser: null,
-    handResult: null
+    reason: null,                        // 'death' | 'best_of' | 'out_of_bullets' | 'forfeit'
+    endedAt: null
+  };
+}
+
+/**
+ * Decide the match and end the game
+ * @param {Object} gameState - Current game state
+ * @param {String|null} winner - Match winner, null for a draw
+ * @param {String} reason - Why the match ended
+ */
+function endMatch(gameState, winner, reason) {
+  gameState.match.winner = winner;
+  gameState.match.reason = reason;
+  gameState.match.endedAt = now();
+  gameState.phase = PHASES.GAME_OVER;
+}
+
+/**
+ * End a heads-up match in progress because a player walked out: the opponent wins
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Seat of the player leaving
+ * @returns {Object} { success, message }
+ */
+function forfeitMatch(gameState, role) {
+  const { match } = gameState;
+  if (!match || match.winner || gameState.phase === PHASES.WAITING || gameState.phase === PHASES.GAME_OVER) {
+    return { success: false, message: 'No match in progress' };
+  }
+
+  const opponents = getSeatedRoles(gameState).filter(seated => seated !== role);
+  if (!getPlayer(gameState, role) || opponents.length !== 1) {
+    return { success: false, message: 'Only a heads-up match can be forfeited' };
+  }
+
+  gameState.turnClock = null;
+  endMatch(gameState, opponents[0], 'forfeit');
+  return { success: true, message: `${getPlayer(gameState, role).nickname} left: ${getPlayer(gameState, opponents[0]).nickname} wins by forfeit` };
+}
+
+/**
+ * Player ahead on hands won, then on bullets left
+ * @param {Object} gameState - Current game state
+ * @param {Array} roles - Roles in contention (default: seated players still alive)
+ * @returns {String|null} Leader, or null if level
+ */
+function getMatchLeader(gameState, roles = null) {
+  const { handsWon } = gameState.match;
+  const candidates = roles || gameState.seats.filter(seat => seat.player && !seat.eliminated).map(seat => seat.role);
+  const ranked = candidates
+    .map(role => ({ role, won: handsWon[role], bullets: getSeat(gameState, role).bullets }))
+    .sort((a, b) => (b.won - a.won) || (b.bullets - a.bullets));
+
+  if (ranked.length === 0) return null;
+  if (ranked.length > 1 && ranked[0].won === ranked[1].won && ranked[0].bullets === ranked[1].bullets) {
+    return null;
+  }
+  return ranked[0].role;
+}
+
+/**
+ * Count a finished shot towards the match; after the hand's last shot,
+ * decide whether the match goes on
+ * @param {Object} gameState - Current game state
+ * @param {Object} shot - { player, probability, roll, survived }
+ * @param {Boolean} lastShot - No loser is left to shoot this hand
+ */
+function recordMatchShot(gameState, shot, lastShot) {
+  const { match } = gameState;
+
+  match.hands.push({
+    handNumber: gameState.handNumber,
+    winners: [...gameState.winners],
+    loser: shot.player,
+    survived: shot.survived,
+    probability: shot.probability,
+    roll: shot.roll
+  });
+  if (shot.survived) match.survivals[shot.player]++;
+  if (!lastShot) return;
+
+  // A death ends the match once fewer than two players are left alive
+  const alive = gameState.seats.filter(seat => seat.player && !seat.eliminated).map(seat => seat.role);
+  if (gameState.shots.some(fired => !fired.survived) && alive.length < 2) {
+    endMatch(gameState, alive[0] || null, 'death');
+    return;
+  }
+
+  // Best of N: stop once someone has a majority, or after N survived shots
+  const { bestOfSurvivals } = match;
+  if (bestOfSurvivals > 0) {
+    const survived = Object.values(match.survivals).reduce((sum, count) => sum + count, 0);
+    const majority = Object.values(match.handsWon).some(won => won > bestOfSurvivals / 2);
+    if (majority || survived >= bestOfSurvivals) {
+      endMatch(gameState, getMatchLeader(gameState, alive), 'best_of');
+      return;
+    }
+  }
+
+  gameState.phase = PHASES.HAND_OVER;
+}
+
+/**
+ * Public-facing view of the hand at this moment, stored with each logged event
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Snapshot (plain data, safe to keep)
+ */
+function getHandSnapshot(gameState) {
+  const dealt = gameState.seats.filter(seat => seat.inHand);
+  const byRole = getValue => Object.fromEntries(dealt.map(seat => [seat.role, getValue(seat)]));
+
+  return {
+    phase: gameState.phase,
+    communityCards: [...gameState.communityCards],
+    pot: gameState.pot,
+    activePlayer: gameState.activePlayer,
+    dealer: gameState.dealer,
+    hands: byRole(seat => [...seat.hand]),
+    bullets: byRole(seat => seat.bullets),
+    committed: byRole(seat => seat.committed),
+    folded: dealt.filter(seat => seat.folded).map(seat => seat.role)
+  };
+}
+
+/**
+ * Append an event to the hand log
+ * @param {Object} gameState - Current game state
+ * @param {String} type - 'hand_start' | 'action' | 'timeout' | 'switch' | 'board' | 'showdown' | 'shoot'
+ * @param {Object} data - Event details
+ */
+function logHandEvent(gameState, type, data = {}) {
+  gameState.handLog.push({
+    type,
+    handNumber: gameState.handNumber,
+    at: now(),
+    ...data,
+    state: getHandSnapshot(gameState)
+  });
+}
+
+/**
+ * Create a seated player record
+ * @param {String} socketId - Player socket ID (bots use a 'bot:' prefixed ID)
+ * @param {String} nickname - Player nickname
+ * @param {String} sessionToken - Token used to reclaim the seat after a disconnect
+ * @param {Boolean} isBot - Seat is played by a bot
+ * @param {String|null} profileId - Persistent profile the seat's stats go to
+ * @returns {Object} Player record
+ */
+function createPlayer(socketId, nickname, sessionToken, isBot, profileId) {
+  return {
+    socketId,
+    nickname,
+    sessionToken,
+    isBot,
+    profileId,
+    hasSwitched: false,
+    clientSeed: '',
+    connected: true,
+    disconnectedAt: null
   };
 }
 
@@ -74,51 +465,123 @@ function createGameState() {
  * @param {Object} gameState - Current game state
  * @param {String} socketId - Player socket ID
  * @param {String} nickname - Player nickname
- * @returns {String} Role assigned: 'player1', 'player2', or 'viewer'
- */
-function addPlayer(gameState, socketId, nickname) {
-  if (!gameState.players.player1) {
-    gameState.players.player1 = { socketId, nickname, hasSwitched: false };
-    return 'player1';
-  } else if (!gameState.players.player2) {
-    gameState.players.player2 = { socketId, nickname, hasSwitched: false };
-    // Don't auto-start, wait for both players to be ready
-    return 'player2';
+ * @param {String} sessionToken - Session token for the seat (players only)
+ * @param {Object} options - { isBot, profileId }
+ * @returns {String|null} Role assigned: the first free seat, or 'viewer' (null for a bot with no free seat)
+ */
+function addPlayer(gameState, socketId, nickname, sessionToken, { isBot = false, profileId = null } = {}) {
+  const seat = gameState.seats.find(s => !s.player);
+
+  if (seat) {
+    // Don't auto-start, the game starts when someone asks for it
+    seat.player = createPlayer(socketId, nickname, sessionToken, isBot, profileId);
+    return seat.role;
+  } else if (isBot) {
+    return null; // Bots never watch
   } else {
-    gameState.viewers.push({ socketId, nickname });
+    gameState.viewers.push({ socketId, nickname, profileId });
     return 'viewer';
   }
 }
 
 /**
  * Remove player from game
+ * A seat that was dealt into the hand in play stops the hand
  * @param {Object} gameState - Current game state
  * @param {String} socketId - Player socket ID
  */
 function removePlayer(gameState, socketId) {
-  if (gameState.players.player1?.socketId === socketId) {
-    gameState.players.player1 = null;
-    gameState.phase = PHASES.WAITING;
-    gameState.player1Bullets = MAX_BULLETS;
-  } else if (gameState.players.player2?.socketId === socketId) {
-    gameState.players.player2 = null;
-    gameState.phase = PHASES.WAITING;
-    gameState.player2Bullets = MAX_BULLETS;
-  } else {
+  const seat = gameState.seats.find(s => s.player?.socketId === socketId);
+  if (!seat) {
     gameState.viewers = gameState.viewers.filter(v => v.socketId !== socketId);
+    return;
   }
+
+  const wasDealtIn = seat.inHand && gameState.phase !== PHASES.GAME_OVER;
+  seat.player = null;
+  resetSeat(seat, gameState.rules);
+  delete gameState.switchOptions[seat.role];
+  if (!wasDealtIn) return;
+
+  gameState.phase = PHASES.WAITING;
+  gameState.liar = null;
+
+  // A match can't go on with a new opponent: the next one starts fresh
+  if (gameState.match) {
+    gameState.seats.forEach(s => resetSeat(s, gameState.rules));
+    gameState.match = createMatch(gameState.rules);
+  }
+}
+
+/**
+ * Mark a player's socket as dropped while keeping the seat, cards and bullets
+ * @param {Object} gameState - Current game state
+ * @param {String} socketId - Dropped socket ID
+ * @returns {String|null} Role of the held seat, or null if socket is not a player
+ */
+function disconnectPlayer(gameState, socketId) {
+  const seat = gameState.seats.find(s => s.player?.socketId === socketId);
+  if (!seat) return null;
+
+  seat.player.connected = false;
+  seat.player.disconnectedAt = now();
+  return seat.role;
+}
+
+/**
+ * Reattach a held seat to a new socket
+ * @param {Object} gameState - Current game state
+ * @param {String} sessionToken - Token issued when the seat was taken
+ * @param {String} socketId - New socket ID
+ * @returns {String|null} Role reclaimed, or null if token doesn't match a seat
+ */
+function reconnectPlayer(gameState, sessionToken, socketId) {
+  const seat = gameState.seats.find(s => s.player && sessionToken && s.player.sessionToken === sessionToken);
+  if (!seat) return null;
+
+  seat.player.socketId = socketId;
+  seat.player.connected = true;
+  seat.player.disconnectedAt = null;
+  return seat.role;
+}
+
+/**
+ * Every socket is gone after a server restart: players keep their seats as
+ * disconnected (bots stay), viewers leave and nobody is on the clock
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Roles of the seats held for their players
+ */
+function dropConnections(gameState) {
+  gameState.viewers = [];
+  gameState.turnClock = null;
+
+  return gameState.seats
+    .filter(seat => seat.player && !seat.player.isBot)
+    .map((seat) => {
+      if (seat.player.connected) {
+        seat.player.connected = false;
+        seat.player.disconnectedAt = now();
+      }
+      return seat.role;
+    });
+}
+
+/**
+ * Seats that can be dealt into the next hand: seated, alive and with bullets
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Seats
+ */
+function getLiveSeats(gameState) {
+  return gameState.seats.filter(seat => seat.player && seat.bullets > 0 && !seat.eliminated);
 }
 
 /**
- * Check if game can start (both players present and alive)
+ * Check if game can start (at least two players present and alive)
  * @param {Object} gameState - Current game state
  * @returns {Boolean}
  */
 function canStartGame(gameState) {
-  return gameState.players.player1 && 
-         gameState.players.player2 && 
-         gameState.player1Bullets > 0 && 
-         gameState.player2Bullets > 0;
+  return getLiveSeats(gameState).length >= 2;
 }
 
 /**
@@ -126,190 +589,404 @@ function canStartGame(gameState) {
  * @param {Object} gameState - Current game state
  */
 function resetGame(gameState) {
-  gameState.player1Bullets = MAX_BULLETS;
-  gameState.player2Bullets = MAX_BULLETS;
+  gameState.seats.forEach(seat => resetSeat(seat, gameState.rules));
+  gameState.turnClock = null;
   gameState.phase = PHASES.WAITING;
   gameState.deck = [];
   gameState.communityCards = [];
   gameState.pot = 0;
   gameState.currentBet = 0;
-  gameState.player1Hand = [];
-  gameState.player2Hand = [];
-  gameState.player1Committed = 0;
-  gameState.player2Committed = 0;
+  gameState.streetBet = 0;
+  gameState.minRaise = gameState.rules.raiseSize;
+  gameState.dealer = null;
+  gameState.blinds = null;
+  gameState.stakes = getStakes(gameState.rules, 0);
+  gameState.handsPlayed = 0;
   gameState.activePlayer = null;
   gameState.lastAction = null;
-  gameState.winner = null;
+  gameState.switchOptions = {};
+  gameState.winners = [];
+  gameState.tied = [];
+  gameState.losers = [];
   gameState.loser = null;
+  gameState.shots = [];
+  gameState.pots = [];
   gameState.handResult = null;
+  gameState.liar = null;
+  gameState.match = createMatch(gameState.rules);
 }
 
 /**
  * Start a new hand
+ * The button moves to the next live seat, forced bets follow the game's stake
+ * level and the first seat after the button (or the big blind) acts first.
+ * A replay re-deals the tied seats of the last hand with the bullets they
+ * already committed, with the same button and no forced bets
  * @param {Object} gameState - Current game state
+ * @param {Boolean} replay - Replay the last hand's tie (tiePolicy 'replay')
  */
-function startNewHand(gameState) {
-  // Check if both players alive
-  if (gameState.player1Bullets <= 0 || gameState.player2Bullets <= 0) {
+function startNewHand(gameState, replay = false) {
+  const live = replay
+    ? gameState.seats.filter(seat => gameState.tied.includes(seat.role) && !seat.eliminated)
+    : getLiveSeats(gameState);
+
+  // Need two players alive with bullets
+  if (live.length < 2) {
+    if (gameState.match && !gameState.match.reason) {
+      // Match mode: whoever still has bullets wins, otherwise the leader
+      const winner = live.length === 1 ? live[0].role : getMatchLeader(gameState);
+      endMatch(gameState, winner, 'out_of_bullets');
+      return;
+    }
     gameState.phase = PHASES.GAME_OVER;
     return;
   }
 
+  // First hand: the button starts on the last live seat so the first seat acts first
+  if (!replay) {
+    gameState.dealer = gameState.dealer
+      ? getSeatsAfter(gameState, gameState.dealer).find(seat => live.includes(seat)).role
+      : live[live.length - 1].role;
+  }
+
+  if (gameState.rules.gameMode === GAME_MODES.LIARS_DECK) {
+    startLiarRound(gameState, live);
+    return;
+  }
+
+  // A hand that never finished (player left) gets its seed revealed now
+  revealHandSeed(gameState.fairness);
+
+  // Shuffle with the committed server seed and the players' client seeds
+  gameState.handNumber++;
+  const seed = lockHandSeed(
+    gameState.fairness,
+    combineClientSeeds(live.map(seat => seat.player.clientSeed)),
+    gameState.handNumber
+  );
+
   // Reset hand state
-  gameState.deck = shuffleDeck(createDeck());
+  gameState.deck = getDeck(seed, createDeck(gameState.rules.gameMode));
   gameState.communityCards = [];
-  gameState.pot = 0;
-  gameState.currentBet = 0;
-  gameState.player1Committed = 0;
-  gameState.player2Committed = 0;
+  gameState.pot = replay ? live.reduce((sum, seat) => sum + seat.committed, 0) : 0;
   gameState.lastAction = null;
-  gameState.winner = null;
+  gameState.winners = [];
+  gameState.tied = [];
+  gameState.losers = [];
   gameState.loser = null;
+  gameState.shots = [];
+  gameState.pots = [];
   gameState.handResult = null;
+  gameState.switchOptions = {};
+  if (!replay) {
+    gameState.stakes = getStakes(gameState.rules, gameState.handsPlayed);
+    gameState.handsPlayed++;
+  }
+
+  // Collect ante from every live seat, sitting out everyone else
+  // (a replay keeps its seats' commitments instead)
+  const stakes = replay ? { ...gameState.stakes, ante: 0, smallBlind: 0, bigBlind: 0 } : gameState.stakes;
+  const antes = {};
+  gameState.seats.forEach((seat) => {
+    if (!replay || !live.includes(seat)) seat.committed = 0;
+    seat.hand = [];
+    seat.folded = false;
+    seat.hasActed = false;
+    seat.inHand = live.includes(seat);
+    if (seat.player) seat.player.hasSwitched = false;
+    if (!seat.inHand) return;
 
-  // Reset switch status
-  if (gameState.players.player1) gameState.players.player1.hasSwitched = false;
-  if (gameState.players.player2) gameState.players.player2.hasSwitched = false;
-
-  // Collect ante from both players
-  const anteP1 = Math.min(ANTE_AMOUNT, gameState.player1Bullets);
-  const anteP2 = Math.min(ANTE_AMOUNT, gameState.player2Bullets);
-  
-  gameState.player1Bullets -= anteP1;
-  gameState.player2Bullets -= anteP2;
-  gameState.player1Committed = anteP1;
-  gameState.player2Committed = anteP2;
-  gameState.pot = anteP1 + anteP2;
-  gameState.currentBet = anteP1; // Both ante same amount
-
-  // Deal hole cards
-  gameState.player1Hand = [gameState.deck.pop(), gameState.deck.pop()];
-  gameState.player2Hand = [gameState.deck.pop(), gameState.deck.pop()];
-
-  // Start pre-flop betting with player1
+    const ante = Math.min(stakes.ante, seat.bullets);
+    seat.bullets -= ante;
+    seat.committed += ante;
+    gameState.pot += ante;
+    antes[seat.role] = ante;
+  });
+  const anteLevel = getHighestCommitted(gameState);
+
+  // Blind tables: heads-up the button posts the small blind, otherwise the
+  // two seats after the button post the small and big blind
+  const blinds = {};
+  gameState.blinds = null;
+  if (stakes.bigBlind > 0) {
+    const order = getSeatsAfter(gameState, gameState.dealer).filter(seat => seat.inHand);
+    const [small, big] = order.length === 2 ? [order[1], order[0]] : order;
+    [[small, stakes.smallBlind], [big, stakes.bigBlind]].forEach(([seat, blind]) => {
+      const posted = Math.min(blind, seat.bullets);
+      seat.bullets -= posted;
+      seat.committed += posted;
+      gameState.pot += posted;
+      blinds[seat.role] = posted;
+    });
+    gameState.blinds = { small: small.role, big: big.role };
+  }
+  gameState.currentBet = getHighestCommitted(gameState);
+
+  // Deal hole cards (two, four in Omaha), starting left of the button
+  const { holeCards } = getVariant(gameState.rules.gameMode);
+  const dealOrder = getSeatsAfter(gameState, gameState.dealer).filter(seat => seat.inHand);
+  dealOrder.forEach((seat) => {
+    seat.hand = Array.from({ length: holeCards }, () => gameState.deck.pop());
+  });
+
+  // Start pre-flop betting left of the button (left of the big blind on blind tables)
   gameState.phase = PHASES.PREFLOP;
-  gameState.activePlayer = 'player1';
+  gameState.activePlayer = null;
+
+  logHandEvent(gameState, 'hand_start', {
+    fairness: { serverSeedHash: seed.serverSeedHash, clientSeed: seed.clientSeed, nonce: seed.nonce },
+    dealer: gameState.dealer,
+    players: Object.fromEntries(dealOrder.map(seat => [seat.role, {
+      nickname: seat.player.nickname,
+      isBot: Boolean(seat.player.isBot),
+      profileId: seat.player.profileId || null
+    }])),
+    antes,
+    blinds,
+    stakes,
+    replay
+  });
+
+  // Forced bets may already have put everyone but one all-in
+  if (gameState.seats.filter(canAct).length < 2) {
+    runOutBoard(gameState);
+    return;
+  }
+  startStreet(gameState);
+
+  // The big blind is the street's opening bet: everyone else calls or raises it
+  if (gameState.blinds) {
+    gameState.streetBet = anteLevel;
+    gameState.minRaise = Math.max(gameState.rules.raiseSize, stakes.bigBlind);
+    gameState.activePlayer = getSeatsAfter(gameState, gameState.blinds.big).find(canAct).role;
+  }
+}
+
+/**
+ * Most bullets a player may have committed this hand
+ * Once someone is all-in the cap is lifted if the rules allow it
+ * @param {Object} gameState - Current game state
+ * @returns {Number} Bet cap
+ */
+function getBetCap(gameState) {
+  const { maxBetPerHand, allInExceedsCap } = gameState.rules;
+  const anybodyAllIn = getContenders(gameState).some(seat => seat.bullets === 0);
+  return anybodyAllIn && allInExceedsCap ? Infinity : maxBetPerHand;
+}
+
+/**
+ * Pot-limit tables: most a seat's commitment may go to, calling first and
+ * then raising by the whole pot
+ * @param {Object} gameState - Current game state
+ * @param {Object} seat - Acting seat
+ * @returns {Number} Pot limit (Infinity on tables without one)
+ */
+function getPotLimit(gameState, seat) {
+  if (!gameState.rules.potLimit) return Infinity;
+  const highest = getHighestCommitted(gameState);
+  return highest + gameState.pot + (highest - seat.committed);
+}
+
+/**
+ * Check whether going all-in is allowed under the bet cap and the pot limit
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @returns {Boolean}
+ */
+function canGoAllIn(gameState, player) {
+  const seat = getSeat(gameState, player);
+  const allInTo = seat.committed + seat.bullets;
+  if (allInTo > getPotLimit(gameState, seat)) return false;
+  return gameState.rules.allInExceedsCap || allInTo <= gameState.rules.maxBetPerHand;
+}
+
+/**
+ * Commitment range a bet or raise may take a player to
+ * A raise must add at least the street's minimum raise, unless the bet cap
+ * is closer, and may not go over the pot on pot-limit tables; a bet that
+ * would use the whole stack is an all-in instead
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @returns {Object|null} { minTo, maxTo }, or null if the player may not bet or raise
+ */
+function getRaiseRange(gameState, player) {
+  const seat = getSeat(gameState, player);
+
+  // A short all-in doesn't reopen the betting for seats that already acted,
+  // and there's nobody to bet against once everyone else is all-in
+  if (seat.hasActed || !gameState.seats.some(other => other !== seat && canAct(other))) return null;
+
+  const highest = getHighestCommitted(gameState);
+  const betCap = getBetCap(gameState);
+  const minTo = Math.min(highest + gameState.minRaise, betCap);
+  const maxTo = Math.min(betCap, getPotLimit(gameState, seat), seat.committed + seat.bullets - 1);
+
+  return minTo > highest && maxTo >= minTo ? { minTo, maxTo } : null;
+}
+
+/**
+ * Move bullets from a seat's stack into the pot
+ * A full raise (at least the minimum raise) reopens the betting for everyone
+ * else; a short all-in only makes the others call the difference
+ * @param {Object} gameState - Current game state
+ * @param {Object} seat - Acting seat
+ * @param {Number} amount - Bullets to commit
+ * @param {String} action - Action taken
+ */
+function commitBullets(gameState, seat, amount, action) {
+  const highest = getHighestCommitted(gameState);
+
+  seat.bullets -= amount;
+  seat.committed += amount;
+  gameState.pot += amount;
+  seat.hasActed = true;
+  gameState.lastAction = { player: seat.role, action };
+
+  if (seat.committed > highest) {
+    gameState.currentBet = seat.committed;
+  }
+  if (seat.committed - highest >= gameState.minRaise) {
+    gameState.minRaise = seat.committed - highest;
+    gameState.seats.forEach((other) => {
+      if (other !== seat) other.hasActed = false;
+    });
+  }
+}
+
+/**
+ * Hand the action to the next seat that has to act, or end the street
+ * @param {Object} gameState - Current game state
+ */
+function passAction(gameState) {
+  const next = getSeatsAfter(gameState, gameState.activePlayer).find(seat => needsAction(gameState, seat));
+  if (next) {
+    gameState.activePlayer = next.role;
+  } else {
+    advancePhase(gameState);
+  }
 }
 
 /**
  * Process player action
  * @param {Object} gameState - Current game state
- * @param {String} player - 'player1' or 'player2'
+ * @param {String} player - Seat role
  * @param {String} action - Action type
+ * @param {Number} amount - BET/RAISE: total commitment to bet or raise to (default: the minimum)
  * @returns {Object} Result with success and message
  */
-function processAction(gameState, player, action) {
+function processAction(gameState, player, action, amount) {
+  // Betting is over once the hand reaches showdown, shooting or the next hand
+  if (!BETTING_PHASES.includes(gameState.phase)) {
+    return { success: false, message: 'No betting in this phase' };
+  }
+
   // Validate it's player's turn
   if (gameState.activePlayer !== player) {
     return { success: false, message: 'Not your turn' };
   }
 
-  const opponent = player === 'player1' ? 'player2' : 'player1';
-  const playerBullets = gameState[`${player}Bullets`];
-  const opponentBullets = gameState[`${opponent}Bullets`];
-  const playerCommitted = gameState[`${player}Committed`];
-  const opponentCommitted = gameState[`${opponent}Committed`];
+  const seat = getSeat(gameState, player);
+  const highest = getHighestCommitted(gameState);
 
   switch (action) {
     case ACTIONS.FOLD:
-      // Player folds, loses hand immediately
-      gameState.loser = player;
-      gameState.winner = opponent;
-      gameState.phase = PHASES.SHOOTING;
+      // Player folds and will shoot when the hand is decided
+      seat.folded = true;
+      gameState.lastAction = { player, action: ACTIONS.FOLD };
+      logHandEvent(gameState, 'action', { player, action, amount: 0, message: `${player} folded` });
+
+      if (getContenders(gameState).length === 1) {
+        // Everyone else folded: the last seat standing wins
+        gameState.activePlayer = null;
+        resolveHand(gameState);
+      } else {
+        passAction(gameState);
+      }
       return { success: true, message: `${player} folded` };
 
     case ACTIONS.CHECK:
       // Can only check if bets are equal
-      if (playerCommitted !== opponentCommitted) {
+      if (seat.committed !== highest) {
         return { success: false, message: 'Cannot check, must call or fold' };
       }
+      seat.hasActed = true;
       gameState.lastAction = { player, action: ACTIONS.CHECK };
-      
-      // If both players acted, move to next phase
-      if (gameState.lastAction) {
-        advancePhase(gameState);
-      } else {
-        gameState.activePlayer = opponent;
-      }
+      logHandEvent(gameState, 'action', { player, action, amount: 0, message: `${player} checked` });
+      passAction(gameState);
       return { success: true, message: `${player} checked` };
 
     case ACTIONS.CALL: {
-      // Calculate how much to call
-      let toCall;
-      if (opponentCommitted > playerCommitted) {
-        // Opponent bet more (including all-in), need to match
-        toCall = opponentCommitted - playerCommitted;
-      } else {
-        // Bets are equal, call = +1 bullet
-        toCall = 1;
+      // Match the highest commitment (including an all-in)
+      const toCall = highest - seat.committed;
+      if (toCall <= 0) {
+        return { success: false, message: 'Nothing to call, check or bet instead' };
       }
-      
-      if (playerBullets < toCall) {
+
+      if (seat.bullets < toCall) {
         return { success: false, message: 'Not enough bullets to call' };
       }
-      
-      gameState[`${player}Bullets`] -= toCall;
-      gameState[`${player}Committed`] += toCall;
-      gameState.pot += toCall;
-      gameState.lastAction = { player, action: ACTIONS.CALL };
-      
-      // Check if both players called - if committed amounts are now equal, advance phase
-      const newPlayerCommitted = gameState[`${player}Committed`];
-      const newOpponentCommitted = gameState[`${opponent}Committed`];
-      
-      if (newPlayerCommitted === newOpponentCommitted) {
-        // Both called, advance to next phase
-        advancePhase(gameState);
-      } else {
-        // Switch turn to opponent
-        gameState.activePlayer = opponent;
+
+      if (seat.committed + toCall > getBetCap(gameState)) {
+        return { success: false, message: `Bet cap of ${gameState.rules.maxBetPerHand} reached` };
       }
-      
+
+      commitBullets(gameState, seat, toCall, ACTIONS.CALL);
+      logHandEvent(gameState, 'action', { player, action, amount: toCall, message: `${player} called ${toCall} bullet(s)` });
+      passAction(gameState);
+
       return { success: true, message: `${player} called ${toCall} bullet(s)` };
     }
 
+    case ACTIONS.BET:
     case ACTIONS.RAISE: {
-      // Raise by 1 bullet (or match + raise)
-      const raiseToCall = opponentCommitted - playerCommitted;
-      const totalNeeded = raiseToCall + RAISE_AMOUNT;
-      
-      if (playerBullets < totalNeeded) {
-        return { success: false, message: 'Not enough bullets to raise' };
+      // BET opens a street's betting, RAISE goes over an earlier bet
+      const opened = highest > gameState.streetBet;
+      if (action === ACTIONS.BET && opened) {
+        return { success: false, message: 'There is already a bet, raise instead' };
+      }
+      if (action === ACTIONS.RAISE && !opened) {
+        return { success: false, message: 'Nothing to raise, bet instead' };
+      }
+
+      const range = getRaiseRange(gameState, player);
+      if (!range) {
+        return { success: false, message: `Cannot ${action === ACTIONS.BET ? 'bet' : 'raise'} now` };
       }
-      
-      gameState[`${player}Bullets`] -= totalNeeded;
-      gameState[`${player}Committed`] += totalNeeded;
-      gameState.pot += totalNeeded;
-      gameState.currentBet = gameState[`${player}Committed`];
-      gameState.lastAction = { player, action: ACTIONS.RAISE };
-      gameState.activePlayer = opponent; // Opponent must respond
-      
-      return { success: true, message: `${player} raised ${RAISE_AMOUNT} bullet` };
+
+      const target = amount === undefined ? range.minTo : amount;
+      if (!Number.isInteger(target) || target < range.minTo || target > range.maxTo) {
+        return { success: false, message: `Bet size must be from ${range.minTo} to ${range.maxTo}` };
+      }
+
+      const added = target - seat.committed;
+      const verb = action === ACTIONS.BET ? 'bet' : 'raised to';
+      commitBullets(gameState, seat, added, action);
+      logHandEvent(gameState, 'action', { player, action, amount: added, message: `${player} ${verb} ${target}` });
+      passAction(gameState);
+
+      return { success: true, message: `${player} ${verb} ${target}` };
     }
 
     case ACTIONS.ALL_IN: {
       // Bet all remaining bullets
-      if (playerBullets <= 0) {
+      if (seat.bullets <= 0) {
         return { success: false, message: 'No bullets to go all-in' };
       }
-      
-      const allInAmount = playerBullets;
-      gameState[`${player}Bullets`] = 0;
-      gameState[`${player}Committed`] += allInAmount;
-      gameState.pot += allInAmount;
-      gameState.currentBet = gameState[`${player}Committed`];
-      gameState.lastAction = { player, action: ACTIONS.ALL_IN };
-      
-      // Check if opponent also has 0 bullets (both all-in) → showdown
-      const opponentBullets = gameState[`${opponent}Bullets`];
-      if (opponentBullets === 0) {
-        // Both players all-in, go to showdown
-        advancePhase(gameState);
-      } else {
-        // Opponent still has bullets, must respond
-        gameState.activePlayer = opponent;
+
+      if (!canGoAllIn(gameState, player)) {
+        return {
+          success: false,
+          message: seat.committed + seat.bullets > getPotLimit(gameState, seat)
+            ? `All-in would exceed the pot limit of ${getPotLimit(gameState, seat)}`
+            : `All-in would exceed the bet cap of ${gameState.rules.maxBetPerHand}`
+        };
       }
-      
+
+      const allInAmount = seat.bullets;
+      commitBullets(gameState, seat, allInAmount, ACTIONS.ALL_IN);
+      logHandEvent(gameState, 'action', { player, action, amount: allInAmount, message: `${player} went all-in with ${allInAmount} bullets` });
+      passAction(gameState);
+
       return { success: true, message: `${player} went all-in with ${allInAmount} bullets` };
     }
 
@@ -318,19 +995,45 @@ function processAction(gameState, player, action) {
   }
 }
 
+/**
+ * Deal every remaining community card and go to showdown
+ * @param {Object} gameState - Current game state
+ */
+function runOutBoard(gameState) {
+  const dealt = gameState.communityCards.length;
+  while (gameState.communityCards.length < 5) {
+    gameState.communityCards.push(gameState.deck.pop());
+  }
+  gameState.phase = PHASES.SHOWDOWN;
+  gameState.activePlayer = null;
+  if (dealt < 5) {
+    logHandEvent(gameState, 'board', { street: 'RUNOUT', cards: gameState.communityCards.slice(dealt) });
+  }
+  resolveHand(gameState);
+}
+
+/**
+ * Open a new betting street: everyone acts again, starting left of the button
+ * @param {Object} gameState - Current game state
+ */
+function startStreet(gameState) {
+  gameState.seats.forEach((seat) => {
+    seat.hasActed = false;
+  });
+  gameState.streetBet = getHighestCommitted(gameState);
+  gameState.minRaise = gameState.rules.raiseSize;
+  gameState.lastAction = null;
+  gameState.activePlayer = getSeatsAfter(gameState, gameState.dealer).find(canAct).role;
+}
+
 /**
  * Advance to next betting phase
  * @param {Object} gameState - Current game state
  */
 function advancePhase(gameState) {
-  // Check if both players are all-in (0 bullets) → go straight to showdown
-  if (gameState.player1Bullets === 0 && gameState.player2Bullets === 0) {
-    // Deal all remaining community cards and go to showdown
-    while (gameState.communityCards.length < 5) {
-      gameState.communityCards.push(gameState.deck.pop());
-    }
-    gameState.phase = PHASES.SHOWDOWN;
-    determineWinner(gameState);
+  // Fewer than two seats can still bet (the rest are all-in) → straight to showdown
+  if (gameState.seats.filter(canAct).length < 2) {
+    runOutBoard(gameState);
     return;
   }
 
@@ -343,30 +1046,31 @@ function advancePhase(gameState) {
         gameState.deck.pop()
       ];
       gameState.phase = PHASES.FLOP;
-      gameState.activePlayer = 'player1';
-      gameState.lastAction = null;
+      startStreet(gameState);
+      logHandEvent(gameState, 'board', { street: PHASES.FLOP, cards: gameState.communityCards.slice(0, 3) });
       break;
 
     case PHASES.FLOP:
       // Deal turn (1 card)
       gameState.communityCards.push(gameState.deck.pop());
       gameState.phase = PHASES.TURN;
-      gameState.activePlayer = 'player1';
-      gameState.lastAction = null;
+      startStreet(gameState);
+      logHandEvent(gameState, 'board', { street: PHASES.TURN, cards: gameState.communityCards.slice(3) });
       break;
 
     case PHASES.TURN:
       // Deal river (1 card)
       gameState.communityCards.push(gameState.deck.pop());
       gameState.phase = PHASES.RIVER;
-      gameState.activePlayer = 'player1';
-      gameState.lastAction = null;
+      startStreet(gameState);
+      logHandEvent(gameState, 'board', { street: PHASES.RIVER, cards: gameState.communityCards.slice(4) });
       break;
 
     case PHASES.RIVER:
       // Go to showdown
       gameState.phase = PHASES.SHOWDOWN;
-      determineWinner(gameState);
+      gameState.activePlayer = null;
+      resolveHand(gameState);
       break;
 
     default:
@@ -375,42 +1079,146 @@ function advancePhase(gameState) {
 }
 
 /**
- * Determine winner at showdown
+ * Give back the part of the biggest commitment nobody matched
+ * @param {Object} gameState - Current game state
+ * @param {Array} dealt - Seats dealt into the hand
+ * @returns {Object|null} { player, amount } refunded, or null
+ */
+function refundUncalled(gameState, dealt) {
+  const [top, second] = [...dealt].sort((a, b) => b.committed - a.committed);
+  const amount = top.committed - (second ? second.committed : 0);
+  if (amount <= 0) return null;
+
+  top.committed -= amount;
+  top.bullets += amount;
+  gameState.pot -= amount;
+  return { player: top.role, amount };
+}
+
+/**
+ * Split the commitments into a main pot and side pots
+ * A seat can only win the pots it matched; folded bullets still count
+ * @param {Array} dealt - Seats dealt into the hand
+ * @param {Array} contenders - Seats that did not fold
+ * @returns {Array} [{ amount, eligible }] main pot first
+ */
+function buildPots(dealt, contenders) {
+  const levels = [...new Set(contenders.map(seat => seat.committed))].sort((a, b) => a - b);
+  let previous = 0;
+
+  const pots = levels.map((level) => {
+    const amount = dealt.reduce((sum, seat) => sum + Math.max(0, Math.min(seat.committed, level) - previous), 0);
+    const eligible = contenders.filter(seat => seat.committed >= level).map(seat => seat.role);
+    previous = level;
+    return { amount, eligible };
+  });
+
+  // Bullets folded above the last contender's level go to the last pot
+  pots[pots.length - 1].amount += dealt.reduce((sum, seat) => sum + Math.max(0, seat.committed - previous), 0);
+  return pots;
+}
+
+/**
+ * Roles holding the best hand among the eligible ones (several on a split)
+ * @param {Array} eligible - Eligible roles
+ * @param {Object} hands - Role -> best hand
+ * @returns {Array} Winning roles
+ */
+function getBestRoles(eligible, hands) {
+  return eligible.reduce((best, role) => {
+    if (best.length === 0) return [role];
+    const comparison = compareHands(hands[role], hands[best[0]]);
+    if (comparison > 0) return [role];
+    return comparison === 0 ? [...best, role] : best;
+  }, []);
+}
+
+/**
+ * Decide the hand: award the pots and line up every loser to shoot
+ * Losers are all seats dealt in (folded ones too) that won no pot,
+ * in order from the left of the button. Winners who only split pots are
+ * tied: with the halfOdds/fullOdds tie policies they shoot too. A hand
+ * with a tie stops in TIE until continueAfterTie
  * @param {Object} gameState - Current game state
  */
-function determineWinner(gameState) {
-  const hand1 = findBestHand(gameState.player1Hand, gameState.communityCards);
-  const hand2 = findBestHand(gameState.player2Hand, gameState.communityCards);
+function resolveHand(gameState) {
+  const dealt = getSeatsAfter(gameState, gameState.dealer).filter(seat => seat.inHand);
+  const contenders = dealt.filter(seat => !seat.folded);
+  const uncontested = contenders.length === 1;
+
+  const refund = refundUncalled(gameState, dealt);
+
+  const hands = {};
+  if (!uncontested) {
+    contenders.forEach((seat) => {
+      hands[seat.role] = findBestHand(seat.hand, gameState.communityCards, gameState.rules.gameMode);
+    });
+  }
+
+  gameState.pots = buildPots(dealt, contenders).map(pot => ({
+    ...pot,
+    winners: uncontested ? pot.eligible : getBestRoles(pot.eligible, hands)
+  }));
+  gameState.winners = dealt
+    .filter(seat => gameState.pots.some(pot => pot.winners.includes(seat.role)))
+    .map(seat => seat.role);
+  gameState.tied = gameState.winners.filter(role =>
+    gameState.pots.every(pot => !pot.winners.includes(role) || pot.winners.length > 1));
+
+  const { tiePolicy } = gameState.rules;
+  const tiedShoot = tiePolicy === TIE_POLICIES.HALF_ODDS || tiePolicy === TIE_POLICIES.FULL_ODDS;
+  gameState.losers = dealt
+    .filter(seat => !gameState.winners.includes(seat.role) || (tiedShoot && gameState.tied.includes(seat.role)))
+    .map(seat => seat.role);
+  gameState.loser = gameState.losers[0] || null;
+  gameState.shots = [];
+  gameState.handResult = uncontested ? null : hands;
+
+  if (gameState.match) {
+    gameState.winners.filter(role => !gameState.tied.includes(role)).forEach((role) => {
+      gameState.match.handsWon[role]++;
+    });
+  }
 
-  const comparison = compareHands(hand1, hand2);
+  // Nobody shoots: reveal the seed now, before the next (or replayed) hand locks a new one
+  const revealed = gameState.loser ? null : revealHandSeed(gameState.fairness);
 
-  if (comparison > 0) {
-    gameState.winner = 'player1';
-    gameState.loser = 'player2';
-  } else if (comparison < 0) {
-    gameState.winner = 'player2';
-    gameState.loser = 'player1';
+  logHandEvent(gameState, 'showdown', {
+    winners: gameState.winners,
+    tied: gameState.tied,
+    losers: gameState.losers,
+    pots: gameState.pots,
+    handResult: gameState.handResult,
+    uncontested,
+    ...(refund && { refund }),
+    ...(revealed && { seed: revealed })
+  });
+
+  if (gameState.tied.length > 0) {
+    gameState.phase = PHASES.TIE;
   } else {
-    // Tie - both shoot? Or replay? For now, no one shoots on tie
-    gameState.winner = null;
-    gameState.loser = null;
+    gameState.phase = PHASES.SHOOTING;
   }
+}
 
-  gameState.handResult = {
-    player1Hand: hand1,
-    player2Hand: hand2
-  };
+/**
+ * Move on from a tie once it has been shown: losers (and tied players, if
+ * the policy says so) shoot, the tied seats replay, or the next hand starts
+ * @param {Object} gameState - Current game state
+ */
+function continueAfterTie(gameState) {
+  if (gameState.phase !== PHASES.TIE) return;
 
   if (gameState.loser) {
     gameState.phase = PHASES.SHOOTING;
   } else {
-    // Tie - start new hand
-    startNewHand(gameState);
+    startNewHand(gameState, gameState.rules.tiePolicy === TIE_POLICIES.REPLAY);
   }
 }
 
 /**
- * Execute shooting mechanic
+ * Execute shooting mechanic for the loser holding the revolver
+ * Each loser's roll is the next one of the hand's roll stream
  * @param {Object} gameState - Current game state
  * @returns {Object} Shooting result
  */
@@ -419,36 +1227,440 @@ function executeShoot(gameState) {
     return { survived: true, message: 'No one needs to shoot' };
   }
 
-  const loserCommitted = gameState[`${gameState.loser}Committed`];
-  const deathProbability = loserCommitted / MAX_BULLETS;
-  const randomRoll = Math.random();
+  const shooter = gameState.loser;
+  const seat = getSeat(gameState, shooter);
+  const halfOdds = gameState.rules.tiePolicy === TIE_POLICIES.HALF_ODDS && gameState.tied.includes(shooter);
+  const deathProbability = getDeathProbability(gameState.rules, seat.committed, seat.cylinder) * (halfOdds ? 0.5 : 1);
+  const shotIndex = gameState.shots.length;
+  const handSeed = gameState.fairness.hand;
+  const randomRoll = handSeed ? getRoll(handSeed, shotIndex) : Math.random();
+  const nextShooter = gameState.losers[shotIndex + 1] || null;
 
-  const died = randomRoll < deathProbability;
+  // The hand is over once the last loser has pulled the trigger: reveal its seed
+  const revealed = nextShooter ? null : revealHandSeed(gameState.fairness);
 
-  // Get loser's nickname from players object (will be passed from server)
-  const loserNickname = gameState.players[gameState.loser]?.nickname || gameState.loser;
+  const died = randomRoll < deathProbability;
+  const shot = {
+    player: shooter,
+    committed: seat.committed,
+    probability: deathProbability,
+    roll: randomRoll,
+    survived: !died,
+    chamber: seat.cylinder ? seat.cylinder.position : null,
+    seed: revealed
+  };
+  if (seat.cylinder) advanceCylinder(seat.cylinder);
+  gameState.shots.push({ player: shooter, probability: deathProbability, roll: randomRoll, survived: !died });
 
   if (died) {
-    gameState[`${gameState.loser}Bullets`] = 0; // Dead
-    gameState.phase = PHASES.GAME_OVER;
-    return {
-      survived: false,
-      probability: deathProbability,
-      roll: randomRoll,
-      message: `${loserNickname} died! (${(deathProbability * 100).toFixed(1)}% chance)`
-    };
+    seat.bullets = 0; // Dead
+    seat.eliminated = true;
+  }
+
+  // Next loser takes the revolver; after the last shot the game is over,
+  // or in match mode the survivors play on unless the match is decided
+  if (nextShooter) {
+    gameState.loser = nextShooter;
+    if (gameState.match) recordMatchShot(gameState, shot, false);
+  } else if (gameState.match) {
+    recordMatchShot(gameState, shot, true);
   } else {
-    // Survived → go to GAME_OVER (not start new hand automatically)
     gameState.phase = PHASES.GAME_OVER;
-    const result = {
-      survived: true,
-      probability: deathProbability,
-      roll: randomRoll,
-      message: `${loserNickname} survived! (${(deathProbability * 100).toFixed(1)}% chance)`
-    };
-    
-    return result;
   }
+  logHandEvent(gameState, 'shoot', shot);
+
+  const shooterNickname = seat.player?.nickname || shooter;
+  const chance = `${(deathProbability * 100).toFixed(1)}% chance`;
+
+  return {
+    player: shooter,
+    survived: !died,
+    probability: deathProbability,
+    roll: randomRoll,
+    shot: shotIndex,
+    chamber: shot.chamber,
+    fairness: revealed,
+    nextShooter,
+    nextHand: gameState.phase === PHASES.HAND_OVER,
+    message: died ? `${shooterNickname} died! (${chance})` : `${shooterNickname} survived! (${chance})`
+  };
+}
+
+/**
+ * Deal a Liar's Deck round (startNewHand does this on Liar's Deck tables)
+ * Every live seat gets the same number of cards, a table card is drawn from
+ * the hand's fair stream and the first seat after the button claims first.
+ * Bullets loaded by lost challenges stay loaded for the whole game
+ * @param {Object} gameState - Current game state
+ * @param {Array} live - Seats dealt in
+ */
+function startLiarRound(gameState, live) {
+  // A round that never finished (player left) gets its seed revealed now
+  revealHandSeed(gameState.fairness);
+
+  gameState.handNumber++;
+  const seed = lockHandSeed(
+    gameState.fairness,
+    combineClientSeeds(live.map(seat => seat.player.clientSeed)),
+    gameState.handNumber
+  );
+
+  gameState.deck = getDeck(seed, createLiarDeck());
+  gameState.communityCards = [];
+  gameState.pot = 0;
+  gameState.currentBet = 0;
+  gameState.blinds = null;
+  gameState.lastAction = null;
+  gameState.winners = [];
+  gameState.tied = [];
+  gameState.losers = [];
+  gameState.loser = null;
+  gameState.shots = [];
+  gameState.pots = [];
+  gameState.handResult = null;
+  gameState.switchOptions = {};
+  gameState.handsPlayed++;
+  gameState.liar = {
+    tableCard: pickTableCard(createFairRandom(seed.serverSeed, seed.clientSeed, seed.nonce, 'table_card')),
+    pile: 0,         // Cards laid face down this round
+    lastClaim: null, // { player, cards } of the last claim (cards stay on the server until called)
+    reveal: null     // { player, cards, truthful, accuser } once someone called "Liar!"
+  };
+
+  gameState.seats.forEach((seat) => {
+    seat.hand = [];
+    seat.folded = false;
+    seat.hasActed = false;
+    seat.inHand = live.includes(seat);
+  });
+
+  // Deal one card at a time, starting left of the button (bigger tables get fewer cards)
+  const dealOrder = getSeatsAfter(gameState, gameState.dealer).filter(seat => seat.inHand);
+  const handSize = Math.min(LIAR_HAND_SIZE, Math.floor(gameState.deck.length / dealOrder.length));
+  for (let i = 0; i < handSize; i++) {
+    dealOrder.forEach(seat => seat.hand.push(gameState.deck.pop()));
+  }
+
+  gameState.phase = LIAR_PHASES.CLAIM;
+  gameState.activePlayer = dealOrder[0].role;
+
+  logHandEvent(gameState, 'hand_start', {
+    fairness: { serverSeedHash: seed.serverSeedHash, clientSeed: seed.clientSeed, nonce: seed.nonce },
+    dealer: gameState.dealer,
+    players: Object.fromEntries(dealOrder.map(seat => [seat.role, {
+      nickname: seat.player.nickname,
+      isBot: Boolean(seat.player.isBot),
+      profileId: seat.player.profileId || null
+    }])),
+    tableCard: gameState.liar.tableCard,
+    replay: false
+  });
+}
+
+/**
+ * Seat that claims after a role: the next one still holding cards, or the
+ * next one at all if nobody else has cards (it can only call "Liar!")
+ * @param {Object} gameState - Current game state
+ * @param {String} role - Seat that just claimed
+ * @returns {Object} Seat
+ */
+function getNextClaimant(gameState, role) {
+  const others = getSeatsAfter(gameState, role).filter(seat => seat.inHand && seat.role !== role);
+  return others.find(seat => seat.hand.length > 0) || others[0];
+}
+
+/**
+ * Liar's Deck actions open to the seat to act
+ * @param {Object} gameState - Current game state
+ * @returns {Array} LIAR_ACTIONS values
+ */
+function getLiarActions(gameState) {
+  const seat = getSeat(gameState, gameState.activePlayer);
+  if (!seat || gameState.phase !== LIAR_PHASES.CLAIM) return [];
+
+  const actions = [];
+  if (seat.hand.length > 0) actions.push(LIAR_ACTIONS.PLAY);
+  if (gameState.liar.lastClaim) actions.push(LIAR_ACTIONS.LIAR);
+  return actions;
+}
+
+/**
+ * Process a Liar's Deck action
+ * PLAY lays the chosen cards face down as the table card; LIAR turns the
+ * last claim over. A caught liar, or the accuser of an honest claim, loads
+ * one more bullet and shoots once the reveal has been shown
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @param {String} action - LIAR_ACTIONS value
+ * @param {Array} cardIndexes - PLAY: indexes of the cards to lay (1 to MAX_CLAIM_CARDS)
+ * @returns {Object} Result with success and message
+ */
+function processLiarAction(gameState, player, action, cardIndexes = []) {
+  if (gameState.phase !== LIAR_PHASES.CLAIM) {
+    return { success: false, message: 'No claims in this phase' };
+  }
+  if (gameState.activePlayer !== player) {
+    return { success: false, message: 'Not your turn' };
+  }
+
+  const seat = getSeat(gameState, player);
+  const { liar } = gameState;
+  const available = getLiarActions(gameState);
+  const nickname = seat.player?.nickname || player;
+
+  switch (action) {
+    case LIAR_ACTIONS.PLAY: {
+      if (!available.includes(LIAR_ACTIONS.PLAY)) {
+        return { success: false, message: 'No cards left, call Liar!' };
+      }
+      const indexes = Array.isArray(cardIndexes) ? cardIndexes : [];
+      const chosen = [...new Set(indexes)];
+      if (chosen.length === 0 || chosen.length > MAX_CLAIM_CARDS || chosen.length !== indexes.length ||
+          !chosen.every(index => Number.isInteger(index) && index >= 0 && index < seat.hand.length)) {
+        return { success: false, message: `Lay 1 to ${MAX_CLAIM_CARDS} of your cards` };
+      }
+
+      const cards = chosen.map(index => seat.hand[index]);
+      seat.hand = seat.hand.filter((_, index) => !chosen.includes(index));
+      seat.hasActed = true;
+      liar.pile += cards.length;
+      liar.lastClaim = { player, cards };
+      gameState.lastAction = { player, action };
+      gameState.activePlayer = getNextClaimant(gameState, player).role;
+
+      const message = `${nickname} claims ${cards.length} × ${liar.tableCard}`;
+      logHandEvent(gameState, 'claim', { player, count: cards.length, cards, message });
+      return { success: true, message };
+    }
+
+    case LIAR_ACTIONS.LIAR: {
+      if (!available.includes(LIAR_ACTIONS.LIAR)) {
+        return { success: false, message: 'No claim to call' };
+      }
+      const claim = liar.lastClaim;
+      const truthful = isTruthfulClaim(claim.cards, liar.tableCard);
+      const winner = truthful ? claim.player : player;
+      const loser = truthful ? player : claim.player;
+
+      // The loser loads one more bullet before pulling the trigger
+      const loserSeat = getSeat(gameState, loser);
+      const loaded = Math.min(1, loserSeat.bullets);
+      loserSeat.bullets -= loaded;
+      loserSeat.committed += loaded;
+
+      liar.reveal = { player: claim.player, cards: claim.cards, truthful, accuser: player };
+      gameState.lastAction = { player, action };
+      gameState.activePlayer = null;
+      gameState.winners = [winner];
+      gameState.losers = [loser];
+      gameState.loser = loser;
+      gameState.shots = [];
+      if (gameState.match) gameState.match.handsWon[winner]++;
+
+      const message = truthful
+        ? `${nickname} called Liar! but the claim was true`
+        : `${nickname} called Liar! and caught a lie`;
+      logHandEvent(gameState, 'challenge', { player, claimant: claim.player, cards: claim.cards, truthful, message });
+      logHandEvent(gameState, 'showdown', { winners: gameState.winners, tied: [], losers: gameState.losers, pots: [], handResult: null });
+      gameState.phase = LIAR_PHASES.REVEAL;
+      return { success: true, message };
+    }
+
+    default:
+      return { success: false, message: 'Invalid action' };
+  }
+}
+
+/**
+ * Move on from a called bluff once it has been shown: the loser shoots
+ * @param {Object} gameState - Current game state
+ */
+function continueAfterReveal(gameState) {
+  if (gameState.phase !== LIAR_PHASES.REVEAL) return;
+  gameState.phase = PHASES.SHOOTING;
+}
+
+/**
+ * Check whether a player may switch a card right now
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @returns {Object} { success, message }
+ */
+function canSwitch(gameState, player) {
+  const seat = getSeat(gameState, player);
+
+  if (!seat?.player) {
+    return { success: false, message: 'Only players can switch cards' };
+  }
+  if (!BETTING_PHASES.includes(gameState.phase)) {
+    return { success: false, message: 'Can only switch during betting' };
+  }
+  if (gameState.activePlayer !== player) {
+    return { success: false, message: 'Not your turn' };
+  }
+  if (seat.player.hasSwitched) {
+    return { success: false, message: 'Already switched this hand' };
+  }
+  if (getContenders(gameState).some(s => s.bullets === 0)) {
+    return { success: false, message: 'Cannot switch when someone is all-in' };
+  }
+  return { success: true };
+}
+
+/**
+ * Offer random cards from the deck to switch with
+ * The options are remembered so the player can only pick one of them
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @returns {Object} { success, message, options }
+ */
+function requestSwitchOptions(gameState, player) {
+  const check = canSwitch(gameState, player);
+  if (!check.success) return check;
+
+  // Asking again on the same street returns the same options (no rerolling)
+  const pending = gameState.switchOptions[player];
+  if (pending && pending.phase === gameState.phase) {
+    return { success: true, options: pending.cards };
+  }
+
+  // Pick random cards from deck (don't remove them yet), drawn from the
+  // hand's private stream: replays offer the same cards, the revealed seed doesn't
+  const random = createPrivateRandom(gameState.fairness, `switch:${player}:${gameState.phase}`);
+  const options = [];
+  const tempDeck = [...gameState.deck];
+  for (let i = 0; i < SWITCH_OPTION_COUNT && tempDeck.length > 0; i++) {
+    const randomIndex = Math.floor(random() * tempDeck.length);
+    options.push(tempDeck.splice(randomIndex, 1)[0]);
+  }
+
+  gameState.switchOptions[player] = { phase: gameState.phase, cards: options };
+  return { success: true, options };
+}
+
+/**
+ * Replace one hole card with one of the offered switch options
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @param {Number} cardIndex - Index of the hole card to give up
+ * @param {Number} optionIndex - Index into the offered options
+ * @returns {Object} { success, message }
+ */
+function executeSwitch(gameState, player, cardIndex, optionIndex) {
+  const check = canSwitch(gameState, player);
+  if (!check.success) return check;
+
+  const seat = getSeat(gameState, player);
+  const hand = seat.hand;
+  if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= hand.length) {
+    return { success: false, message: 'Invalid card index' };
+  }
+
+  const pending = gameState.switchOptions[player];
+  if (!pending || pending.phase !== gameState.phase) {
+    return { success: false, message: 'Request switch options first' };
+  }
+  if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= pending.cards.length) {
+    return { success: false, message: 'Invalid option index' };
+  }
+
+  // Swap: the chosen card leaves the deck and the old card goes to its bottom
+  const oldCard = hand[cardIndex];
+  const newCard = applySwitch(gameState.deck, oldCard, pending.cards[optionIndex]);
+  if (!newCard) {
+    return { success: false, message: 'Switch option no longer available' };
+  }
+  hand[cardIndex] = newCard;
+  logHandEvent(gameState, 'switch', { player, street: gameState.phase, cardIndex, oldCard, newCard: hand[cardIndex] });
+
+  seat.player.hasSwitched = true;
+  gameState.switchOptions[player] = null;
+
+  return { success: true, message: `${player} switched a card` };
+}
+
+/**
+ * Set the client seed a player contributes to future shuffles and rolls
+ * Takes effect from the next hand (the current hand's seed is already locked)
+ * @param {Object} gameState - Current game state
+ * @param {String} player - Seat role
+ * @param {String} seed - Client seed (up to 64 characters, no ':')
+ * @returns {Object} { success, message }
+ */
+function setClientSeed(gameState, player, seed) {
+  const seated = getPlayer(gameState, player);
+  if (!seated) {
+    return { success: false, message: 'Only players can set a client seed' };
+  }
+  if (!isValidClientSeed(seed)) {
+    return { success: false, message: 'Client seed must be up to 64 characters without ":"' };
+  }
+
+  seated.clientSeed = seed;
+  return { success: true, message: `${player} set a client seed` };
+}
+
+/**
+ * Start the clock for whoever is to act, settling the previous clock first
+ * Call after every change of activePlayer (new hand, successful action)
+ * @param {Object} gameState - Current game state
+ * @param {Number} time - Current time in ms
+ * @returns {Object|null} New turn clock, or null if nobody is on the clock
+ */
+function startTurnClock(gameState, time = now()) {
+  // Time used beyond the base clock comes out of the time bank
+  const previous = gameState.turnClock;
+  if (previous) {
+    const overtime = time - previous.startedAt - gameState.rules.turnTimeMs;
+    const previousSeat = getSeat(gameState, previous.player);
+    if (overtime > 0 && previousSeat) {
+      previousSeat.timeBank = Math.max(0, previousSeat.timeBank - overtime);
+    }
+  }
+
+  const player = gameState.activePlayer;
+  if (!gameState.rules.turnTimeMs || !player || !ACTING_PHASES.includes(gameState.phase)) {
+    gameState.turnClock = null;
+    return null;
+  }
+
+  gameState.turnClock = {
+    player,
+    startedAt: time,
+    deadline: time + gameState.rules.turnTimeMs + getSeat(gameState, player).timeBank
+  };
+  return gameState.turnClock;
+}
+
+/**
+ * Act for a player whose clock ran out: check if legal, otherwise fold
+ * (Liar's Deck: lay the first card if possible, otherwise call "Liar!")
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Result with success and message
+ */
+function handleTurnTimeout(gameState) {
+  const clock = gameState.turnClock;
+  if (!clock || clock.player !== gameState.activePlayer) {
+    return { success: false, message: 'No turn clock running' };
+  }
+
+  const player = clock.player;
+  logHandEvent(gameState, 'timeout', { player });
+
+  let result;
+  if (gameState.liar) {
+    result = getLiarActions(gameState).includes(LIAR_ACTIONS.PLAY)
+      ? processLiarAction(gameState, player, LIAR_ACTIONS.PLAY, [0])
+      : processLiarAction(gameState, player, LIAR_ACTIONS.LIAR);
+  } else {
+    const canCheck = getSeat(gameState, player).committed === getHighestCommitted(gameState);
+    result = processAction(gameState, player, canCheck ? ACTIONS.CHECK : ACTIONS.FOLD);
+  }
+
+  return {
+    ...result,
+    message: `${player} timed out: ${result.message}`
+  };
 }
 
 /**
@@ -457,36 +1669,36 @@ function executeShoot(gameState) {
  * @returns {Array} Array of available action strings
  */
 function getAvailableActions(gameState) {
+  if (gameState.liar) return getLiarActions(gameState);
+
   const player = gameState.activePlayer;
-  if (!player) return [];
+  if (!player || !BETTING_PHASES.includes(gameState.phase)) return [];
 
-  const opponent = player === 'player1' ? 'player2' : 'player1';
-  const playerBullets = gameState[`${player}Bullets`];
-  const playerCommitted = gameState[`${player}Committed`];
-  const opponentCommitted = gameState[`${opponent}Committed`];
+  const seat = getSeat(gameState, player);
+  const highest = getHighestCommitted(gameState);
+  const betCap = getBetCap(gameState);
 
   const actions = [];
 
   // Always can fold
   actions.push(ACTIONS.FOLD);
 
-  // If opponent bet more (including all-in case)
-  if (opponentCommitted > playerCommitted) {
-    const toCall = opponentCommitted - playerCommitted;
-    
-    // Can call if has enough bullets to match
-    if (playerBullets >= toCall) {
+  if (highest > seat.committed) {
+    // Someone bet more (including all-in): call if there are bullets to match
+    if (seat.bullets >= highest - seat.committed && highest <= betCap) {
       actions.push(ACTIONS.CALL);
     }
   } else {
-    // If bets are equal, can call to continue (+1 bullet)
-    if (playerBullets >= 1) {
-      actions.push(ACTIONS.CALL);
-    }
+    actions.push(ACTIONS.CHECK);
+  }
+
+  // Bet or raise to a chosen size (see getRaiseRange)
+  if (getRaiseRange(gameState, player)) {
+    actions.push(highest > gameState.streetBet ? ACTIONS.RAISE : ACTIONS.BET);
   }
 
-  // Can always all-in if has bullets
-  if (playerBullets > 0) {
+  // All-in if has bullets and the cap allows it
+  if (seat.bullets > 0 && canGoAllIn(gameState, player)) {
     actions.push(ACTIONS.ALL_IN);
   }
 
@@ -496,14 +1708,35 @@ function getAvailableActions(gameState) {
 module.exports = {
   PHASES,
   ACTIONS,
-  MAX_BULLETS,
+  LIAR_PHASES,
+  LIAR_ACTIONS,
+  BETTING_PHASES,
+  runAt,
   createGameState,
+  isSeatRole,
+  getSeat,
+  getPlayer,
+  getSeatedRoles,
+  getHighestCommitted,
+  getRaiseRange,
   addPlayer,
   removePlayer,
+  disconnectPlayer,
+  reconnectPlayer,
+  dropConnections,
   canStartGame,
   resetGame,
   startNewHand,
+  continueAfterTie,
   processAction,
+  processLiarAction,
+  continueAfterReveal,
+  requestSwitchOptions,
+  executeSwitch,
   executeShoot,
+  forfeitMatch,
+  setClientSeed,
+  startTurnClock,
+  handleTurnTimeout,
   getAvailableActions
 };
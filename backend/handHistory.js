@@ -0,0 +1,205 @@
+/**
+ * Hand History Module
+ * Collects the game's hand log into stored, replayable hand histories
+ */
+
+const { getPlayer } = require('./gameLogic');
+const { getPublicRules } = require('./rules');
+const { normalizeRoomCode } = require('./roomManager');
+const { recordHandStats } = require('./profiles');
+
+// Finished hands kept in memory (oldest are dropped first)
+const MAX_HISTORIES = Number(process.env.HAND_HISTORY_LIMIT) || 1000;
+
+const histories = [];              // Finished hands, oldest first
+const historiesById = new Map();   // id -> history
+const openHands = new Map();       // roomCode -> history being recorded
+let nextId = 1;
+
+/**
+ * Start recording a hand from its hand_start event
+ * @param {Object} room - Room the hand is played in
+ * @param {Object} event - hand_start event
+ * @returns {Object} Open history
+ */
+function createHistory(room, event) {
+  const roles = Object.keys(event.players);
+
+  return {
+    id: nextId++,
+    roomCode: room.code,
+    roomName: room.name,
+    handNumber: event.handNumber,
+    startedAt: event.at,
+    endedAt: null,
+    rules: getPublicRules(room.gameState.rules),
+    players: event.players,
+    winners: [],
+    losers: [],
+    outcome: null, // 'survived' | 'died' | 'tie' | 'abandoned'
+    events: [],
+    // Never sent: used to decide whose switches a requester may see
+    sessionTokens: Object.fromEntries(roles.map(role => [role, getPlayer(room.gameState, role)?.sessionToken || null]))
+  };
+}
+
+/**
+ * Close the open hand of a room, store it and add it to player stats
+ * @param {String} roomCode - Room code
+ * @param {String} outcome - How the hand ended
+ * @param {Boolean} countStats - Add the hand to player stats
+ */
+function finishHand(roomCode, outcome, countStats = true) {
+  const history = openHands.get(roomCode);
+  if (!history) return;
+
+  openHands.delete(roomCode);
+  history.outcome = outcome;
+  history.endedAt = history.events.length > 0
+    ? history.events[history.events.length - 1].at
+    : history.startedAt;
+
+  histories.push(history);
+  historiesById.set(history.id, history);
+  while (histories.length > MAX_HISTORIES) {
+    historiesById.delete(histories.shift().id);
+  }
+  if (countStats) recordHandStats(history);
+}
+
+/**
+ * Drain a room's hand log into its histories
+ * Call after anything that may have changed the hand
+ * @param {Object} room - Room
+ * @param {Object} options - { countStats: false when the hands were replayed
+ *   from the event log and already counted before a restart }
+ */
+function recordHandEvents(room, { countStats = true } = {}) {
+  const events = room.gameState.handLog.splice(0);
+
+  events.forEach((event) => {
+    if (event.type === 'hand_start') {
+      finishHand(room.code, 'abandoned', countStats);
+      openHands.set(room.code, createHistory(room, event));
+    }
+
+    const history = openHands.get(room.code);
+    if (!history || history.handNumber !== event.handNumber) return;
+    history.events.push(event);
+
+    if (event.type === 'showdown') {
+      history.winners = event.winners;
+      history.losers = event.losers;
+      if (event.losers.length === 0) finishHand(room.code, 'tie', countStats);
+    } else if (event.type === 'shoot') {
+      // Every loser shoots: the hand ends with the last shot
+      const shots = history.events.filter(e => e.type === 'shoot');
+      if (shots.length >= history.losers.length) {
+        finishHand(room.code, shots.every(shot => shot.survived) ? 'survived' : 'died', countStats);
+      }
+    }
+  });
+}
+
+/**
+ * Store a room's unfinished hand as abandoned (room closed mid-hand)
+ * @param {String} roomCode - Room code
+ */
+function abandonHand(roomCode) {
+  finishHand(roomCode, 'abandoned');
+}
+
+/**
+ * Short description of a hand for lists
+ * @param {Object} history - Stored history
+ * @returns {Object} Summary
+ */
+function getHandSummary(history) {
+  const last = history.events[history.events.length - 1];
+  return {
+    id: history.id,
+    roomCode: history.roomCode,
+    roomName: history.roomName,
+    handNumber: history.handNumber,
+    startedAt: history.startedAt,
+    endedAt: history.endedAt,
+    players: Object.fromEntries(Object.entries(history.players).map(([role, seat]) => [role, seat.nickname || null])),
+    winners: history.winners,
+    losers: history.losers,
+    outcome: history.outcome,
+    pot: last ? last.state.pot : 0
+  };
+}
+
+/**
+ * Finished hands, newest first
+ * @param {Object} filter - { roomCode, limit }
+ * @returns {Array} Hand summaries
+ */
+function listHandHistories({ roomCode, limit = 50 } = {}) {
+  const code = roomCode ? normalizeRoomCode(roomCode) : null;
+  return histories
+    .filter(history => !code || history.roomCode === code)
+    .slice(-Math.max(1, limit))
+    .reverse()
+    .map(getHandSummary);
+}
+
+/**
+ * Hide another seat's switches: the switch event loses which card went out and
+ * came in, and that seat's hole cards show as the final hand throughout
+ * @param {Array} events - Recorded events
+ * @param {String|null} viewerRole - Seat of the requester, or null
+ * @returns {Array} Events safe to send to the requester
+ */
+function redactEvents(events, viewerRole) {
+  const switched = events.filter(event => event.type === 'switch').map(event => event.player);
+  const hidden = [...new Set(switched)].filter(role => role !== viewerRole);
+  if (hidden.length === 0 || events.length === 0) return events;
+
+  const finalHands = events[events.length - 1].state.hands;
+
+  return events.map((event) => {
+    const hands = { ...event.state.hands };
+    hidden.forEach((role) => {
+      hands[role] = finalHands[role];
+    });
+    const state = { ...event.state, hands };
+
+    if (event.type === 'switch' && hidden.includes(event.player)) {
+      const { type, handNumber, at, player, street } = event;
+      return { type, handNumber, at, player, street, state };
+    }
+    return { ...event, state };
+  });
+}
+
+/**
+ * Full history of one hand as seen by the requester
+ * @param {Number|String} id - Hand id
+ * @param {Object} options - { sessionToken } of a seat in the hand (sees its own switches)
+ * @returns {Object|null} History with events, or null if unknown
+ */
+function getHandHistory(id, { sessionToken } = {}) {
+  const history = historiesById.get(Number(id));
+  if (!history) return null;
+
+  const viewerRole = Object.keys(history.players).find(role =>
+    sessionToken && history.sessionTokens[role] === sessionToken
+  ) || null;
+
+  return {
+    ...getHandSummary(history),
+    rules: history.rules,
+    seats: history.players,
+    viewerRole,
+    events: redactEvents(history.events, viewerRole)
+  };
+}
+
+module.exports = {
+  recordHandEvents,
+  abandonHand,
+  listHandHistories,
+  getHandHistory
+};
@@ -0,0 +1,78 @@
+/**
+ * Liar's Deck Module
+ * Cards and claims of the Liar's Deck mode: a 20-card deck of six queens,
+ * six kings, six aces and two jokers. Players lay cards face down claiming
+ * they are all the table card; jokers count as any table card.
+ */
+
+const SUITS = ['♠', '♥', '♦', '♣'];
+const TABLE_CARD_RANKS = ['Q', 'K', 'A'];
+const COPIES_PER_RANK = 6;
+const JOKERS = 2;
+const JOKER_RANK = 'Joker';
+
+// Cards in the deck that can back a claim, whatever the table card
+const MATCHING_CARDS = COPIES_PER_RANK + JOKERS;
+
+// Cards dealt to each player per round, and laid per claim
+const LIAR_HAND_SIZE = 5;
+const MAX_CLAIM_CARDS = 3;
+
+/**
+ * Create the unshuffled Liar's Deck
+ * Six copies of a rank share four suits, so cards are told apart by id ('Q1'-'Q6', 'Joker1', 'Joker2')
+ * @returns {Array} Cards { id, rank, suit }
+ */
+function createLiarDeck() {
+  const deck = [];
+  TABLE_CARD_RANKS.forEach((rank) => {
+    for (let i = 0; i < COPIES_PER_RANK; i++) {
+      deck.push({ id: `${rank}${i + 1}`, rank, suit: SUITS[i % SUITS.length] });
+    }
+  });
+  for (let i = 0; i < JOKERS; i++) {
+    deck.push({ id: `${JOKER_RANK}${i + 1}`, rank: JOKER_RANK, suit: '🃏' });
+  }
+  return deck;
+}
+
+/**
+ * Pick the rank every claim of a round is about
+ * @param {Function} random - RNG returning 0..1 (the hand's fair stream)
+ * @returns {String} 'Q', 'K' or 'A'
+ */
+function pickTableCard(random) {
+  return TABLE_CARD_RANKS[Math.floor(random() * TABLE_CARD_RANKS.length)];
+}
+
+/**
+ * Check a card may be laid as the table card
+ * @param {Object} card - Card
+ * @param {String} tableCard - Rank of the round's table card
+ * @returns {Boolean}
+ */
+function matchesTableCard(card, tableCard) {
+  return card.rank === tableCard || card.rank === JOKER_RANK;
+}
+
+/**
+ * Check a claim told the truth: every laid card is the table card or a joker
+ * @param {Array} cards - Cards laid face down
+ * @param {String} tableCard - Rank of the round's table card
+ * @returns {Boolean}
+ */
+function isTruthfulClaim(cards, tableCard) {
+  return cards.every(card => matchesTableCard(card, tableCard));
+}
+
+module.exports = {
+  TABLE_CARD_RANKS,
+  JOKER_RANK,
+  MATCHING_CARDS,
+  LIAR_HAND_SIZE,
+  MAX_CLAIM_CARDS,
+  createLiarDeck,
+  pickTableCard,
+  matchesTableCard,
+  isTruthfulClaim
+};
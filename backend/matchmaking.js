@@ -0,0 +1,172 @@
+/**
+ * Matchmaking Module
+ * Queue that pairs players by rating; the accepted rating gap widens
+ * the longer a player waits
+ */
+
+// Rating window: starts at BASE_WINDOW and grows by WINDOW_GROWTH_PER_SECOND up to MAX_WINDOW
+const BASE_WINDOW = 100;
+const WINDOW_GROWTH_PER_SECOND = 10;
+const MAX_WINDOW = 800;
+
+// Wait estimates: average of the last RECENT_WAITS matched waits, DEFAULT_WAIT_MS before any
+const RECENT_WAITS = 20;
+const DEFAULT_WAIT_MS = 30000;
+
+const queue = new Map();  // socketId -> entry, in join order
+const recentWaits = [];   // Waits of the last matched players, in ms
+
+/**
+ * Put a player in the queue (again)
+ * @param {Object} player - { socketId, nickname, profileId, profileToken, rating }
+ * @param {Number} joinedAt - When the wait started (kept when re-queueing)
+ * @returns {Object} Queue entry
+ */
+function joinQueue(player, joinedAt = Date.now()) {
+  const entry = { ...player, joinedAt };
+  queue.delete(player.socketId);
+  queue.set(player.socketId, entry);
+  return entry;
+}
+
+/**
+ * Take a socket out of the queue
+ * @param {String} socketId - Socket ID
+ * @returns {Boolean} true if it was queued
+ */
+function leaveQueue(socketId) {
+  return queue.delete(socketId);
+}
+
+/**
+ * Whether a socket is waiting for a match
+ * @param {String} socketId - Socket ID
+ * @returns {Boolean}
+ */
+function isQueued(socketId) {
+  return queue.has(socketId);
+}
+
+/**
+ * Rating gap a queued player currently accepts
+ * @param {Object} entry - Queue entry
+ * @param {Number} now - Current time in ms
+ * @returns {Number} Window half-width in rating points
+ */
+function getRatingWindow(entry, now = Date.now()) {
+  const waitedSeconds = Math.max(0, now - entry.joinedAt) / 1000;
+  return Math.min(MAX_WINDOW, BASE_WINDOW + waitedSeconds * WINDOW_GROWTH_PER_SECOND);
+}
+
+/**
+ * Whether two queued players may be paired: the gap must fit the wider
+ * of their windows, so a long wait is never held up by a newcomer
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @param {Number} now - Current time in ms
+ * @returns {Boolean}
+ */
+function canPair(a, b, now) {
+  if (a.profileId && a.profileId === b.profileId) return false; // Same profile in two tabs
+  return Math.abs(a.rating - b.rating) <= Math.max(getRatingWindow(a, now), getRatingWindow(b, now));
+}
+
+/**
+ * Pair everyone who can be paired, longest wait first, each with the
+ * closest acceptable rating; paired players leave the queue
+ * @param {Number} now - Current time in ms
+ * @returns {Array} [[entryA, entryB], ...]
+ */
+function findPairs(now = Date.now()) {
+  const waiting = Array.from(queue.values());
+  const paired = new Set();
+  const pairs = [];
+
+  waiting.forEach((entry) => {
+    if (paired.has(entry.socketId)) return;
+
+    const opponent = waiting
+      .filter(other => other !== entry && !paired.has(other.socketId) && canPair(entry, other, now))
+      .sort((x, y) => Math.abs(x.rating - entry.rating) - Math.abs(y.rating - entry.rating))[0];
+    if (!opponent) return;
+
+    paired.add(entry.socketId);
+    paired.add(opponent.socketId);
+    pairs.push([entry, opponent]);
+  });
+
+  pairs.forEach((pair) => {
+    pair.forEach((entry) => {
+      queue.delete(entry.socketId);
+      recentWaits.push(now - entry.joinedAt);
+    });
+  });
+  recentWaits.splice(0, Math.max(0, recentWaits.length - RECENT_WAITS));
+
+  return pairs;
+}
+
+/**
+ * Estimated time until a queued player is matched: the time for the
+ * window to reach the closest queued rating, or the recent average wait
+ * if nobody else is queued
+ * @param {Object} entry - Queue entry
+ * @param {Number} now - Current time in ms
+ * @returns {Number} Estimated remaining wait in ms
+ */
+function estimateWait(entry, now = Date.now()) {
+  const others = Array.from(queue.values()).filter(other => other !== entry && other.profileId !== entry.profileId);
+  const waitedMs = now - entry.joinedAt;
+
+  if (others.length > 0) {
+    const closest = Math.min(...others.map(other => Math.abs(other.rating - entry.rating)));
+    const widestWindow = Math.max(...others.map(other => getRatingWindow(other, now)), getRatingWindow(entry, now));
+    if (closest <= widestWindow) return 0;
+    if (closest <= MAX_WINDOW) {
+      return Math.ceil(((closest - widestWindow) / WINDOW_GROWTH_PER_SECOND) * 1000);
+    }
+  }
+
+  const average = recentWaits.length > 0
+    ? recentWaits.reduce((sum, wait) => sum + wait, 0) / recentWaits.length
+    : DEFAULT_WAIT_MS;
+  return Math.max(0, Math.round(average - waitedMs));
+}
+
+/**
+ * Queue status sent to a waiting player
+ * @param {String} socketId - Socket ID
+ * @param {Number} now - Current time in ms
+ * @returns {Object|null} { rating, window, waitedMs, estimatedWaitMs, queueSize } or null if not queued
+ */
+function getQueueStatus(socketId, now = Date.now()) {
+  const entry = queue.get(socketId);
+  if (!entry) return null;
+
+  return {
+    rating: entry.rating,
+    window: Math.round(getRatingWindow(entry, now)),
+    waitedMs: now - entry.joinedAt,
+    estimatedWaitMs: estimateWait(entry, now),
+    queueSize: queue.size
+  };
+}
+
+/**
+ * Socket IDs currently queued
+ * @returns {Array} Socket IDs
+ */
+function listQueuedSockets() {
+  return Array.from(queue.keys());
+}
+
+module.exports = {
+  joinQueue,
+  leaveQueue,
+  isQueued,
+  getRatingWindow,
+  findPairs,
+  estimateWait,
+  getQueueStatus,
+  listQueuedSockets
+};
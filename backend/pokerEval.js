@@ -1,11 +1,38 @@
 /**
  * Poker Hand Evaluator
- * Evaluates 5-card poker hands and compares them
+ * Evaluates 5-card poker hands and compares them, for Hold'em, Omaha and Short Deck
  */
 
+const { createSeededRandom } = require('./random');
+
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 const SUITS = ['♠', '♣', '♥', '♦'];
 
+// Poker variants: deck, hole cards and how the best hand is made
+const VARIANTS = {
+  holdem: {
+    name: 'Texas Hold\'em',
+    lowestRank: '2',
+    holeCards: 2,
+    holeCardsUsed: null, // Any mix of hole and board cards
+    wheelHigh: 5         // A-2-3-4-5
+  },
+  omaha: {
+    name: 'Omaha',
+    lowestRank: '2',
+    holeCards: 4,
+    holeCardsUsed: 2,    // Exactly two hole cards with three from the board
+    wheelHigh: 5
+  },
+  shortDeck: {
+    name: 'Short Deck',
+    lowestRank: '6',     // 36 cards, sixes and up
+    holeCards: 2,
+    holeCardsUsed: null,
+    wheelHigh: 9         // A-6-7-8-9
+  }
+};
+
 // Hand ranking constants (higher is better)
 const HAND_RANKS = {
   HIGH_CARD: 1,
@@ -20,14 +47,41 @@ const HAND_RANKS = {
   ROYAL_FLUSH: 10
 };
 
+// Short Deck: a flush is rarer than a full house with 36 cards, so it ranks above it
+const SHORT_DECK_HAND_RANKS = { ...HAND_RANKS, FULL_HOUSE: 6, FLUSH: 7 };
+
+/**
+ * Definition of a poker variant
+ * @param {String} variant - Key in VARIANTS
+ * @returns {Object} Variant definition
+ */
+function getVariant(variant) {
+  const definition = VARIANTS[variant];
+  if (!definition) {
+    throw new Error(`Unknown poker variant: ${variant}`);
+  }
+  return definition;
+}
+
 /**
- * Create a standard 52-card deck
+ * Hand ranking of a variant (higher is better)
+ * @param {String} variant - Key in VARIANTS
+ * @returns {Object} Hand name -> rank
+ */
+function getHandRanks(variant = 'holdem') {
+  return variant === 'shortDeck' ? SHORT_DECK_HAND_RANKS : HAND_RANKS;
+}
+
+/**
+ * Create a variant's deck (52 cards, or 36 for Short Deck)
+ * @param {String} variant - Key in VARIANTS
  * @returns {Array} Array of card objects {rank, suit, value}
  */
-function createDeck() {
+function createDeck(variant = 'holdem') {
+  const lowest = RANKS.indexOf(getVariant(variant).lowestRank);
   const deck = [];
   for (let suit of SUITS) {
-    for (let i = 0; i < RANKS.length; i++) {
+    for (let i = lowest; i < RANKS.length; i++) {
       deck.push({
         rank: RANKS[i],
         suit: suit,
@@ -41,12 +95,13 @@ function createDeck() {
 /**
  * Shuffle deck using Fisher-Yates algorithm
  * @param {Array} deck - Deck to shuffle
+ * @param {Function} random - RNG returning 0..1 (seeded for provably fair hands)
  * @returns {Array} Shuffled deck
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -74,21 +129,30 @@ function isFlush(cards) {
   return cards.every(card => card.suit === cards[0].suit);
 }
 
+/**
+ * Values of the lowest straight, the ace playing low (A-2-3-4-5, or A-6-7-8-9 in Short Deck)
+ * @param {Number} wheelHigh - High card of the wheel
+ * @returns {Array} Values, ascending with the ace last
+ */
+function wheelValues(wheelHigh) {
+  return [wheelHigh - 3, wheelHigh - 2, wheelHigh - 1, wheelHigh, 14];
+}
+
 /**
  * Check if cards form a straight
  * @param {Array} cards - Array of cards
+ * @param {Number} wheelHigh - High card of the variant's wheel
  * @returns {Boolean}
  */
-function isStraight(cards) {
+function isStraight(cards, wheelHigh = 5) {
   const values = cards.map(c => c.value).sort((a, b) => a - b);
   
   // Check regular straight
   for (let i = 0; i < values.length - 1; i++) {
     if (values[i + 1] !== values[i] + 1) {
-      // Check for A-2-3-4-5 (wheel straight)
+      // Check for the wheel (ace low)
       if (values[4] === 14) { // Has Ace
-        const wheel = [2, 3, 4, 5, 14];
-        if (JSON.stringify(values) === JSON.stringify(wheel)) {
+        if (JSON.stringify(values) === JSON.stringify(wheelValues(wheelHigh))) {
           return true;
         }
       }
@@ -101,15 +165,18 @@ function isStraight(cards) {
 /**
  * Evaluate a 5-card poker hand
  * @param {Array} cards - 5 cards to evaluate
+ * @param {String} variant - Key in VARIANTS (wheel and hand ranking)
  * @returns {Object} {rank, value, description}
  */
-function evaluateHand(cards) {
+function evaluateHand(cards, variant = 'holdem') {
   if (cards.length !== 5) {
     throw new Error('Hand must contain exactly 5 cards');
   }
 
+  const { wheelHigh } = getVariant(variant);
+  const ranks = getHandRanks(variant);
   const isFlushHand = isFlush(cards);
-  const isStraightHand = isStraight(cards);
+  const isStraightHand = isStraight(cards, wheelHigh);
   const rankCounts = countRanks(cards);
   const counts = Object.values(rankCounts).sort((a, b) => b - a);
   const uniqueValsDesc = Object.keys(rankCounts).map(Number).sort((a, b) => b - a);
@@ -124,18 +191,17 @@ function evaluateHand(cards) {
     return b.v - a.v;
   });
 
-  // Helper: highest card of a straight (handle wheel A-2-3-4-5)
+  // Helper: highest card of a straight (handle the wheel)
   const straightHigh = (cards) => {
     const vals = cards.map(c => c.value).sort((a, b) => a - b);
-    const wheel = JSON.stringify([2, 3, 4, 5, 14]);
-    if (JSON.stringify(vals) === wheel) return 5;
+    if (JSON.stringify(vals) === JSON.stringify(wheelValues(wheelHigh))) return wheelHigh;
     return Math.max(...vals);
   };
 
   // Royal Flush: A-K-Q-J-T all same suit
   if (isFlushHand && isStraightHand && uniqueValsDesc[0] === 14 && uniqueValsDesc[4] === 10) {
     return {
-      rank: HAND_RANKS.ROYAL_FLUSH,
+      rank: ranks.ROYAL_FLUSH,
       value: [14],
       description: 'Royal Flush'
     };
@@ -144,7 +210,7 @@ function evaluateHand(cards) {
   // Straight Flush
   if (isFlushHand && isStraightHand) {
     return {
-      rank: HAND_RANKS.STRAIGHT_FLUSH,
+      rank: ranks.STRAIGHT_FLUSH,
       value: [straightHigh(cards)],
       description: 'Straight Flush'
     };
@@ -155,7 +221,7 @@ function evaluateHand(cards) {
     const quad = groups.find(g => g.count === 4).v;
     const kicker = groups.find(g => g.count === 1).v;
     return {
-      rank: HAND_RANKS.FOUR_OF_KIND,
+      rank: ranks.FOUR_OF_KIND,
       value: [quad, kicker],
       description: 'Four of a Kind'
     };
@@ -166,7 +232,7 @@ function evaluateHand(cards) {
     const trip = groups.find(g => g.count === 3).v;
     const pair = groups.find(g => g.count === 2).v;
     return {
-      rank: HAND_RANKS.FULL_HOUSE,
+      rank: ranks.FULL_HOUSE,
       value: [trip, pair],
       description: 'Full House'
     };
@@ -175,7 +241,7 @@ function evaluateHand(cards) {
   // Flush
   if (isFlushHand) {
     return {
-      rank: HAND_RANKS.FLUSH,
+      rank: ranks.FLUSH,
       value: uniqueValsDesc,
       description: 'Flush'
     };
@@ -184,7 +250,7 @@ function evaluateHand(cards) {
   // Straight
   if (isStraightHand) {
     return {
-      rank: HAND_RANKS.STRAIGHT,
+      rank: ranks.STRAIGHT,
       value: [straightHigh(cards)],
       description: 'Straight'
     };
@@ -195,7 +261,7 @@ function evaluateHand(cards) {
     const trip = groups.find(g => g.count === 3).v;
     const kickers = groups.filter(g => g.count === 1).map(g => g.v).sort((a, b) => b - a);
     return {
-      rank: HAND_RANKS.THREE_OF_KIND,
+      rank: ranks.THREE_OF_KIND,
       value: [trip, ...kickers],
       description: 'Three of a Kind'
     };
@@ -206,7 +272,7 @@ function evaluateHand(cards) {
     const pairs = groups.filter(g => g.count === 2).map(g => g.v).sort((a, b) => b - a);
     const kicker = groups.find(g => g.count === 1).v;
     return {
-      rank: HAND_RANKS.TWO_PAIR,
+      rank: ranks.TWO_PAIR,
       value: [pairs[0], pairs[1], kicker],
       description: 'Two Pair'
     };
@@ -217,7 +283,7 @@ function evaluateHand(cards) {
     const pair = groups.find(g => g.count === 2).v;
     const kickers = groups.filter(g => g.count === 1).map(g => g.v).sort((a, b) => b - a);
     return {
-      rank: HAND_RANKS.PAIR,
+      rank: ranks.PAIR,
       value: [pair, ...kickers],
       description: 'Pair'
     };
@@ -225,32 +291,57 @@ function evaluateHand(cards) {
 
   // High Card
   return {
-    rank: HAND_RANKS.HIGH_CARD,
+    rank: ranks.HIGH_CARD,
     value: uniqueValsDesc,
     description: 'High Card'
   };
 }
 
 /**
- * Find best 5-card hand from 7 cards (2 hole + 5 community)
- * @param {Array} holeCards - Player's 2 hole cards
+ * Every 5-card hand a player may make under the variant's rules
+ * @param {Array} holeCards - Player's hole cards
+ * @param {Array} communityCards - Community cards so far
+ * @param {String} variant - Key in VARIANTS
+ * @returns {Array} 5-card combinations (empty if there aren't enough cards)
+ */
+function getPlayableHands(holeCards, communityCards, variant) {
+  const { holeCardsUsed } = getVariant(variant);
+
+  if (!holeCardsUsed) {
+    const allCards = [...holeCards, ...communityCards];
+    return allCards.length < 5 ? [] : getCombinations(allCards, 5);
+  }
+
+  const boardUsed = 5 - holeCardsUsed;
+  if (holeCards.length < holeCardsUsed || communityCards.length < boardUsed) return [];
+
+  const hands = [];
+  getCombinations(holeCards, holeCardsUsed).forEach((hole) => {
+    getCombinations(communityCards, boardUsed).forEach(board => hands.push([...hole, ...board]));
+  });
+  return hands;
+}
+
+/**
+ * Find best 5-card hand from the hole and community cards
+ * Evaluates every playable five-card combination; kept as the baseline of
+ * scripts/benchmarkEval.js
+ * @param {Array} holeCards - Player's hole cards
  * @param {Array} communityCards - Up to 5 community cards
+ * @param {String} variant - Key in VARIANTS
  * @returns {Object} Best hand evaluation
  */
-function findBestHand(holeCards, communityCards) {
-  const allCards = [...holeCards, ...communityCards];
+function findBestHandBruteForce(holeCards, communityCards, variant = 'holdem') {
+  const combinations = getPlayableHands(holeCards, communityCards, variant);
   
-  if (allCards.length < 5) {
+  if (combinations.length === 0) {
     return null; // Not enough cards to evaluate
   }
 
   let bestHand = null;
   
-  // Generate all 5-card combinations
-  const combinations = getCombinations(allCards, 5);
-  
   for (let combo of combinations) {
-    const evaluation = evaluateHand(combo);
+    const evaluation = evaluateHand(combo, variant);
     if (!bestHand || compareHands(evaluation, bestHand) > 0) {
       bestHand = evaluation;
       bestHand.cards = combo;
@@ -260,6 +351,275 @@ function findBestHand(holeCards, communityCards) {
   return bestHand;
 }
 
+// ========== Fast evaluator ==========
+// Ranks are kept as 13-bit masks (bit 0 = '2' ... bit 12 = 'A') so straights,
+// flushes and kickers come from table lookups and bit scans instead of
+// enumerating and sorting 5-card combinations.
+
+const SUIT_INDEX = { '♠': 0, '♣': 1, '♥': 2, '♦': 3 };
+
+/**
+ * Build lookup table: rank mask -> high card of the best straight in it (0 = none)
+ * @param {Number} wheelHigh - High card of the wheel (5: A-2-3-4-5, 9: A-6-7-8-9)
+ * @returns {Uint8Array} 8192-entry table
+ */
+function buildStraightTable(wheelHigh) {
+  const wheelMask = (1 << 12) | (0b1111 << (wheelHigh - 5));
+  const table = new Uint8Array(1 << 13);
+  for (let mask = 0; mask < table.length; mask++) {
+    for (let high = 14; high >= 6; high--) {
+      const run = 0b11111 << (high - 6);
+      if ((mask & run) === run) {
+        table[mask] = high;
+        break;
+      }
+    }
+    if (!table[mask] && (mask & wheelMask) === wheelMask) {
+      table[mask] = wheelHigh;
+    }
+  }
+  return table;
+}
+
+// Straight lookup per wheel
+const STRAIGHT_HIGH = {
+  5: buildStraightTable(5),
+  9: buildStraightTable(9)
+};
+
+// Scratch buffers reused between calls (evaluation is synchronous)
+const rankCounts = new Uint8Array(15);
+const suitMasks = new Int32Array(4);
+const suitCounts = new Uint8Array(4);
+
+/**
+ * Highest card values set in a rank mask
+ * @param {Number} mask - Rank mask
+ * @param {Number} n - How many values to take
+ * @returns {Array} Values, descending
+ */
+function topValues(mask, n) {
+  const values = [];
+  for (let v = 14; v >= 2 && values.length < n; v--) {
+    if (mask & (1 << (v - 2))) values.push(v);
+  }
+  return values;
+}
+
+/**
+ * Straight values from high card down (wheel ends with the ace)
+ * @param {Number} high - High card of the straight
+ * @param {Number} wheelHigh - High card of the variant's wheel
+ * @returns {Array} 5 values
+ */
+function straightValues(high, wheelHigh) {
+  return high === wheelHigh
+    ? [high, high - 1, high - 2, high - 3, 14]
+    : [high, high - 1, high - 2, high - 3, high - 4];
+}
+
+/**
+ * Pick the actual cards making up a hand
+ * @param {Array} cards - All available cards
+ * @param {Array} values - Value needed for each of the 5 cards
+ * @param {String} suit - Required suit (flush hands) or null
+ * @returns {Array} 5 cards
+ */
+function pickCards(cards, values, suit) {
+  const used = new Set();
+  return values.map(value => {
+    const card = cards.find(c => c.value === value && !used.has(c) && (!suit || c.suit === suit));
+    used.add(card);
+    return card;
+  });
+}
+
+/**
+ * Evaluate the best 5-card hand out of 5 to 7 cards without enumerating subsets
+ * @param {Array} cards - 5 to 7 cards
+ * @param {String} variant - Key in VARIANTS (wheel and hand ranking)
+ * @returns {Object} {rank, value, description, cards}
+ */
+function evaluateBestHand(cards, variant) {
+  const { wheelHigh } = getVariant(variant);
+  const ranks = getHandRanks(variant);
+  const straights = STRAIGHT_HIGH[wheelHigh];
+
+  rankCounts.fill(0);
+  suitMasks.fill(0);
+  suitCounts.fill(0);
+
+  let rankMask = 0;
+  for (let i = 0; i < cards.length; i++) {
+    const bit = 1 << (cards[i].value - 2);
+    const suit = SUIT_INDEX[cards[i].suit];
+    rankCounts[cards[i].value]++;
+    rankMask |= bit;
+    suitMasks[suit] |= bit;
+    suitCounts[suit]++;
+  }
+
+  let flushSuit = -1;
+  for (let s = 0; s < 4; s++) {
+    if (suitCounts[s] >= 5) flushSuit = s;
+  }
+  const flushSuitSymbol = flushSuit >= 0 ? SUITS.find(suit => SUIT_INDEX[suit] === flushSuit) : null;
+
+  // Straight Flush / Royal Flush
+  if (flushSuit >= 0) {
+    const high = straights[suitMasks[flushSuit]];
+    if (high === 14) {
+      return {
+        rank: ranks.ROYAL_FLUSH,
+        value: [14],
+        description: 'Royal Flush',
+        cards: pickCards(cards, straightValues(14, wheelHigh), flushSuitSymbol)
+      };
+    }
+    if (high) {
+      return {
+        rank: ranks.STRAIGHT_FLUSH,
+        value: [high],
+        description: 'Straight Flush',
+        cards: pickCards(cards, straightValues(high, wheelHigh), flushSuitSymbol)
+      };
+    }
+  }
+
+  // Group ranks by count, highest value first
+  let quad = 0;
+  const trips = [];
+  const pairs = [];
+  for (let v = 14; v >= 2; v--) {
+    if (rankCounts[v] === 4) quad = v;
+    else if (rankCounts[v] === 3) trips.push(v);
+    else if (rankCounts[v] === 2) pairs.push(v);
+  }
+
+  // Four of a Kind
+  if (quad) {
+    const [kicker] = topValues(rankMask & ~(1 << (quad - 2)), 1);
+    return {
+      rank: ranks.FOUR_OF_KIND,
+      value: [quad, kicker],
+      description: 'Four of a Kind',
+      cards: pickCards(cards, [quad, quad, quad, quad, kicker], null)
+    };
+  }
+
+  // Flush (checked before the full house where it ranks above it)
+  const flush = flushSuit >= 0 ? topValues(suitMasks[flushSuit], 5) : null;
+  const flushHand = flush && {
+    rank: ranks.FLUSH,
+    value: flush,
+    description: 'Flush',
+    cards: pickCards(cards, flush, flushSuitSymbol)
+  };
+  if (flushHand && ranks.FLUSH > ranks.FULL_HOUSE) {
+    return flushHand;
+  }
+
+  // Full House (a second set of trips can serve as the pair)
+  if (trips.length > 0 && (trips.length > 1 || pairs.length > 0)) {
+    const trip = trips[0];
+    const pair = Math.max(trips[1] || 0, pairs[0] || 0);
+    return {
+      rank: ranks.FULL_HOUSE,
+      value: [trip, pair],
+      description: 'Full House',
+      cards: pickCards(cards, [trip, trip, trip, pair, pair], null)
+    };
+  }
+
+  if (flushHand) {
+    return flushHand;
+  }
+
+  // Straight
+  const straightHigh = straights[rankMask];
+  if (straightHigh) {
+    return {
+      rank: ranks.STRAIGHT,
+      value: [straightHigh],
+      description: 'Straight',
+      cards: pickCards(cards, straightValues(straightHigh, wheelHigh), null)
+    };
+  }
+
+  // Three of a Kind
+  if (trips.length > 0) {
+    const trip = trips[0];
+    const kickers = topValues(rankMask & ~(1 << (trip - 2)), 2);
+    return {
+      rank: ranks.THREE_OF_KIND,
+      value: [trip, ...kickers],
+      description: 'Three of a Kind',
+      cards: pickCards(cards, [trip, trip, trip, ...kickers], null)
+    };
+  }
+
+  // Two Pair (a third pair can only serve as kicker)
+  if (pairs.length >= 2) {
+    const [high, low] = pairs;
+    const [kicker] = topValues(rankMask & ~(1 << (high - 2)) & ~(1 << (low - 2)), 1);
+    return {
+      rank: ranks.TWO_PAIR,
+      value: [high, low, kicker],
+      description: 'Two Pair',
+      cards: pickCards(cards, [high, high, low, low, kicker], null)
+    };
+  }
+
+  // Pair
+  if (pairs.length === 1) {
+    const pair = pairs[0];
+    const kickers = topValues(rankMask & ~(1 << (pair - 2)), 3);
+    return {
+      rank: ranks.PAIR,
+      value: [pair, ...kickers],
+      description: 'Pair',
+      cards: pickCards(cards, [pair, pair, ...kickers], null)
+    };
+  }
+
+  // High Card
+  const values = topValues(rankMask, 5);
+  return {
+    rank: ranks.HIGH_CARD,
+    value: values,
+    description: 'High Card',
+    cards: pickCards(cards, values, null)
+  };
+}
+
+/**
+ * Find best 5-card hand from the hole and community cards
+ * Hold'em and Short Deck take the best 5 of up to 7 cards in one pass;
+ * Omaha scores each pair of hole cards with each three board cards
+ * @param {Array} holeCards - Player's hole cards
+ * @param {Array} communityCards - Up to 5 community cards
+ * @param {String} variant - Key in VARIANTS
+ * @returns {Object} Best hand evaluation {rank, value, description, cards}
+ */
+function findBestHand(holeCards, communityCards, variant = 'holdem') {
+  if (getVariant(variant).holeCardsUsed) {
+    let bestHand = null;
+    getPlayableHands(holeCards, communityCards, variant).forEach((combo) => {
+      const evaluation = evaluateBestHand(combo, variant);
+      if (!bestHand || compareHands(evaluation, bestHand) > 0) bestHand = evaluation;
+    });
+    return bestHand;
+  }
+
+  const allCards = [...holeCards, ...communityCards];
+  
+  if (allCards.length < 5) {
+    return null; // Not enough cards to evaluate
+  }
+
+  return evaluateBestHand(allCards, variant);
+}
+
 /**
  * Get all k-length combinations from array
  * @param {Array} arr - Input array
@@ -299,11 +659,110 @@ function compareHands(hand1, hand2) {
   return 0; // Exact tie
 }
 
+/**
+ * Number of k-combinations of n items
+ * @param {Number} n - Pool size
+ * @param {Number} k - Items drawn
+ * @returns {Number} n choose k
+ */
+function countCombinations(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return Math.round(result);
+}
+
+/**
+ * Estimate a hand's equity by enumerating or simulating the unknown cards
+ * Enumerates every runout when there are few enough, otherwise Monte Carlo
+ * Against several opponents a win means beating all of them, a tie sharing the best hand
+ * @param {Array} holeCards - Player's hole cards
+ * @param {Array} communityCards - Board so far (0-5 cards)
+ * @param {Object} opts - {
+ *   variant: key in VARIANTS (default 'holdem'),
+ *   opponentHand: known opponent hole cards (otherwise a random hand),
+ *   opponentHands: known hole cards of several opponents (overrides opponentHand),
+ *   opponents: number of random opponent hands when none are known (default 1),
+ *   iterations: Monte Carlo samples (default 1000),
+ *   maxEnumerations: enumerate when runouts <= this (default 2000),
+ *   seed: makes the simulation deterministic,
+ *   random: custom RNG () => [0, 1) (overrides seed)
+ * }
+ * @returns {Object} { win, tie, lose } in percent, plus { samples, exact }
+ */
+function estimateEquity(holeCards, communityCards = [], opts = {}) {
+  const {
+    opponentHand = null,
+    opponents = 1,
+    iterations = 1000,
+    maxEnumerations = 2000,
+    variant = 'holdem',
+    seed
+  } = opts;
+  const holeCount = getVariant(variant).holeCards;
+  const random = opts.random || (seed !== undefined ? createSeededRandom(seed) : Math.random);
+  const knownHands = opts.opponentHands || (opponentHand ? [opponentHand] : null);
+  const randomHands = knownHands ? 0 : Math.max(1, opponents);
+
+  const known = new Set([...holeCards, ...communityCards, ...(knownHands || []).flat()].map(c => `${c.rank}${c.suit}`));
+  const unseen = createDeck(variant).filter(c => !known.has(`${c.rank}${c.suit}`));
+  const boardNeeded = 5 - communityCards.length;
+  const draw = boardNeeded + randomHands * holeCount;
+
+  let win = 0;
+  let tie = 0;
+  let samples = 0;
+
+  const score = (drawn) => {
+    const hands = knownHands || Array.from({ length: randomHands }, (_, i) => drawn.slice(i * holeCount, (i + 1) * holeCount));
+    const board = [...communityCards, ...drawn.slice(randomHands * holeCount)];
+    const mine = findBestHand(holeCards, board, variant);
+    const worst = Math.min(...hands.map(hand => compareHands(mine, findBestHand(hand, board, variant))));
+    if (worst > 0) win++;
+    else if (worst === 0) tie++;
+    samples++;
+  };
+
+  const exact = countCombinations(unseen.length, draw) <= maxEnumerations;
+
+  if (exact) {
+    // Every combination of the unknown cards
+    const runouts = draw === 0 ? [[]] : getCombinations(unseen, draw);
+    runouts.forEach(score);
+  } else {
+    for (let i = 0; i < iterations; i++) {
+      // Partial Fisher-Yates: only shuffle the cards we draw
+      const pool = [...unseen];
+      for (let j = 0; j < draw; j++) {
+        const k = j + Math.floor(random() * (pool.length - j));
+        [pool[j], pool[k]] = [pool[k], pool[j]];
+      }
+      score(pool.slice(0, draw));
+    }
+  }
+
+  const lose = samples - win - tie;
+  return {
+    win: (win / samples) * 100,
+    tie: (tie / samples) * 100,
+    lose: (lose / samples) * 100,
+    samples,
+    exact
+  };
+}
+
 module.exports = {
+  VARIANTS,
+  getVariant,
+  getHandRanks,
   createDeck,
   shuffleDeck,
   evaluateHand,
   findBestHand,
+  findBestHandBruteForce,
   compareHands,
+  estimateEquity,
   HAND_RANKS
 };
@@ -0,0 +1,286 @@
+/**
+ * Profiles Module
+ * Persistent player profiles and stats in an embedded SQLite database
+ * Stats are derived from finished hand histories (see handHistory.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { ACTIONS, PHASES } = require('./gameLogic');
+
+// Database file (':memory:' for a throwaway store)
+const DB_PATH = process.env.PROFILE_DB || path.join(__dirname, 'data', 'profiles.db');
+
+// Counters kept per profile
+const STAT_COLUMNS = [
+  'hands_played',
+  'hands_won',
+  'folds',
+  'times_shot',
+  'survivals',
+  'deaths',
+  'biggest_all_in_survived',
+  'vpip_hands',        // Put bullets in voluntarily preflop
+  'pfr_hands',         // Bet, raised or went all-in preflop
+  'aggressive_actions', // Bets, raises and all-ins
+  'calls',
+  'checks'
+];
+
+// Elo: new profiles start at INITIAL_RATING, K is the most a match can move a rating
+const INITIAL_RATING = 1200;
+const RATING_K = 32;
+
+// Leaderboard sort keys -> SQL expression
+const LEADERBOARD_SORTS = {
+  rating: 'rating',
+  hands_won: 'hands_won',
+  hands_played: 'hands_played',
+  survivals: 'survivals',
+  deaths: 'deaths',
+  biggest_all_in_survived: 'biggest_all_in_survived',
+  win_rate: 'CAST(hands_won AS REAL) / MAX(hands_played, 1)',
+  survival_rate: 'CAST(survivals AS REAL) / MAX(times_shot, 1)'
+};
+
+let db = null;
+
+/**
+ * Open (and create if needed) the profile database
+ * @returns {Object} better-sqlite3 database
+ */
+function getDb() {
+  if (db) return db;
+
+  if (DB_PATH !== ':memory:') {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  }
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS profiles (
+      id TEXT PRIMARY KEY,
+      token TEXT UNIQUE NOT NULL,
+      nickname TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      rating REAL NOT NULL DEFAULT ${INITIAL_RATING},
+      rated_matches INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS stats (
+      profile_id TEXT PRIMARY KEY REFERENCES profiles(id),
+      ${STAT_COLUMNS.map(column => `${column} INTEGER NOT NULL DEFAULT 0`).join(',\n      ')}
+    );
+  `);
+
+  // Databases created before ratings existed
+  const columns = db.prepare('PRAGMA table_info(profiles)').all().map(column => column.name);
+  if (!columns.includes('rating')) {
+    db.exec(`
+      ALTER TABLE profiles ADD COLUMN rating REAL NOT NULL DEFAULT ${INITIAL_RATING};
+      ALTER TABLE profiles ADD COLUMN rated_matches INTEGER NOT NULL DEFAULT 0;
+    `);
+  }
+  return db;
+}
+
+/**
+ * Find the profile for a token, or create one; keeps the latest nickname
+ * @param {String} token - Secret profile token kept by the client (may be empty)
+ * @param {String} nickname - Nickname used for this visit
+ * @returns {Object} { id, token, nickname, rating }
+ */
+function getOrCreateProfile(token, nickname) {
+  const database = getDb();
+  const now = Date.now();
+  const existing = typeof token === 'string' && token
+    ? database.prepare('SELECT id, token, rating FROM profiles WHERE token = ?').get(token)
+    : null;
+
+  if (existing) {
+    database.prepare('UPDATE profiles SET nickname = ?, last_seen_at = ? WHERE id = ?').run(nickname, now, existing.id);
+    return { id: existing.id, token: existing.token, nickname, rating: Math.round(existing.rating) };
+  }
+
+  const profile = {
+    id: crypto.randomBytes(6).toString('hex'),
+    token: crypto.randomBytes(16).toString('hex'),
+    nickname,
+    rating: INITIAL_RATING
+  };
+  database.prepare('INSERT INTO profiles (id, token, nickname, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?)')
+    .run(profile.id, profile.token, nickname, now, now);
+  database.prepare('INSERT INTO stats (profile_id) VALUES (?)').run(profile.id);
+  return profile;
+}
+
+/**
+ * Stat increments for one seat of a finished hand
+ * @param {Object} history - Finished hand history
+ * @param {String} role - Seat role
+ * @returns {Object} Column -> increment (biggest_all_in_survived is a candidate maximum)
+ */
+function getHandStats(history, role) {
+  const stats = Object.fromEntries(STAT_COLUMNS.map(column => [column, 0]));
+  const actions = history.events.filter(event => event.type === 'action' && event.player === role);
+  const shot = history.events.find(event => event.type === 'shoot' && event.player === role);
+
+  stats.hands_played = 1;
+  stats.hands_won = history.winners.includes(role) ? 1 : 0;
+  stats.folds = actions.filter(event => event.action === ACTIONS.FOLD).length;
+  stats.calls = actions.filter(event => event.action === ACTIONS.CALL).length;
+  stats.checks = actions.filter(event => event.action === ACTIONS.CHECK).length;
+  stats.aggressive_actions = actions.filter(event => [ACTIONS.BET, ACTIONS.RAISE, ACTIONS.ALL_IN].includes(event.action)).length;
+
+  // Action snapshots are taken before the street advances, so state.phase is the street acted on
+  const preflop = actions.filter(event => event.state.phase === PHASES.PREFLOP);
+  stats.vpip_hands = preflop.some(event => [ACTIONS.CALL, ACTIONS.BET, ACTIONS.RAISE, ACTIONS.ALL_IN].includes(event.action)) ? 1 : 0;
+  stats.pfr_hands = preflop.some(event => [ACTIONS.BET, ACTIONS.RAISE, ACTIONS.ALL_IN].includes(event.action)) ? 1 : 0;
+
+  if (shot) {
+    stats.times_shot = 1;
+    stats.survivals = shot.survived ? 1 : 0;
+    stats.deaths = shot.survived ? 0 : 1;
+    if (shot.survived && actions.some(event => event.action === ACTIONS.ALL_IN)) {
+      stats.biggest_all_in_survived = shot.committed;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Add a finished hand to the stats of every profiled seat
+ * Abandoned hands are not counted
+ * @param {Object} history - Finished hand history
+ */
+function recordHandStats(history) {
+  if (history.outcome === 'abandoned') return;
+
+  const database = getDb();
+  const update = database.prepare(`
+    UPDATE stats SET
+      ${STAT_COLUMNS.filter(column => column !== 'biggest_all_in_survived').map(column => `${column} = ${column} + @${column}`).join(',\n      ')},
+      biggest_all_in_survived = MAX(biggest_all_in_survived, @biggest_all_in_survived)
+    WHERE profile_id = @profileId
+  `);
+
+  database.transaction(() => {
+    Object.keys(history.players).forEach((role) => {
+      const profileId = history.players[role].profileId;
+      if (profileId) {
+        update.run({ profileId, ...getHandStats(history, role) });
+      }
+    });
+  })();
+}
+
+/**
+ * Current rating of a profile
+ * @param {String} id - Profile id
+ * @returns {Number} Rating (INITIAL_RATING for unknown profiles)
+ */
+function getRating(id) {
+  const row = getDb().prepare('SELECT rating FROM profiles WHERE id = ?').get(id);
+  return row ? Math.round(row.rating) : INITIAL_RATING;
+}
+
+/**
+ * Elo update for a finished ranked match
+ * @param {String} winnerId - Winner's profile id
+ * @param {String} loserId - Loser's profile id
+ * @returns {Object} { winner: { before, after }, loser: { before, after } }
+ */
+function recordMatchResult(winnerId, loserId) {
+  const database = getDb();
+  const select = database.prepare('SELECT rating FROM profiles WHERE id = ?');
+  const update = database.prepare('UPDATE profiles SET rating = ?, rated_matches = rated_matches + 1 WHERE id = ?');
+
+  return database.transaction(() => {
+    const winnerRating = select.get(winnerId)?.rating ?? INITIAL_RATING;
+    const loserRating = select.get(loserId)?.rating ?? INITIAL_RATING;
+    const expected = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
+    const change = RATING_K * (1 - expected);
+
+    update.run(winnerRating + change, winnerId);
+    update.run(loserRating - change, loserId);
+    return {
+      winner: { before: Math.round(winnerRating), after: Math.round(winnerRating + change) },
+      loser: { before: Math.round(loserRating), after: Math.round(loserRating - change) }
+    };
+  })();
+}
+
+/**
+ * Stats row with derived percentages
+ * @param {Object} row - profiles JOIN stats row
+ * @returns {Object} Public profile
+ */
+function toPublicProfile(row) {
+  const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+  const stats = Object.fromEntries(STAT_COLUMNS.map(column => [column, row[column]]));
+
+  return {
+    id: row.id,
+    nickname: row.nickname,
+    lastSeenAt: row.last_seen_at,
+    rating: Math.round(row.rating),
+    ratedMatches: row.rated_matches,
+    stats,
+    derived: {
+      winRate: percent(row.hands_won, row.hands_played),
+      survivalRate: percent(row.survivals, row.times_shot),
+      vpip: percent(row.vpip_hands, row.hands_played),
+      pfr: percent(row.pfr_hands, row.hands_played),
+      aggression: row.calls > 0 ? Math.round((row.aggressive_actions / row.calls) * 100) / 100 : row.aggressive_actions
+    }
+  };
+}
+
+/**
+ * Public profile by id
+ * @param {String} id - Profile id
+ * @returns {Object|null} Profile or null
+ */
+function getProfile(id) {
+  const row = getDb().prepare('SELECT * FROM profiles JOIN stats ON stats.profile_id = profiles.id WHERE profiles.id = ?').get(id);
+  return row ? toPublicProfile(row) : null;
+}
+
+/**
+ * Check a name is a leaderboard sort key (not something inherited from Object)
+ * @param {String} sort - Sort key
+ * @returns {Boolean}
+ */
+function isLeaderboardSort(sort) {
+  return Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, sort);
+}
+
+/**
+ * Top profiles
+ * @param {Object} options - { sort, limit, minHands }; unknown sorts fall back to rating
+ * @returns {Array} Public profiles
+ */
+function getLeaderboard({ sort = 'rating', limit = 20, minHands = 1 } = {}) {
+  const order = isLeaderboardSort(sort) ? LEADERBOARD_SORTS[sort] : LEADERBOARD_SORTS.rating;
+  const rows = getDb().prepare(`
+    SELECT * FROM profiles JOIN stats ON stats.profile_id = profiles.id
+    WHERE hands_played >= ?
+    ORDER BY ${order} DESC, hands_played DESC
+    LIMIT ?
+  `).all(Math.max(0, minHands), Math.min(100, Math.max(1, limit)));
+  return rows.map(toPublicProfile);
+}
+
+module.exports = {
+  INITIAL_RATING,
+  LEADERBOARD_SORTS,
+  isLeaderboardSort,
+  getOrCreateProfile,
+  recordHandStats,
+  getRating,
+  recordMatchResult,
+  getProfile,
+  getLeaderboard
+};
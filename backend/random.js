@@ -0,0 +1,41 @@
+/**
+ * Random Module
+ * Seedable random number generators (for reproducible simulations and tests)
+ */
+
+/**
+ * Hash a string or number seed into a 32-bit integer (FNV-1a)
+ * @param {String|Number} seed - Seed value
+ * @returns {Number} Unsigned 32-bit integer
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic RNG (mulberry32)
+ * Not cryptographically secure: use for simulations only
+ * @param {String|Number} seed - Seed value
+ * @returns {Function} () => float in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  hashSeed,
+  createSeededRandom
+};
@@ -0,0 +1,124 @@
+/**
+ * Rate Limit Module
+ * Per-socket token buckets for each client event, strikes for abusive
+ * sockets (limit hits, duplicate joins) and counters for the metrics endpoint
+ */
+
+// Token buckets: burst = tokens a full bucket holds, perSecond = refill rate
+const DEFAULT_LIMIT = { burst: 10, perSecond: 5 };
+const JOIN_LIMIT = { burst: 3, perSecond: 0.2 };
+const EVENT_LIMITS = {
+  create_room: JOIN_LIMIT,
+  join_room: JOIN_LIMIT,
+  join_game: JOIN_LIMIT,
+  find_match: JOIN_LIMIT,
+  rejoin_game: JOIN_LIMIT,
+  start_game: { burst: 2, perSecond: 0.5 },
+  reset_game: { burst: 2, perSecond: 0.5 },
+  add_bot: { burst: 5, perSecond: 1 },
+  remove_bot: { burst: 5, perSecond: 1 },
+  player_action: { burst: 5, perSecond: 2 },
+  shoot: { burst: 3, perSecond: 1 },
+  request_switch_options: { burst: 3, perSecond: 1 },
+  execute_switch: { burst: 3, perSecond: 1 },
+  request_state: { burst: 5, perSecond: 1 },
+  send_chat: { burst: 8, perSecond: 1 } // chat.js applies its own message limit on top
+};
+
+// A socket with STRIKE_LIMIT strikes within STRIKE_WINDOW_MS is disconnected
+const STRIKE_LIMIT = Number(process.env.STRIKE_LIMIT) || 10;
+const STRIKE_WINDOW_MS = 60000;
+
+const metrics = {
+  limitHits: {},        // Event -> events dropped by its bucket
+  duplicateJoins: 0,
+  rejectedNicknames: 0,
+  disconnects: 0        // Sockets disconnected for abuse
+};
+
+/**
+ * Create the limiter state of a socket
+ * @returns {Object} { buckets: Map of event -> bucket, strikes }
+ */
+function createLimiter() {
+  return { buckets: new Map(), strikes: [] };
+}
+
+/**
+ * Limit of an event (only EVENT_LIMITS' own keys count, not names inherited from Object)
+ * @param {String} event - Client event name
+ * @returns {Object} { burst, perSecond }
+ */
+function getEventLimit(event) {
+  return Object.prototype.hasOwnProperty.call(EVENT_LIMITS, event) ? EVENT_LIMITS[event] : DEFAULT_LIMIT;
+}
+
+/**
+ * Take a token from the event's bucket
+ * Callers only pass protocol events, so a socket has at most one bucket per event
+ * @param {Object} limiter - Socket limiter (see createLimiter)
+ * @param {String} event - Client event name
+ * @param {Number} now - Current time in ms
+ * @returns {Boolean} True if the event may go through
+ */
+function takeToken(limiter, event, now = Date.now()) {
+  const limit = getEventLimit(event);
+  const bucket = limiter.buckets.get(event) || { tokens: limit.burst, updatedAt: now };
+  limiter.buckets.set(event, bucket);
+
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens < 1) {
+    metrics.limitHits[event] = (metrics.limitHits[event] || 0) + 1;
+    return false;
+  }
+  bucket.tokens -= 1;
+  return true;
+}
+
+/**
+ * Give a socket a strike
+ * @param {Object} limiter - Socket limiter
+ * @param {Number} now - Current time in ms
+ * @returns {Boolean} True once the socket should be disconnected
+ */
+function addStrike(limiter, now = Date.now()) {
+  limiter.strikes = limiter.strikes.filter(at => now - at < STRIKE_WINDOW_MS);
+  limiter.strikes.push(now);
+
+  if (limiter.strikes.length < STRIKE_LIMIT) return false;
+  metrics.disconnects++;
+  return true;
+}
+
+/**
+ * Count an abuse the limiter doesn't see itself
+ * @param {String} counter - 'duplicateJoins' or 'rejectedNicknames'
+ */
+function countAbuse(counter) {
+  metrics[counter]++;
+}
+
+/**
+ * Copy of the counters
+ * @returns {Object} { limitHits, totalLimitHits, duplicateJoins, rejectedNicknames, disconnects }
+ */
+function getRateLimitMetrics() {
+  return {
+    ...metrics,
+    limitHits: { ...metrics.limitHits },
+    totalLimitHits: Object.values(metrics.limitHits).reduce((sum, hits) => sum + hits, 0)
+  };
+}
+
+module.exports = {
+  EVENT_LIMITS,
+  DEFAULT_LIMIT,
+  STRIKE_LIMIT,
+  createLimiter,
+  takeToken,
+  addStrike,
+  countAbuse,
+  getRateLimitMetrics
+};
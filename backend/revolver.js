@@ -0,0 +1,42 @@
+/**
+ * Revolver Module
+ * Cylinder of the real-revolver death model: every seat keeps its own
+ * cylinder for the whole game. A loser's committed bullets are loaded into
+ * the chambers not fired yet and the cylinder turns one chamber per pull, so
+ * each survived pull leaves fewer chambers to hide in and the odds rise.
+ * Once every chamber has been fired the cylinder starts over.
+ */
+
+/**
+ * Create a fresh cylinder with the hammer on its first chamber
+ * @param {Number} chambers - Chambers in the cylinder
+ * @returns {Object} { chambers, position } (position: chambers already fired)
+ */
+function createCylinder(chambers) {
+  return { chambers, position: 0 };
+}
+
+/**
+ * Odds that the chamber under the hammer is loaded
+ * @param {Object} cylinder - Seat's cylinder
+ * @param {Number} committed - Bullets loaded for this pull
+ * @returns {Number} Probability 0..1
+ */
+function getCylinderOdds(cylinder, committed) {
+  const remaining = cylinder.chambers - cylinder.position;
+  return Math.min(Math.max(0, committed), remaining) / remaining;
+}
+
+/**
+ * Turn the cylinder to the next chamber after a pull
+ * @param {Object} cylinder - Seat's cylinder
+ */
+function advanceCylinder(cylinder) {
+  cylinder.position = (cylinder.position + 1) % cylinder.chambers;
+}
+
+module.exports = {
+  createCylinder,
+  getCylinderOdds,
+  advanceCylinder
+};
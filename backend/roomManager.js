@@ -0,0 +1,256 @@
+/**
+ * Room Manager Module
+ * Keeps track of concurrent game rooms, each with its own game state
+ * Game state only changes through events (see gameEvents.js)
+ */
+
+const { createChat } = require('./chat');
+const { getSeatedRoles } = require('./gameLogic');
+const { createTableSecret } = require('./fairness');
+const { dispatch, archiveTable, loadTables, restoreTable } = require('./gameEvents');
+
+// Unambiguous characters for shareable room codes (no 0/O, 1/I)
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+// In-memory room storage
+const rooms = new Map();        // roomCode -> room
+const socketRooms = new Map();  // socketId -> roomCode
+
+/**
+ * Generate a room code that is not in use yet
+ * @returns {String} Room code, e.g. 'K7QX2'
+ */
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Normalize user-typed room code
+ * @param {String} code - Raw room code
+ * @returns {String} Upper-cased, trimmed code
+ */
+function normalizeRoomCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Room record before its first event
+ * @param {String} code - Room code
+ * @param {String|null} hostSocketId - Host's socket
+ * @returns {Object} Room (name, createdAt and gameState come from room_created)
+ */
+function createRoomRecord(code, hostSocketId) {
+  return {
+    code,
+    name: null,
+    hostSocketId,
+    createdAt: null,
+    gameState: null,
+    events: [],         // Every event applied to the room, oldest first
+    snapshotSeq: 0,     // Sequence number of the last snapshot's event
+    chat: createChat(),
+    bots: {},           // role -> bot descriptor (see bots.js)
+    botTimer: null,     // timeout for the next bot move
+    turnTimer: null,    // timeout acting for a player whose clock runs out
+    nextHandTimer: null, // timeout dealing the next hand of a match, or settling a tie
+    spectatorQueue: [],  // { releaseAt, socketId, event, payload } waiting for delayed spectators
+    spectatorTimer: null, // timeout releasing the next queued spectator event
+    reconnectTimers: {} // role -> timeout releasing a dropped player's seat
+  };
+}
+
+/**
+ * Create a new room
+ * @param {Object} options - { name, hostSocketId, rules }
+ * @returns {Object} Created room
+ */
+function createRoom({ name, hostSocketId, rules } = {}) {
+  const code = generateRoomCode();
+  const room = createRoomRecord(code, hostSocketId || null);
+  dispatch(room, 'room_created', {
+    name: name && name.trim() ? name.trim() : `Table ${code}`,
+    rules: rules || {},
+    fairnessSecret: createTableSecret()
+  });
+  rooms.set(code, room);
+  return room;
+}
+
+/**
+ * Rebuild the rooms that were open when the server stopped
+ * A table whose log can't be replayed is left on disk and skipped
+ * @returns {Array} Restored rooms (nobody connected yet, no host)
+ */
+function restoreRooms() {
+  return loadTables().flatMap((table) => {
+    const room = createRoomRecord(table.code, null);
+    try {
+      restoreTable(room, table);
+    } catch (err) {
+      console.error(`Could not restore room ${table.code}: ${err.message}`);
+      return [];
+    }
+    rooms.set(room.code, room);
+    return [room];
+  });
+}
+
+/**
+ * Get room by code
+ * @param {String} code - Room code
+ * @returns {Object|null} Room or null if not found
+ */
+function getRoom(code) {
+  return rooms.get(normalizeRoomCode(code)) || null;
+}
+
+/**
+ * Find a room with a free player seat (used for quick play)
+ * @param {Function} accepts - (room) => Boolean, rooms to skip return false
+ * @returns {Object|null} Room or null if every room is full
+ */
+function findOpenRoom(accepts = () => true) {
+  for (const room of rooms.values()) {
+    if (room.gameState.seats.some(seat => !seat.player) && accepts(room)) return room;
+  }
+  return null;
+}
+
+/**
+ * Close a room and forget its sockets
+ * @param {String} code - Room code
+ * @returns {Array} Socket IDs that were in the room
+ */
+function closeRoom(code) {
+  const room = getRoom(code);
+  if (!room) return [];
+
+  clearTimeout(room.turnTimer);
+  room.turnTimer = null;
+  clearTimeout(room.botTimer);
+  room.botTimer = null;
+  clearTimeout(room.nextHandTimer);
+  room.nextHandTimer = null;
+  clearTimeout(room.spectatorTimer);
+  room.spectatorTimer = null;
+  room.spectatorQueue = [];
+  Object.values(room.reconnectTimers).forEach(clearTimeout);
+  room.reconnectTimers = {};
+
+  const socketIds = [];
+  socketRooms.forEach((roomCode, socketId) => {
+    if (roomCode === room.code) socketIds.push(socketId);
+  });
+  socketIds.forEach(socketId => socketRooms.delete(socketId));
+  rooms.delete(room.code);
+  archiveTable(room);
+  return socketIds;
+}
+
+/**
+ * Remember which room a socket is in
+ * @param {String} socketId - Socket ID
+ * @param {String} code - Room code
+ */
+function trackSocket(socketId, code) {
+  socketRooms.set(socketId, code);
+}
+
+/**
+ * Forget a socket's room
+ * @param {String} socketId - Socket ID
+ */
+function untrackSocket(socketId) {
+  socketRooms.delete(socketId);
+}
+
+/**
+ * Get the room a socket is in
+ * @param {String} socketId - Socket ID
+ * @returns {Object|null} Room or null
+ */
+function getRoomBySocket(socketId) {
+  const code = socketRooms.get(socketId);
+  return code ? getRoom(code) : null;
+}
+
+/**
+ * Find the seat a session token belongs to
+ * @param {String} sessionToken - Token issued on join
+ * @returns {Object|null} { room, role } or null
+ */
+function findSessionSeat(sessionToken) {
+  if (!sessionToken) return null;
+
+  for (const room of rooms.values()) {
+    const seat = room.gameState.seats.find(s => s.player?.sessionToken === sessionToken);
+    if (seat) {
+      return { room, role: seat.role };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if nobody (player or viewer) is left in the room
+ * Seats held for reconnecting players keep the room open, bots don't
+ * @param {Object} room - Room
+ * @returns {Boolean}
+ */
+function isRoomEmpty(room) {
+  for (const roomCode of socketRooms.values()) {
+    if (roomCode === room.code) return false;
+  }
+  return !room.gameState.seats.some(seat => seat.player && !seat.player.isBot);
+}
+
+/**
+ * Public summary of a room for the lobby list
+ * @param {Object} room - Room
+ * @returns {Object} { code, name, preset, phase, players, seated, maxPlayers, viewers }
+ */
+function getRoomSummary(room) {
+  const { gameState } = room;
+  return {
+    code: room.code,
+    name: room.name,
+    preset: gameState.rules.preset,
+    phase: gameState.phase,
+    players: Object.fromEntries(gameState.seats.map(seat => [seat.role, seat.player?.nickname || null])),
+    seated: getSeatedRoles(gameState).length,
+    maxPlayers: gameState.rules.maxPlayers,
+    viewers: gameState.viewers.length
+  };
+}
+
+/**
+ * List all rooms
+ * @returns {Array} Room summaries
+ */
+function listRooms() {
+  return Array.from(rooms.values()).map(getRoomSummary);
+}
+
+module.exports = {
+  createRoom,
+  restoreRooms,
+  getRoom,
+  findOpenRoom,
+  closeRoom,
+  trackSocket,
+  untrackSocket,
+  getRoomBySocket,
+  findSessionSeat,
+  isRoomEmpty,
+  getRoomSummary,
+  listRooms,
+  normalizeRoomCode
+};
@@ -0,0 +1,293 @@
+/**
+ * Table Rules Module
+ * Rule sets (bullets, forced bets, bet cap, death formula) and named presets
+ */
+
+const { getCylinderOdds } = require('./revolver');
+
+/**
+ * Death probability formulas
+ * Each takes the bullets committed by the loser and the rules, returns 0..1
+ */
+const DEATH_FORMULAS = {
+  linear: (committed, rules) => committed / rules.chambers,
+  quadratic: (committed, rules) => Math.pow(committed / rules.chambers, 2),
+  squareRoot: (committed, rules) => Math.sqrt(committed / rules.chambers)
+};
+
+// How a loser's death odds are decided
+const DEATH_MODELS = {
+  FORMULA: 'formula',   // deathFormula of the bullets committed, every pull independent of the last
+  REVOLVER: 'revolver'  // Committed bullets go into the seat's cylinder, which turns a chamber per pull (see revolver.js)
+};
+
+// What happens to players who only split pots (see resolveHand in gameLogic.js)
+const TIE_POLICIES = {
+  NONE: 'none',           // Nobody shoots for a tie
+  HALF_ODDS: 'halfOdds',  // Tied players shoot too, at half their death odds
+  FULL_ODDS: 'fullOdds',  // Tied players shoot too, at their full death odds
+  REPLAY: 'replay'        // Tied players replay the hand with the bullets already committed
+};
+
+// Games a table can play on the same seats, bullets and revolver
+// (the poker games are variants of pokerEval.js)
+const GAME_MODES = {
+  HOLDEM: 'holdem',        // Texas Hold'em: losers of the showdown shoot
+  OMAHA: 'omaha',          // Pot-limit Omaha: four hole cards, exactly two of them used
+  SHORT_DECK: 'shortDeck', // Short Deck Hold'em: 36 cards, a flush beats a full house
+  LIARS_DECK: 'liarsDeck'  // Liar's Deck: lay cards claiming the table card, a caught liar or wrong accuser shoots
+};
+
+// Seats a table may have
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+
+// Rules every table starts from
+const DEFAULT_RULES = {
+  preset: 'classic',
+  gameMode: 'holdem',      // Value in GAME_MODES
+  maxPlayers: 2,           // Seats at the table (2-6)
+  chambers: 8,             // Chambers in the revolver (denominator of the odds)
+  startingBullets: 8,      // Bullets each player starts a game with
+  ante: 1,                 // Forced bet per hand
+  forcedBets: 'ante',      // 'ante' (everyone pays the ante) or 'blinds' (ante plus small/big blind)
+  smallBlind: 1,           // Blinds only: posted by the button heads-up, otherwise the seat after it
+  bigBlind: 2,             // Blinds only: posted by the next seat, also the preflop minimum raise
+  blindLevelHands: 0,      // Hands per stake level (0 = stakes never go up)
+  blindLevels: [],         // Stake levels after the first: { ante?, smallBlind?, bigBlind? } each
+  raiseSize: 1,            // Minimum bet, and the smallest raise increment
+  maxBetPerHand: 5,        // Cap on bullets committed per hand
+  potLimit: false,         // Bets and raises may not go over the pot (Omaha tables always play pot-limit)
+  allInExceedsCap: true,   // Going all-in may exceed the cap
+  deathFormula: 'linear',  // Key in DEATH_FORMULAS
+  deathModel: 'formula',   // Value in DEATH_MODELS
+  tiePolicy: 'none',       // Value in TIE_POLICIES
+  viewerEquity: true,      // Viewers see both players' live equity
+  spectatorDelayMs: 30000, // Delay of the hole-card broadcast for spectators (0 = no delayed spectating)
+  turnTimeMs: 30000,       // Per-action clock (0 = no clock)
+  timeBankMs: 0,           // Extra time per player per game
+  matchMode: false,        // Bullets carry over and survivors play the next hand
+  bestOfSurvivals: 0,      // Match mode: end after N survived shots (0 = until death or out of bullets)
+  ranked: false            // Table made by matchmaking: the match result updates ratings
+};
+
+// Named presets selectable when a table is created
+const RULE_PRESETS = {
+  classic: {
+    name: 'Classic',
+    description: '8 chambers • 8 bullets • max 5 per hand unless all-in',
+    rules: {}
+  },
+  sixShooter: {
+    name: 'Six Shooter',
+    description: '6 chambers • 6 bullets • ante 2 • max 4 per hand unless all-in',
+    rules: { chambers: 6, startingBullets: 6, ante: 2, maxBetPerHand: 4 }
+  },
+  revolver: {
+    name: 'Real Revolver',
+    description: '6 chambers • 6 bullets • the cylinder turns: every survived pull raises the odds',
+    rules: { chambers: 6, startingBullets: 6, ante: 2, maxBetPerHand: 4, deathModel: 'revolver' }
+  },
+  mercy: {
+    name: 'Mercy',
+    description: 'Death odds squared: small bets are almost safe',
+    rules: { deathFormula: 'quadratic' }
+  },
+  blindsUp: {
+    name: 'Blinds Up',
+    description: 'Blinds 1/2, going up every 3 hands • no ante',
+    rules: {
+      ante: 0,
+      forcedBets: 'blinds',
+      blindLevelHands: 3,
+      blindLevels: [{ smallBlind: 1, bigBlind: 3 }, { smallBlind: 2, bigBlind: 4 }, { ante: 1, smallBlind: 2, bigBlind: 4 }]
+    }
+  },
+  hardcore: {
+    name: 'Hardcore',
+    description: 'Min raise 2 • no all-in exception • square-root death odds',
+    rules: { raiseSize: 2, maxBetPerHand: 6, allInExceedsCap: false, deathFormula: 'squareRoot' }
+  }
+};
+
+/**
+ * Register a custom death probability formula
+ * @param {String} name - Formula key, referenced by rules.deathFormula
+ * @param {Function} formula - (committed, rules) => probability 0..1
+ */
+function registerDeathFormula(name, formula) {
+  if (typeof formula !== 'function') {
+    throw new Error('Death formula must be a function');
+  }
+  DEATH_FORMULAS[name] = formula;
+}
+
+/**
+ * Check a name is a preset (not something inherited from Object)
+ * @param {String} key - Preset key
+ * @returns {Boolean}
+ */
+function isRulePreset(key) {
+  return Object.prototype.hasOwnProperty.call(RULE_PRESETS, key);
+}
+
+/**
+ * Check a name is a registered death formula (not something inherited from Object)
+ * @param {String} name - Formula key
+ * @returns {Boolean}
+ */
+function isDeathFormula(name) {
+  return Object.prototype.hasOwnProperty.call(DEATH_FORMULAS, name);
+}
+
+/**
+ * Build a full rule set from a preset and overrides
+ * @param {Object} overrides - Partial rules, optionally { preset } (unknown presets fall back to the default) and/or { deathProbability: fn }
+ * @returns {Object} Complete rules
+ */
+function createRules(overrides = {}) {
+  const presetKey = isRulePreset(overrides.preset) ? overrides.preset : DEFAULT_RULES.preset;
+  const rules = {
+    ...DEFAULT_RULES,
+    ...RULE_PRESETS[presetKey].rules,
+    ...overrides,
+    preset: presetKey
+  };
+
+  // Liar's Deck is played to the last survivor: bullets always carry over
+  if (rules.gameMode === GAME_MODES.LIARS_DECK) {
+    rules.matchMode = true;
+  }
+  if (rules.gameMode === GAME_MODES.OMAHA) {
+    rules.potLimit = true;
+  }
+
+  if (!isDeathFormula(rules.deathFormula) && typeof rules.deathProbability !== 'function') {
+    throw new Error(`Unknown death formula: ${rules.deathFormula}`);
+  }
+  if (!Object.values(DEATH_MODELS).includes(rules.deathModel)) {
+    throw new Error(`Unknown death model: ${rules.deathModel}`);
+  }
+  if (rules.startingBullets > rules.chambers) {
+    throw new Error('Starting bullets cannot exceed chambers');
+  }
+  if (!Number.isInteger(rules.maxPlayers) || rules.maxPlayers < MIN_PLAYERS || rules.maxPlayers > MAX_PLAYERS) {
+    throw new Error(`maxPlayers must be an integer from ${MIN_PLAYERS} to ${MAX_PLAYERS}`);
+  }
+  if (!Number.isInteger(rules.bestOfSurvivals) || rules.bestOfSurvivals < 0) {
+    throw new Error('bestOfSurvivals must be a non-negative integer');
+  }
+  if (!Object.values(GAME_MODES).includes(rules.gameMode)) {
+    throw new Error(`Unknown game mode: ${rules.gameMode}`);
+  }
+  if (rules.gameMode !== GAME_MODES.HOLDEM && rules.ranked) {
+    throw new Error('Ranked tables play Hold\'em');
+  }
+  if (!Object.values(TIE_POLICIES).includes(rules.tiePolicy)) {
+    throw new Error(`Unknown tie policy: ${rules.tiePolicy}`);
+  }
+  if (!['ante', 'blinds'].includes(rules.forcedBets)) {
+    throw new Error(`Unknown forced bets: ${rules.forcedBets}`);
+  }
+  if (!Number.isInteger(rules.blindLevelHands) || rules.blindLevelHands < 0 || !Array.isArray(rules.blindLevels)) {
+    throw new Error('Blind levels need a non-negative blindLevelHands and a blindLevels list');
+  }
+  [rules, ...rules.blindLevels].forEach((level) => {
+    const { ante = rules.ante, smallBlind = rules.smallBlind, bigBlind = rules.bigBlind } = level;
+    if (![ante, smallBlind, bigBlind].every(amount => Number.isInteger(amount) && amount >= 0) || smallBlind > bigBlind) {
+      throw new Error('Antes and blinds must be non-negative integers, small blind no bigger than the big blind');
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Forced bets for the next hand of a game
+ * With blindLevelHands set, the stakes move one level up blindLevels every
+ * blindLevelHands hands and stay on the last level
+ * @param {Object} rules - Table rules
+ * @param {Number} handsPlayed - Hands already played this game
+ * @returns {Object} { level, ante, smallBlind, bigBlind, handsToNextLevel } (blinds are 0 on ante tables)
+ */
+function getStakes(rules, handsPlayed) {
+  const base = { ante: rules.ante, smallBlind: rules.smallBlind, bigBlind: rules.bigBlind };
+  const levels = [base, ...rules.blindLevels.map(level => ({ ...base, ...level }))];
+  const level = rules.blindLevelHands > 0
+    ? Math.min(levels.length - 1, Math.floor(handsPlayed / rules.blindLevelHands))
+    : 0;
+  const { ante, smallBlind, bigBlind } = levels[level];
+  const blinds = rules.forcedBets === 'blinds';
+
+  return {
+    level,
+    ante,
+    smallBlind: blinds ? smallBlind : 0,
+    bigBlind: blinds ? bigBlind : 0,
+    handsToNextLevel: rules.blindLevelHands > 0 && level < levels.length - 1
+      ? (level + 1) * rules.blindLevelHands - handsPlayed
+      : null
+  };
+}
+
+/**
+ * Death probability for a loser who committed the given bullets
+ * @param {Object} rules - Table rules
+ * @param {Number} committed - Bullets committed this hand
+ * @param {Object} cylinder - Revolver model: the loser's cylinder
+ * @returns {Number} Probability clamped to 0..1
+ */
+function getDeathProbability(rules, committed, cylinder = null) {
+  if (rules.deathModel === DEATH_MODELS.REVOLVER && cylinder) {
+    return getCylinderOdds(cylinder, committed);
+  }
+
+  const formula = typeof rules.deathProbability === 'function'
+    ? rules.deathProbability
+    : DEATH_FORMULAS[rules.deathFormula];
+  return Math.min(1, Math.max(0, formula(committed, rules)));
+}
+
+/**
+ * Rules as sent to clients (plain data, no functions)
+ * @param {Object} rules - Table rules
+ * @returns {Object} Serializable rules
+ */
+function getPublicRules(rules) {
+  const { deathProbability, ...publicRules } = rules;
+  return {
+    ...publicRules,
+    deathFormula: typeof deathProbability === 'function' ? 'custom' : rules.deathFormula
+  };
+}
+
+/**
+ * List presets for the create-table screen
+ * @returns {Array} [{ key, name, description, rules }]
+ */
+function listRulePresets() {
+  return Object.keys(RULE_PRESETS).map(key => ({
+    key,
+    name: RULE_PRESETS[key].name,
+    description: RULE_PRESETS[key].description,
+    rules: getPublicRules(createRules({ preset: key }))
+  }));
+}
+
+module.exports = {
+  DEATH_MODELS,
+  GAME_MODES,
+  TIE_POLICIES,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  DEATH_FORMULAS,
+  DEFAULT_RULES,
+  RULE_PRESETS,
+  isRulePreset,
+  registerDeathFormula,
+  createRules,
+  getDeathProbability,
+  getStakes,
+  getPublicRules,
+  listRulePresets
+};
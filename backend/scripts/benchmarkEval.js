@@ -0,0 +1,64 @@
+/**
+ * Evaluator Benchmark
+ * Measures best-hand evaluations per second: fast evaluator vs brute force
+ *
+ * Usage: npm run bench:eval [-- <hands>]
+ */
+
+const { createDeck, findBestHand, findBestHandBruteForce, estimateEquity } = require('../pokerEval');
+const { createSeededRandom } = require('../random');
+
+const HANDS = Number(process.argv[2]) || 100000;
+
+/**
+ * Deal seeded 7-card hands up front so dealing isn't measured
+ * @param {Number} count - Number of hands
+ * @returns {Array} Array of [holeCards, communityCards]
+ */
+function dealHands(count) {
+  const deck = createDeck();
+  const random = createSeededRandom('benchmark');
+  const hands = [];
+  for (let i = 0; i < count; i++) {
+    const pool = [...deck];
+    for (let j = 0; j < 7; j++) {
+      const k = j + Math.floor(random() * (pool.length - j));
+      [pool[j], pool[k]] = [pool[k], pool[j]];
+    }
+    hands.push([pool.slice(0, 2), pool.slice(2, 7)]);
+  }
+  return hands;
+}
+
+/**
+ * Time an evaluator over all hands
+ * @param {String} name - Label
+ * @param {Function} evaluate - (holeCards, communityCards) => hand
+ * @param {Array} hands - Dealt hands
+ * @returns {Number} Hands per second
+ */
+function run(name, evaluate, hands) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < hands.length; i++) {
+    evaluate(hands[i][0], hands[i][1]);
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  const perSecond = hands.length / seconds;
+  console.log(`${name.padEnd(12)} ${hands.length} hands in ${seconds.toFixed(3)}s  (${Math.round(perSecond).toLocaleString()} hands/s)`);
+  return perSecond;
+}
+
+const hands = dealHands(HANDS);
+
+// Warm up the JIT on both paths
+run('warm-up', findBestHand, hands.slice(0, 1000));
+run('warm-up', findBestHandBruteForce, hands.slice(0, 1000));
+
+const bruteForce = run('brute force', findBestHandBruteForce, hands);
+const fast = run('fast', findBestHand, hands);
+console.log(`speed-up: ${(fast / bruteForce).toFixed(1)}x`);
+
+// What this means for equity: one preflop estimate with 1000 samples
+const start = Date.now();
+estimateEquity(hands[0][0], [], { iterations: 1000, seed: 1 });
+console.log(`estimateEquity (preflop, 1000 samples): ${Date.now() - start}ms`);
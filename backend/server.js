@@ -1,30 +1,55 @@
 /**
  * Backend Server - ExpressJS + Socket.io
- * Main server file for 1v1 Poker-Roulette game
+ * Main server file for the Poker-Roulette game (tables of 2-6 players)
  */
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const socketIO = require('socket.io');
 const cors = require('cors');
-const { evaluateHand } = require('./pokerEval');
 
 const {
   PHASES,
   ACTIONS,
-  MAX_BULLETS,
-  createGameState,
-  addPlayer,
-  removePlayer,
+  LIAR_PHASES,
+  LIAR_ACTIONS,
+  BETTING_PHASES,
+  isSeatRole,
+  getSeat,
+  getPlayer,
   canStartGame,
-  resetGame,
-  startNewHand,
-  processAction,
-  executeShoot,
-  getAvailableActions
+  getAvailableActions,
+  getRaiseRange
 } = require('./gameLogic');
+const { dispatch, getLastSeq, getPublicEvents } = require('./gameEvents');
 
-const { findBestHand } = require('./pokerEval');
+const { createDeck, findBestHand, estimateEquity } = require('./pokerEval');
+
+const {
+  createRoom,
+  restoreRooms,
+  getRoom,
+  findOpenRoom,
+  closeRoom,
+  trackSocket,
+  untrackSocket,
+  getRoomBySocket,
+  findSessionSeat,
+  isRoomEmpty,
+  listRooms
+} = require('./roomManager');
+
+const { DEATH_MODELS, GAME_MODES, TIE_POLICIES, MIN_PLAYERS, MAX_PLAYERS, DEFAULT_RULES, getDeathProbability, getPublicRules, listRulePresets } = require('./rules');
+const { STRATEGIES, isStrategy, createBot, decideAction, decideLiarAction, getThinkTime } = require('./bots');
+const { getPublicFairness, verifyHand, createFairRandom } = require('./fairness');
+const { EMOTES, canRead, postMessage, postNotice, getChatHistory, setMuted, clearChat } = require('./chat');
+const { recordHandEvents, abandonHand, listHandHistories, getHandHistory } = require('./handHistory');
+const { LEADERBOARD_SORTS, isLeaderboardSort, getOrCreateProfile, recordMatchResult, getProfile, getLeaderboard } = require('./profiles');
+const { joinQueue, leaveQueue, isQueued, findPairs, getQueueStatus, listQueuedSockets } = require('./matchmaking');
+const { createLiarDeck, pickTableCard } = require('./liarsDeck');
+const { createLimiter, takeToken, addStrike, countAbuse, getRateLimitMetrics } = require('./rateLimit');
+const { PROTOCOL_VERSION, ERROR_CODES, CLIENT_EVENTS, validateClientEvent, validateNickname, isSupportedVersion, ROOM_TIMER_LIMITS } = require('liarbar-protocol');
 
 // Initialize Express app
 const app = express();
@@ -39,406 +64,1851 @@ const io = socketIO(server, {
   }
 });
 
-// In-memory game state
-const gameState = createGameState();
-
 // Port configuration
 const PORT = process.env.PORT || 3001;
 
+// Socket.io room for clients browsing the room list
+const LOBBY_ROOM = 'lobby';
+
+// How long a dropped player's seat is held before it is released
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// Monte Carlo samples for equity shown in the UI
+const EQUITY_ITERATIONS = 1000;
+
+// Pause after a survived shot before a match deals the next hand
+const NEXT_HAND_DELAY_MS = 3000;
+const TIE_DISPLAY_MS = 4000; // How long a tie stays on screen before the tie policy plays out
+const REVEAL_DISPLAY_MS = 3000; // How long a called Liar's Deck claim stays face up before the loser shoots
+
+// Default turn clock for new rooms (rooms can override on create)
+const TURN_TIME_MS = process.env.TURN_TIME_MS !== undefined ? Number(process.env.TURN_TIME_MS) : DEFAULT_RULES.turnTimeMs;
+const TIME_BANK_MS = Number(process.env.TIME_BANK_MS) || DEFAULT_RULES.timeBankMs;
+
+// Default delay of the spectator broadcast (rooms can override on create)
+const SPECTATOR_DELAY_MS = process.env.SPECTATOR_DELAY_MS !== undefined
+  ? Number(process.env.SPECTATOR_DELAY_MS)
+  : DEFAULT_RULES.spectatorDelayMs;
+
+// How often the matchmaking queue is paired and queue status is sent
+const MATCHMAKING_TICK_MS = 1000;
+
 /**
  * Get sanitized game state for a specific socket
- * Hides opponent's hole cards
+ * Hides opponent's hole cards (delayed spectators see everything, later)
+ * @param {Object} room - Room the socket is in
  * @param {String} socketId - Socket ID of requester
  * @returns {Object} Sanitized game state
  */
-function getGameStateForSocket(socketId) {
-  const role = getPlayerRole(socketId);
-  
+function getGameStateForSocket(room, socketId) {
+  const { gameState } = room;
+  const role = getViewRole(room, socketId);
+
   const state = {
+    roomCode: room.code,
+    roomName: room.name,
+    isHost: room.hostSocketId === socketId,
+    rules: getPublicRules(gameState.rules),
     phase: gameState.phase,
-    players: {
-      player1: gameState.players.player1 ? {
-        nickname: gameState.players.player1.nickname,
-        bullets: gameState.player1Bullets,
-        committed: gameState.player1Committed,
-        hasSwitched: gameState.players.player1.hasSwitched,
-        isAllIn: gameState.player1Bullets === 0
-      } : null,
-      player2: gameState.players.player2 ? {
-        nickname: gameState.players.player2.nickname,
-        bullets: gameState.player2Bullets,
-        committed: gameState.player2Committed,
-        hasSwitched: gameState.players.player2.hasSwitched,
-        isAllIn: gameState.player2Bullets === 0
-      } : null
-    },
+    players: Object.fromEntries(gameState.seats.map(seat => [seat.role, getSeatView(gameState, seat)])),
     communityCards: gameState.communityCards,
     pot: gameState.pot,
+    pots: gameState.pots,
     currentBet: gameState.currentBet,
+    dealer: gameState.dealer,
+    blinds: gameState.blinds,
+    stakes: gameState.stakes,
     activePlayer: gameState.activePlayer,
-    winner: gameState.winner,
+    turnClock: getTurnClockView(gameState),
+    match: gameState.match,
+    fairness: getPublicFairness(gameState.fairness),
+    winners: gameState.winners,
+    tied: gameState.tied,
+    losers: gameState.losers,
     loser: gameState.loser,
+    shots: gameState.shots,
+    liar: getLiarView(gameState),
     yourRole: role,
-    availableActions: []
+    availableActions: [],
+    raiseRange: null
   };
 
-  // Show hole cards based on role and phase
-  if (role === 'player1') {
-    state.yourHand = gameState.player1Hand;
-    state.availableActions = gameState.activePlayer === 'player1' ? getAvailableActions(gameState) : [];
-    
+  // Show your own hole cards and their strength
+  if (isSeatRole(role)) {
+    const seat = getSeat(gameState, role);
+    state.yourHand = seat.hand;
+    state.availableActions = gameState.activePlayer === role ? getAvailableActions(gameState) : [];
+    state.raiseRange = gameState.activePlayer === role ? getRaiseRange(gameState, role) : null;
+    state.yourClientSeed = seat.player.clientSeed;
+
     // Calculate hand strength
-    if (gameState.player1Hand && gameState.player1Hand.length > 0) {
-      const bestHand = findBestHand(gameState.player1Hand, gameState.communityCards);
+    if (!gameState.liar && seat.hand.length > 0) {
+      const bestHand = findBestHand(seat.hand, gameState.communityCards, gameState.rules.gameMode);
       if (bestHand) {
         state.yourHandStrength = bestHand.description;
       }
     }
-  } else if (role === 'player2') {
-    state.yourHand = gameState.player2Hand;
-    state.availableActions = gameState.activePlayer === 'player2' ? getAvailableActions(gameState) : [];
-    
-    // Calculate hand strength
-    if (gameState.player2Hand && gameState.player2Hand.length > 0) {
-      const bestHand = findBestHand(gameState.player2Hand, gameState.communityCards);
-      if (bestHand) {
-        state.yourHandStrength = bestHand.description;
+  }
+
+  // Host moderates the chat: everyone connected to the room, with their mute state
+  if (state.isHost) {
+    state.members = getRoomMembers(room).filter(member => member.id !== socketId);
+  }
+
+  // Delayed broadcast: every hand, its strength and any switch options on offer
+  if (role === 'spectator_delayed') {
+    state.spectatorDelayMs = gameState.rules.spectatorDelayMs;
+    state.hands = {};
+    state.handStrengths = {};
+    state.switchOptions = {};
+    gameState.seats.filter(seat => seat.inHand).forEach((seat) => {
+      state.hands[seat.role] = seat.hand;
+      state.handStrengths[seat.role] = !gameState.liar && seat.hand.length > 0
+        ? findBestHand(seat.hand, gameState.communityCards, gameState.rules.gameMode)?.description || null
+        : null;
+      state.switchOptions[seat.role] = gameState.switchOptions[seat.role]?.cards || null;
+    });
+  }
+
+  // Equity: players opt in (vs random hands), spectators see every contender against the others
+  if (isSeatRole(role)) {
+    if (io.sockets.sockets.get(socketId)?.data.showEquity) {
+      state.yourEquity = getEquity(room, role, false);
+    }
+  } else if (gameState.rules.viewerEquity) {
+    const contenders = gameState.seats.filter(seat => seat.inHand && !seat.folded);
+    const equities = contenders.map(seat => getEquity(room, seat.role, true));
+    state.liveEquity = contenders.length > 1 && equities.every(Boolean)
+      ? Object.fromEntries(contenders.map((seat, i) => [seat.role, equities[i]]))
+      : null;
+  }
+
+  // Reveal all hands at showdown or after (Liar's Deck only turns over the called claim)
+  if (!gameState.liar && [PHASES.SHOWDOWN, PHASES.TIE, PHASES.SHOOTING, PHASES.HAND_OVER, PHASES.GAME_OVER].includes(gameState.phase)) {
+    state.hands = Object.fromEntries(gameState.seats.filter(seat => seat.inHand).map(seat => [seat.role, seat.hand]));
+    state.handResult = gameState.handResult;
+  }
+
+  return state;
+}
+
+/**
+ * Public view of a Liar's Deck round: the last claim only shows how many
+ * cards were laid until someone calls it
+ * @param {Object} gameState - Room game state
+ * @returns {Object|null} { tableCard, pile, lastClaim, reveal }, or null on Hold'em tables
+ */
+function getLiarView(gameState) {
+  const { liar } = gameState;
+  if (!liar) return null;
+
+  return {
+    tableCard: liar.tableCard,
+    pile: liar.pile,
+    lastClaim: liar.lastClaim ? { player: liar.lastClaim.player, count: liar.lastClaim.cards.length } : null,
+    reveal: liar.reveal
+  };
+}
+
+/**
+ * Public view of a seat (never its hole cards)
+ * @param {Object} gameState - Room game state
+ * @param {Object} seat - Seat
+ * @returns {Object|null} Seat view, or null if the seat is free
+ */
+function getSeatView(gameState, seat) {
+  const { player } = seat;
+  if (!player) return null;
+
+  return {
+    nickname: player.nickname,
+    isBot: player.isBot,
+    bullets: seat.bullets,
+    committed: seat.committed,
+    handSize: seat.hand.length,
+    deathProbability: getDeathProbability(gameState.rules, seat.committed, seat.cylinder),
+    cylinder: seat.cylinder,
+    hasSwitched: player.hasSwitched,
+    isAllIn: seat.inHand && seat.bullets === 0,
+    inHand: seat.inHand,
+    folded: seat.folded,
+    eliminated: seat.eliminated,
+    connected: player.connected,
+    timeBank: seat.timeBank,
+    reconnectDeadline: getReconnectDeadline(player)
+  };
+}
+
+/**
+ * Time at which a dropped player's seat will be released
+ * @param {Object} player - Seated player
+ * @returns {Number|null} Epoch ms, or null if player is connected
+ */
+function getReconnectDeadline(player) {
+  return player.connected ? null : player.disconnectedAt + RECONNECT_GRACE_MS;
+}
+
+/**
+ * Turn clock as sent to clients (relative times, immune to clock skew)
+ * @param {Object} gameState - Room game state
+ * @returns {Object|null} { player, remainingMs, totalMs }
+ */
+function getTurnClockView(gameState) {
+  const clock = gameState.turnClock;
+  if (!clock) return null;
+
+  return {
+    player: clock.player,
+    remainingMs: Math.max(0, clock.deadline - Date.now()),
+    totalMs: clock.deadline - clock.startedAt
+  };
+}
+
+/**
+ * Live equity for the current hand, cached per room until the cards change
+ * @param {Object} room - Room
+ * @param {String} role - Seat role
+ * @param {Boolean} vsHands - true: against the other contenders' actual cards, false: against as many random hands
+ * @returns {Object|null} { win, tie, lose } in percent, or null outside betting
+ */
+function getEquity(room, role, vsHands) {
+  const { gameState } = room;
+  const seat = getSeat(gameState, role);
+  if (!BETTING_PHASES.includes(gameState.phase) || !seat || seat.hand.length === 0) return null;
+
+  const others = gameState.seats.filter(other => other !== seat && other.inHand && !other.folded);
+  if (others.length === 0) return null;
+
+  const key = JSON.stringify([gameState.seats.map(s => (s.inHand && !s.folded ? s.hand : null)), gameState.communityCards]);
+  if (!room.equityCache || room.equityCache.key !== key) {
+    room.equityCache = { key, results: {} };
+  }
+
+  const cacheKey = `${role}:${vsHands}`;
+  if (!room.equityCache.results[cacheKey]) {
+    const { win, tie, lose } = estimateEquity(seat.hand, gameState.communityCards, {
+      opponentHands: vsHands ? others.map(other => other.hand) : null,
+      opponents: others.length,
+      variant: gameState.rules.gameMode,
+      iterations: EQUITY_ITERATIONS,
+      seed: key // Stable numbers across broadcasts of the same cards
+    });
+    room.equityCache.results[cacheKey] = { win, tie, lose };
+  }
+  return room.equityCache.results[cacheKey];
+}
+
+/**
+ * Get player role by socket ID
+ * @param {Object} room - Room to look in
+ * @param {String} socketId - Socket ID
+ * @returns {String} Seat role ('player1'..), or 'viewer'
+ */
+function getPlayerRole(room, socketId) {
+  const seat = room.gameState.seats.find(s => s.player?.socketId === socketId);
+  return seat ? seat.role : 'viewer';
+}
+
+/**
+ * Role used to build a socket's view: delayed spectators are viewers who opted in
+ * @param {Object} room - Room to look in
+ * @param {String} socketId - Socket ID
+ * @returns {String} Seat role, 'viewer', or 'spectator_delayed'
+ */
+function getViewRole(room, socketId) {
+  const role = getPlayerRole(room, socketId);
+  if (role === 'viewer' && io.sockets.sockets.get(socketId)?.data.spectatorDelayed) {
+    return 'spectator_delayed';
+  }
+  return role;
+}
+
+/**
+ * Socket.io room of a table's delayed spectators
+ * @param {Object} room - Room
+ * @returns {String} Socket.io room name
+ */
+function getDelayedRoom(room) {
+  return `${room.code}:delayed`;
+}
+
+/**
+ * Broadcast game state to every socket in a room
+ * Delayed spectators get theirs through the spectator queue
+ * @param {Object} room - Room to broadcast to
+ */
+function broadcastGameState(room) {
+  const socketIds = io.sockets.adapter.rooms.get(room.code);
+  if (!socketIds) return;
+
+  socketIds.forEach((socketId) => {
+    if (io.sockets.sockets.get(socketId)?.data.spectatorDelayed) return;
+    io.to(socketId).emit('game_state', getGameStateForSocket(room, socketId));
+  });
+
+  queueForSpectators(room, 'game_state', socketId => getGameStateForSocket(room, socketId));
+}
+
+/**
+ * Send a socket the current game state
+ * Delayed spectators get it through the spectator queue like everything else they see
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room the socket is in
+ */
+function sendGameState(socket, room) {
+  const state = getGameStateForSocket(room, socket.id);
+  if (socket.data.spectatorDelayed) {
+    queueForSpectator(room, socket.id, 'game_state', state);
+    return;
+  }
+  socket.emit('game_state', state);
+}
+
+/**
+ * Emit an event live to the room, except delayed spectators who get it later
+ * @param {Object} room - Room
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function emitToRoom(room, event, payload) {
+  io.to(room.code).except(getDelayedRoom(room)).emit(event, payload);
+  queueForSpectators(room, event, () => payload);
+}
+
+/**
+ * Queue an event for every delayed spectator, built now and released after the delay
+ * @param {Object} room - Room
+ * @param {String} event - Event name
+ * @param {Function} buildPayload - (socketId) => payload
+ */
+function queueForSpectators(room, event, buildPayload) {
+  const socketIds = io.sockets.adapter.rooms.get(getDelayedRoom(room));
+  if (!socketIds) return;
+
+  socketIds.forEach(socketId => queueForSpectator(room, socketId, event, buildPayload(socketId)));
+}
+
+/**
+ * Queue an event for one delayed spectator, released after the delay
+ * @param {Object} room - Room
+ * @param {String} socketId - Spectator's socket ID
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload (built now)
+ */
+function queueForSpectator(room, socketId, event, payload) {
+  const releaseAt = Date.now() + room.gameState.rules.spectatorDelayMs;
+  room.spectatorQueue.push({ releaseAt, socketId, event, payload });
+  scheduleSpectatorRelease(room);
+}
+
+/**
+ * Release queued spectator events as they come due
+ * @param {Object} room - Room
+ */
+function scheduleSpectatorRelease(room) {
+  if (room.spectatorTimer || room.spectatorQueue.length === 0) return;
+
+  room.spectatorTimer = setTimeout(() => {
+    room.spectatorTimer = null;
+    if (getRoom(room.code) !== room) return;
+
+    const now = Date.now();
+    while (room.spectatorQueue.length > 0 && room.spectatorQueue[0].releaseAt <= now) {
+      const { socketId, event, payload } = room.spectatorQueue.shift();
+      const socket = io.sockets.sockets.get(socketId);
+      // Spectator may have switched back to the live view in the meantime
+      if (socket?.data.spectatorDelayed) {
+        socket.emit(event, payload);
       }
     }
-  }
+    scheduleSpectatorRelease(room);
+  }, Math.max(0, room.spectatorQueue[0].releaseAt - Date.now()));
+}
+
+/**
+ * Switch a viewer between the live view and the delayed broadcast
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room
+ * @param {Boolean} enabled - Watch on a delay
+ */
+function setSpectatorDelayed(socket, room, enabled) {
+  socket.data.spectatorDelayed = enabled;
+  room.spectatorQueue = room.spectatorQueue.filter(item => item.socketId !== socket.id);
+
+  if (enabled) {
+    socket.join(getDelayedRoom(room));
+    // First delayed state arrives once the buffer has filled
+    queueForSpectators(room, 'game_state', socketId => getGameStateForSocket(room, socketId));
+  } else {
+    socket.leave(getDelayedRoom(room));
+    socket.emit('game_state', getGameStateForSocket(room, socket.id));
+  }
+  socket.emit('spectator_mode', { enabled, delayMs: room.gameState.rules.spectatorDelayMs });
+}
+
+/**
+ * Send the current room list to everyone browsing the lobby
+ */
+function broadcastRoomList() {
+  io.to(LOBBY_ROOM).emit('room_list', listRooms());
+}
+
+/**
+ * Nicknames of every seat, sent with join/leave notifications
+ * @param {Object} gameState - Room game state
+ * @returns {Object} Role -> nickname (null for a free seat)
+ */
+function getSeatNicknames(gameState) {
+  return Object.fromEntries(gameState.seats.map(seat => [seat.role, seat.player?.nickname || null]));
+}
+
+/**
+ * Key a chat sender is muted and kicked by: their profile, so it survives reconnects
+ * and rejoins; without one a player's seat or a viewer's socket
+ * @param {Object} room - Room
+ * @param {String} socketId - Socket ID
+ * @returns {String} Sender key
+ */
+function getChatSenderKey(room, socketId) {
+  const role = getPlayerRole(room, socketId);
+  const member = role === 'viewer'
+    ? room.gameState.viewers.find(v => v.socketId === socketId)
+    : getPlayer(room.gameState, role);
+
+  if (member?.profileId) return getProfileChatKey(member.profileId);
+  return role === 'viewer' ? socketId : `seat:${member.sessionToken}`;
+}
+
+/**
+ * Chat sender key of a profile
+ * @param {String} profileId - Profile id
+ * @returns {String} Sender key
+ */
+function getProfileChatKey(profileId) {
+  return `profile:${profileId}`;
+}
+
+/**
+ * Nickname of a player or viewer in the room
+ * @param {Object} room - Room
+ * @param {String} socketId - Socket ID
+ * @returns {String|undefined} Nickname
+ */
+function getNickname(room, socketId) {
+  const { gameState } = room;
+  const role = getPlayerRole(room, socketId);
+  return role === 'viewer'
+    ? gameState.viewers.find(v => v.socketId === socketId)?.nickname
+    : getPlayer(gameState, role).nickname;
+}
+
+/**
+ * Connected people in a room (bots excluded), for host moderation
+ * @param {Object} room - Room
+ * @returns {Array} [{ id, nickname, role, muted }]
+ */
+function getRoomMembers(room) {
+  const socketIds = io.sockets.adapter.rooms.get(room.code);
+  if (!socketIds) return [];
+
+  return [...socketIds].map(socketId => ({
+    id: socketId,
+    nickname: getNickname(room, socketId),
+    role: getPlayerRole(room, socketId),
+    muted: room.chat.muted.has(getChatSenderKey(room, socketId))
+  }));
+}
+
+/**
+ * Send a chat message to everyone in the room allowed to read its channel
+ * @param {Object} room - Room
+ * @param {Object} chatMessage - Stored message
+ */
+function emitChatMessage(room, chatMessage) {
+  const socketIds = io.sockets.adapter.rooms.get(room.code);
+  if (!socketIds) return;
+
+  socketIds.forEach((socketId) => {
+    if (canRead(getPlayerRole(room, socketId), chatMessage.channel)) {
+      io.to(socketId).emit('chat_message', chatMessage);
+    }
+  });
+}
+
+/**
+ * Send each socket in the room the chat history it may read
+ * @param {Object} room - Room
+ */
+function broadcastChatHistory(room) {
+  const socketIds = io.sockets.adapter.rooms.get(room.code);
+  if (!socketIds) return;
+
+  socketIds.forEach((socketId) => {
+    io.to(socketId).emit('chat_history', {
+      messages: getChatHistory(room.chat, getPlayerRole(room, socketId)),
+      emotes: EMOTES
+    });
+  });
+}
+
+/**
+ * Check the socket is the room's host, or report an error to it
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room
+ * @returns {Boolean}
+ */
+function requireHost(socket, room) {
+  if (room.hostSocketId !== socket.id) {
+    emitError(socket, ERROR_CODES.NOT_HOST, 'Only the host can moderate the chat');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Seat a socket in a room (as player or viewer)
+ * Leaves any room the socket was previously in
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room to join
+ * @param {String} nickname - Player nickname
+ * @param {String} profileToken - Profile token kept by the client (empty for a new profile)
+ */
+function joinRoom(socket, room, nickname, profileToken) {
+  const currentRoom = getRoomBySocket(socket.id);
+
+  // Already in this room, just resend state (delayed spectators stay on their feed)
+  // Joining again under another nickname is refused
+  if (currentRoom && currentRoom.code === room.code) {
+    const currentNickname = getNickname(room, socket.id);
+    if (currentNickname !== nickname) {
+      console.log(`Socket ${socket.id} tried to join ${room.code} again as ${nickname} (already ${currentNickname})`);
+      countAbuse('duplicateJoins');
+      emitError(socket, ERROR_CODES.ALREADY_IN_ROOM, `You already joined this room as ${currentNickname}`);
+      addAbuseStrike(socket, 'duplicate join');
+      return;
+    }
+
+    console.log(`Socket ${socket.id} already joined ${room.code}, sending state`);
+    sendGameState(socket, room);
+    return;
+  }
+
+  leaveQueue(socket.id);
+
+  const profile = getOrCreateProfile(profileToken, nickname);
+  if (room.chat.banned.has(getProfileChatKey(profile.id)) || room.chat.banned.has(socket.id)) {
+    emitError(socket, ERROR_CODES.KICKED, 'You were removed from this room');
+    return;
+  }
+
+  if (currentRoom) {
+    leaveRoom(socket, currentRoom);
+  }
+
+  const { gameState } = room;
+  const sessionToken = crypto.randomBytes(16).toString('hex');
+  const role = dispatch(room, 'player_joined', { socketId: socket.id, nickname, sessionToken, profileId: profile.id });
+  socket.leave(LOBBY_ROOM);
+  socket.join(room.code);
+  trackSocket(socket.id, room.code);
+  console.log(`${nickname} joined ${room.code} as ${role} (socket: ${socket.id})`);
+
+  // The client keeps its profile token so stats follow it across visits
+  socket.emit('profile', { profileToken: profile.token, profileId: profile.id, nickname });
+
+  // Players get a token to reclaim their seat after a dropped connection
+  if (role !== 'viewer') {
+    socket.emit('session', { sessionToken, roomCode: room.code, role });
+  }
+
+  // Send initial state to joining player immediately
+  sendGameState(socket, room);
+
+  // Notify everyone in the room
+  io.to(room.code).emit('player_joined', {
+    nickname,
+    role,
+    players: getSeatNicknames(gameState)
+  });
+
+  broadcastRoomList();
+
+  // Broadcast updated state to everyone in the room
+  setTimeout(() => {
+    broadcastGameState(room);
+  }, 100);
+}
+
+/**
+ * Remove a socket from its room, closing the room once it is empty
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room to leave
+ * @param {Object} options - { forfeit: a player leaving a ranked match loses it (default true) }
+ */
+function leaveRoom(socket, room, options) {
+  if (socket.data.spectatorDelayed) {
+    socket.data.spectatorDelayed = false;
+    socket.leave(getDelayedRoom(room));
+  }
+  socket.leave(room.code);
+  releaseSeat(room, socket.id, options);
+}
+
+/**
+ * Free whatever seat a socket ID holds in a room and notify the room
+ * @param {Object} room - Room
+ * @param {String} socketId - Socket ID (may already be disconnected)
+ * @param {Object} options - { forfeit: a player leaving a ranked match loses it (default true) }
+ */
+function releaseSeat(room, socketId, { forfeit = true } = {}) {
+  const { gameState } = room;
+  const role = getPlayerRole(room, socketId);
+  if (forfeit) forfeitRankedMatch(room, role);
+  dispatch(room, 'player_left', { socketId });
+  untrackSocket(socketId);
+
+  if (isRoomEmpty(room)) {
+    console.log(`Room ${room.code} is empty, closing`);
+    recordHandEvents(room);
+    abandonHand(room.code);
+    closeRoom(room.code);
+    broadcastRoomList();
+    return;
+  }
+
+  // Hand host rights to someone still in the room
+  if (room.hostSocketId === socketId) {
+    const remaining = io.sockets.adapter.rooms.get(room.code);
+    room.hostSocketId = remaining ? remaining.values().next().value : null;
+  }
+
+  io.to(room.code).emit('player_left', {
+    role,
+    players: getSeatNicknames(gameState)
+  });
+
+  broadcastRoomList();
+  broadcastGameState(room);
+}
+
+/**
+ * Hold a dropped player's seat for the grace period, then release it
+ * Viewers are removed right away
+ * @param {Object} socket - Disconnected socket
+ * @param {Object} room - Room the socket was in
+ */
+function holdSeat(socket, room) {
+  if (getPlayerRole(room, socket.id) === 'viewer') {
+    leaveRoom(socket, room);
+    return;
+  }
+
+  const role = dispatch(room, 'player_disconnected', { socketId: socket.id });
+  untrackSocket(socket.id);
+  const player = getPlayer(room.gameState, role);
+  scheduleSeatRelease(room, role);
+
+  io.to(room.code).emit('player_disconnected', {
+    role,
+    nickname: player.nickname,
+    reconnectDeadline: getReconnectDeadline(player)
+  });
+  broadcastGameState(room);
+}
+
+/**
+ * Release a disconnected player's seat unless they are back within the grace period
+ * @param {Object} room - Room
+ * @param {String} role - Held seat
+ */
+function scheduleSeatRelease(room, role) {
+  const player = getPlayer(room.gameState, role);
+  console.log(`[${room.code}] Holding ${role} seat for ${player.nickname} (${RECONNECT_GRACE_MS}ms)`);
+
+  clearTimeout(room.reconnectTimers[role]);
+  room.reconnectTimers[role] = setTimeout(() => {
+    delete room.reconnectTimers[role];
+
+    // Room closed or player came back in the meantime
+    if (getRoom(room.code) !== room || getPlayer(room.gameState, role) !== player || player.connected) return;
+
+    console.log(`[${room.code}] ${player.nickname} did not reconnect, releasing seat`);
+    releaseSeat(room, player.socketId);
+  }, RECONNECT_GRACE_MS);
+}
+
+/**
+ * (Re)start the turn clock for whoever is to act and schedule the auto action
+ * @param {Object} room - Room
+ */
+function scheduleTurnTimer(room) {
+  clearTimeout(room.turnTimer);
+  room.turnTimer = null;
+
+  // Tables without a clock have nothing to settle or start
+  if (!room.gameState.turnClock && !room.gameState.rules.turnTimeMs) return;
+
+  const clock = dispatch(room, 'turn_clock_started');
+  if (!clock) return;
+
+  room.turnTimer = setTimeout(() => {
+    room.turnTimer = null;
+
+    // Room closed or the player acted in the meantime
+    if (getRoom(room.code) !== room || room.gameState.turnClock !== clock) return;
+
+    const result = dispatch(room, 'turn_timeout');
+    if (!result.success) return;
+
+    console.log(`[${room.code}] ${result.message}`);
+    emitToRoom(room, 'player_action_notify', { role: clock.player, action: 'timed_out' });
+    afterAction(room);
+  }, clock.deadline - Date.now());
+}
+
+/**
+ * Schedule the next bot move if a bot is to act or has to shoot
+ * @param {Object} room - Room
+ */
+function scheduleBotTurn(room) {
+  clearTimeout(room.botTimer);
+  room.botTimer = null;
+
+  const { gameState } = room;
+  const isShooting = gameState.phase === PHASES.SHOOTING;
+  const isClaiming = gameState.phase === LIAR_PHASES.CLAIM;
+  const role = isShooting ? gameState.loser : gameState.activePlayer;
+  const bot = room.bots[role];
+  if (!bot || (!isShooting && !isClaiming && !BETTING_PHASES.includes(gameState.phase))) return;
+
+  const phase = gameState.phase;
+  room.botTimer = setTimeout(() => {
+    room.botTimer = null;
+
+    // Room closed or the game moved on while thinking
+    if (getRoom(room.code) !== room || room.bots[role] !== bot || gameState.phase !== phase) return;
+
+    if (isShooting) {
+      if (gameState.loser === role) performShoot(room);
+      return;
+    }
+
+    if (gameState.activePlayer !== role) return;
+    let result;
+    if (isClaiming) {
+      const { action, cards } = decideLiarAction(bot, gameState, role);
+      result = dispatch(room, 'liar_action', { role, action, cards });
+    } else {
+      result = dispatch(room, 'action', { role, action: decideAction(bot, gameState, role) });
+    }
+    console.log(`[${room.code}] (bot) ${result.message}`);
+    if (result.success) {
+      afterAction(room);
+    }
+  }, getThinkTime(bot));
+}
+
+/**
+ * Loser holding the revolver pulls the trigger; result goes to the whole room
+ * @param {Object} room - Room
+ */
+function performShoot(room) {
+  const result = dispatch(room, 'shot');
+  console.log(`[${room.code}] ${result.message}`);
+  recordHandEvents(room);
+
+  settleRankedMatch(room);
+
+  // Broadcast shooting result
+  emitToRoom(room, 'shoot_result', result);
+
+  // Match mode: the survivor plays on after the shot has sunk in
+  if (room.gameState.phase === PHASES.HAND_OVER) {
+    scheduleNextHand(room);
+    return;
+  }
+
+  // Broadcast updated game state; the next loser (if any) takes the revolver
+  setTimeout(() => {
+    if (getRoom(room.code) !== room) return;
+    broadcastGameState(room);
+    if (result.nextShooter) scheduleBotTurn(room);
+  }, 3000);
+}
+
+/**
+ * Deal the next hand of a match after NEXT_HAND_DELAY_MS
+ * @param {Object} room - Room
+ */
+function scheduleNextHand(room) {
+  clearTimeout(room.nextHandTimer);
+  room.nextHandTimer = setTimeout(() => {
+    room.nextHandTimer = null;
+    if (getRoom(room.code) !== room || room.gameState.phase !== PHASES.HAND_OVER) return;
+
+    dispatch(room, 'hand_started');
+    console.log(`[${room.code}] Match continues: hand ${room.gameState.handNumber}`);
+    settleRankedMatch(room);
+    afterAction(room);
+  }, NEXT_HAND_DELAY_MS);
+}
+
+/**
+ * Update both ratings once a ranked match has a winner
+ * The rating changes are kept on the match so the summary can show them
+ * @param {Object} room - Room
+ */
+function settleRankedMatch(room) {
+  const { gameState } = room;
+  const { match } = gameState;
+  if (!gameState.rules.ranked || !match?.winner || match.ratings) return;
+
+  // Ranked matches are heads-up: the other seat lost
+  const loser = gameState.seats.find(seat => seat.player && seat.role !== match.winner)?.role;
+  const winnerProfileId = getPlayer(gameState, match.winner)?.profileId;
+  const loserProfileId = getPlayer(gameState, loser)?.profileId;
+  if (!winnerProfileId || !loserProfileId) return;
+
+  const result = recordMatchResult(winnerProfileId, loserProfileId);
+  dispatch(room, 'match_rated', { ratings: { [match.winner]: result.winner, [loser]: result.loser } });
+  console.log(`[${room.code}] Ranked match: ${getPlayer(gameState, match.winner).nickname} ${result.winner.before} -> ${result.winner.after}, ${getPlayer(gameState, loser).nickname} ${result.loser.before} -> ${result.loser.after}`);
+}
+
+/**
+ * A player walking out of a ranked match in progress (leaving, or not back
+ * within the reconnect window) loses it, so quitting can't dodge the rating loss
+ * @param {Object} room - Room
+ * @param {String} role - Role of the player leaving
+ */
+function forfeitRankedMatch(room, role) {
+  if (!room.gameState.rules.ranked || !isSeatRole(role)) return;
+
+  const result = dispatch(room, 'match_forfeited', { role });
+  if (!result.success) return;
+
+  console.log(`[${room.code}] ${result.message}`);
+  settleRankedMatch(room);
+}
+
+/**
+ * Pair queued players into new ranked rooms and tell everyone still
+ * waiting how long it should take
+ */
+function runMatchmaking() {
+  findPairs().forEach((pair) => {
+    const sockets = pair.map(entry => io.sockets.sockets.get(entry.socketId));
+
+    // Someone left between ticks: the other keeps their place in the queue
+    if (sockets.some(s => !s)) {
+      pair.forEach((entry, i) => {
+        if (sockets[i]) joinQueue(entry, entry.joinedAt);
+      });
+      return;
+    }
+
+    const [first, second] = pair;
+    const room = createRoom({
+      name: `Ranked: ${first.nickname} vs ${second.nickname}`,
+      hostSocketId: first.socketId,
+      rules: {
+        turnTimeMs: TURN_TIME_MS,
+        timeBankMs: TIME_BANK_MS,
+        spectatorDelayMs: SPECTATOR_DELAY_MS,
+        matchMode: true,
+        ranked: true
+      }
+    });
+    console.log(`Matched ${first.nickname} (${first.rating}) with ${second.nickname} (${second.rating}) in ${room.code}`);
+
+    pair.forEach((entry, i) => {
+      const opponent = pair[1 - i];
+      sockets[i].emit('match_found', {
+        roomCode: room.code,
+        opponent: { nickname: opponent.nickname, rating: opponent.rating }
+      });
+      joinRoom(sockets[i], room, entry.nickname, entry.profileToken);
+    });
+  });
+
+  listQueuedSockets().forEach((socketId) => {
+    io.to(socketId).emit('queue_status', getQueueStatus(socketId));
+  });
+}
+
+/**
+ * Restart the clock and push state to the room after a successful action
+ * @param {Object} room - Room
+ */
+function afterAction(room) {
+  recordHandEvents(room);
+  scheduleTurnTimer(room);
+  scheduleBotTurn(room);
+  scheduleTieContinuation(room);
+  scheduleRevealContinuation(room);
+
+  // Broadcast updated state
+  broadcastGameState(room);
+
+  // If phase is now SHOWDOWN, evaluate after short delay
+  if (room.gameState.phase === PHASES.SHOWDOWN) {
+    setTimeout(() => {
+      broadcastGameState(room);
+    }, 2000);
+  }
+}
+
+/**
+ * A split hand is shown for TIE_DISPLAY_MS, then the tie policy plays out
+ * (shots, a replay or the next hand)
+ * @param {Object} room - Room
+ */
+function scheduleTieContinuation(room) {
+  if (room.gameState.phase !== PHASES.TIE) return;
+
+  clearTimeout(room.nextHandTimer);
+  room.nextHandTimer = setTimeout(() => {
+    room.nextHandTimer = null;
+    if (getRoom(room.code) !== room || room.gameState.phase !== PHASES.TIE) return;
+
+    dispatch(room, 'tie_settled');
+    console.log(`[${room.code}] Tie settled: ${room.gameState.phase}`);
+    afterAction(room);
+  }, TIE_DISPLAY_MS);
+}
+
+/**
+ * A called Liar's Deck claim is shown face up for REVEAL_DISPLAY_MS, then the loser shoots
+ * @param {Object} room - Room
+ */
+function scheduleRevealContinuation(room) {
+  if (room.gameState.phase !== LIAR_PHASES.REVEAL) return;
+
+  clearTimeout(room.nextHandTimer);
+  room.nextHandTimer = setTimeout(() => {
+    room.nextHandTimer = null;
+    if (getRoom(room.code) !== room || room.gameState.phase !== LIAR_PHASES.REVEAL) return;
+
+    dispatch(room, 'reveal_settled');
+    afterAction(room);
+  }, REVEAL_DISPLAY_MS);
+}
+
+/**
+ * Rebuild the tables that were open when the server stopped
+ * Players get the reconnect grace period to come back to their seats, the
+ * hand carries on where it was (bots, clocks and pending hands restart)
+ */
+function resumeTables() {
+  restoreRooms().forEach((room) => {
+    // Replayed hands are already in the players' stats
+    recordHandEvents(room, { countStats: false });
+    const held = dispatch(room, 'table_restored');
+
+    if (held.length === 0) {
+      console.log(`Room ${room.code} restored without players, closing`);
+      abandonHand(room.code);
+      closeRoom(room.code);
+      return;
+    }
 
-  // Reveal all hands at showdown or after
-  if (gameState.phase === PHASES.SHOWDOWN || gameState.phase === PHASES.SHOOTING || gameState.phase === PHASES.GAME_OVER) {
-    state.player1Hand = gameState.player1Hand;
-    state.player2Hand = gameState.player2Hand;
-    state.handResult = gameState.handResult;
+    held.forEach(role => scheduleSeatRelease(room, role));
+    scheduleTurnTimer(room);
+    scheduleBotTurn(room);
+    scheduleTieContinuation(room);
+    scheduleRevealContinuation(room);
+    if (room.gameState.phase === PHASES.HAND_OVER) scheduleNextHand(room);
+    console.log(`Room ${room.code} restored at event ${getLastSeq(room)} (${room.gameState.phase})`);
+  });
+}
+
+/**
+ * A room timing option in ms
+ * @param {Number} seconds - Seconds asked for on create_room (may be missing)
+ * @param {Number} maxSeconds - Longest allowed
+ * @param {Number} defaultMs - Server default when nothing valid was asked for
+ * @returns {Number} Milliseconds, clamped to 0..maxSeconds
+ */
+function secondsToMs(seconds, maxSeconds, defaultMs) {
+  return Number.isFinite(seconds) ? Math.min(maxSeconds, Math.max(0, seconds)) * 1000 : defaultMs;
+}
+
+/**
+ * Get the room of a socket, or report an error to it
+ * @param {Object} socket - Socket.io socket
+ * @returns {Object|null} Room or null
+ */
+function requireRoom(socket) {
+  const room = getRoomBySocket(socket.id);
+  if (!room) {
+    emitError(socket, ERROR_CODES.NOT_IN_ROOM, 'Join a room first');
   }
+  return room;
+}
 
-  return state;
+/**
+ * Report an error to a socket
+ * @param {Object} socket - Socket.io socket
+ * @param {String} code - Error code (see ERROR_CODES)
+ * @param {String} message - Human-readable message
+ */
+function emitError(socket, code, message) {
+  socket.emit('error', { code, message });
 }
 
 /**
- * Get player role by socket ID
- * @param {String} socketId - Socket ID
- * @returns {String} 'player1', 'player2', or 'viewer'
+ * Check a nickname against the nickname rules, or report an error to the socket
+ * @param {Object} socket - Socket.io socket
+ * @param {String} nickname - Nickname as sent
+ * @returns {String|null} Cleaned-up nickname or null
  */
-function getPlayerRole(socketId) {
-  if (gameState.players.player1?.socketId === socketId) return 'player1';
-  if (gameState.players.player2?.socketId === socketId) return 'player2';
-  return 'viewer';
+function requireNickname(socket, nickname) {
+  const result = validateNickname(nickname);
+  if (!result.success) {
+    countAbuse('rejectedNicknames');
+    emitError(socket, ERROR_CODES.INVALID_NICKNAME, result.message);
+    return null;
+  }
+  return result.nickname;
 }
 
 /**
- * Broadcast game state to all connected clients
+ * Check whether someone else at a table (player or viewer) uses a nickname
+ * Nicknames are compared without regard to case
+ * @param {Object} room - Room
+ * @param {String} nickname - Nickname
+ * @param {String} socketId - Socket asking (its own entry doesn't count)
+ * @returns {Boolean}
  */
-function broadcastGameState() {
-  io.sockets.sockets.forEach((socket) => {
-    const state = getGameStateForSocket(socket.id);
-    socket.emit('game_state', state);
-  });
+function isNicknameTaken(room, nickname, socketId) {
+  const { gameState } = room;
+  const wanted = nickname.toLowerCase();
+  const members = [...gameState.seats.map(seat => seat.player).filter(Boolean), ...gameState.viewers];
+  return members.some(member => member.socketId !== socketId && member.nickname.toLowerCase() === wanted);
 }
 
-// Tìm hàm gửi gameState cho người chơi, thường là trong socket.on('gameStateUpdate') hoặc tương tự
-const sendGameState = (roomId) => {
-    const game = games[roomId];
-    if (!game) return;
+/**
+ * Count a strike against a socket and disconnect it once it has too many
+ * @param {Object} socket - Socket.io socket
+ * @param {String} reason - What the strike was for (logged)
+ */
+function addAbuseStrike(socket, reason) {
+  // Events buffered before the disconnect still come through the middleware
+  if (!socket.connected || !addStrike(socket.data.limiter)) return;
+
+  console.log(`Disconnecting ${socket.id}: too many strikes (last: ${reason})`);
+  socket.disconnect(true);
+}
 
-    Object.keys(game.players).forEach(socketId => {
-        const player = game.players[socketId];
-        let handStrength = "";
+/**
+ * Listen for a client event, checking its payload against the protocol first
+ * Invalid payloads are answered with an INVALID_PAYLOAD error and never reach the handler
+ * @param {Object} socket - Socket.io socket
+ * @param {String} event - Event name (see CLIENT_EVENTS)
+ * @param {Function} handler - (payload) => void
+ */
+function onClientEvent(socket, event, handler) {
+  socket.on(event, (payload) => {
+    const result = validateClientEvent(event, payload);
+    if (!result.success) {
+      emitError(socket, result.code, result.message);
+      return;
+    }
+    handler(result.payload);
+  });
+}
 
-        // Chỉ tính toán độ mạnh nếu người chơi có bài và đã có bài trên bàn
-        if (player.hand && player.hand.length === 2) {
-            const evaluation = evaluateHand(player.hand, game.communityCards || []);
-            handStrength = evaluation.name; // Ví dụ: "Pair", "Flush"
-        }
+// Protocol handshake: clients announce their version in the connection's auth
+io.use((socket, next) => {
+  const version = socket.handshake.auth?.protocolVersion;
+  if (isSupportedVersion(version)) {
+    next();
+    return;
+  }
 
-        // Gửi gameState tùy chỉnh cho từng người (để bảo mật bài)
-        const filteredState = {
-            ...game,
-            players: Object.keys(game.players).reduce((acc, id) => {
-                acc[id] = {
-                    ...game.players[id],
-                    // Chỉ gửi handStrength cho chính chủ
-                    handStrength: id === socketId ? handStrength : null,
-                    hand: id === socketId || game.showdown ? game.players[id].hand : [null, null]
-                };
-                return acc;
-            }, {})
-        };
-        io.to(socketId).emit('gameStateUpdate', filteredState);
-    });
-};
+  const err = new Error(`Protocol version ${version} is not supported (server speaks ${PROTOCOL_VERSION})`);
+  err.data = { code: ERROR_CODES.UNSUPPORTED_VERSION, protocolVersion: PROTOCOL_VERSION };
+  next(err);
+});
 
 // Socket.io connection handler
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
+  socket.emit('welcome', { protocolVersion: PROTOCOL_VERSION });
+
+  // Token bucket per event type: events over the limit are dropped and count as strikes.
+  // Events outside the protocol are dropped with an error and a strike before any bucket
+  socket.data.limiter = createLimiter();
+  socket.use(([event], next) => {
+    if (!socket.connected) return;
+    if (!Object.prototype.hasOwnProperty.call(CLIENT_EVENTS, event)) {
+      const name = String(event).slice(0, 40);
+      emitError(socket, ERROR_CODES.UNKNOWN_EVENT, `Unknown event: ${name}`);
+      addAbuseStrike(socket, `unknown event ${name}`);
+      return;
+    }
+    if (takeToken(socket.data.limiter, event)) {
+      next();
+      return;
+    }
+    emitError(socket, ERROR_CODES.RATE_LIMITED, `Too many ${event} requests, slow down`);
+    addAbuseStrike(socket, `rate limit on ${event}`);
+  });
+
+  /**
+   * EVENT: list_rooms
+   * Client browses open rooms (keeps receiving updates until it joins one)
+   */
+  onClientEvent(socket, 'list_rooms', () => {
+    socket.join(LOBBY_ROOM);
+    socket.emit('rule_presets', listRulePresets());
+    socket.emit('room_list', listRooms());
+  });
+
+  /**
+   * EVENT: create_room
+   * Create a new room and join it as its host
+   */
+  onClientEvent(socket, 'create_room', (data) => {
+    const {
+      roomName,
+      preset,
+      turnTimeSeconds,
+      timeBankSeconds,
+      spectatorDelaySeconds,
+      matchMode,
+      bestOfSurvivals,
+      maxPlayers,
+      blinds,
+      tiePolicy,
+      gameMode,
+      deathModel,
+      profileToken
+    } = data;
+    const nickname = requireNickname(socket, data.nickname);
+    if (!nickname) return;
+
+    const room = createRoom({
+      name: roomName,
+      hostSocketId: socket.id,
+      rules: {
+        preset,
+        turnTimeMs: secondsToMs(turnTimeSeconds, ROOM_TIMER_LIMITS.turnTimeSeconds, TURN_TIME_MS),
+        timeBankMs: secondsToMs(timeBankSeconds, ROOM_TIMER_LIMITS.timeBankSeconds, TIME_BANK_MS),
+        spectatorDelayMs: secondsToMs(spectatorDelaySeconds, ROOM_TIMER_LIMITS.spectatorDelaySeconds, SPECTATOR_DELAY_MS),
+        matchMode: Boolean(matchMode),
+        bestOfSurvivals: Number.isInteger(bestOfSurvivals) ? Math.max(0, bestOfSurvivals) : 0,
+        maxPlayers: Number.isInteger(maxPlayers) ? Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, maxPlayers)) : DEFAULT_RULES.maxPlayers,
+        // Blinds replace the preset's ante
+        ...(blinds ? { forcedBets: 'blinds', ante: 0 } : {}),
+        ...(Object.values(TIE_POLICIES).includes(tiePolicy) ? { tiePolicy } : {}),
+        ...(Object.values(GAME_MODES).includes(gameMode) ? { gameMode } : {}),
+        ...(Object.values(DEATH_MODELS).includes(deathModel) ? { deathModel } : {})
+      }
+    });
+    console.log(`Room ${room.code} created by ${nickname}`);
+    socket.emit('room_created', { roomCode: room.code, roomName: room.name });
+    joinRoom(socket, room, nickname, profileToken);
+  });
+
+  /**
+   * EVENT: join_room
+   * Join an existing room by its shareable code
+   */
+  onClientEvent(socket, 'join_room', (data) => {
+    const { roomCode, profileToken } = data;
+    const nickname = requireNickname(socket, data.nickname);
+    if (!nickname) return;
+
+    const room = getRoom(roomCode);
+    if (!room) {
+      emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
+      return;
+    }
+
+    if (isNicknameTaken(room, nickname, socket.id)) {
+      emitError(socket, ERROR_CODES.NICKNAME_TAKEN, `${nickname} is already taken at this table`);
+      return;
+    }
+
+    joinRoom(socket, room, nickname, profileToken);
+  });
 
   /**
    * EVENT: join_game
-   * Player joins the game with a nickname
+   * Quick play: join a room with a free seat, or open a new one
    */
-  socket.on('join_game', (data) => {
-    const { nickname } = data;
-    
-    if (!nickname || nickname.trim() === '') {
-      socket.emit('error', { message: 'Nickname required' });
+  onClientEvent(socket, 'join_game', (data) => {
+    const { profileToken } = data;
+    const nickname = requireNickname(socket, data.nickname);
+    if (!nickname) return;
+
+    // Quick play skips tables where the nickname is taken
+    const currentRoom = getRoomBySocket(socket.id);
+    const room = currentRoom || findOpenRoom(open => !isNicknameTaken(open, nickname, socket.id)) || createRoom({
+      hostSocketId: socket.id,
+      rules: { turnTimeMs: TURN_TIME_MS, timeBankMs: TIME_BANK_MS, spectatorDelayMs: SPECTATOR_DELAY_MS }
+    });
+    joinRoom(socket, room, nickname, profileToken);
+  });
+
+  /**
+   * EVENT: find_match
+   * Wait in the matchmaking queue for a ranked opponent
+   */
+  onClientEvent(socket, 'find_match', (data) => {
+    const { profileToken } = data;
+    const nickname = requireNickname(socket, data.nickname);
+    if (!nickname) return;
+
+    if (getRoomBySocket(socket.id)) {
+      emitError(socket, ERROR_CODES.ALREADY_IN_ROOM, 'Leave your room before looking for a match');
+      return;
+    }
+    if (isQueued(socket.id)) {
+      socket.emit('queue_status', getQueueStatus(socket.id));
+      return;
+    }
+
+    const profile = getOrCreateProfile(profileToken, nickname);
+    socket.emit('profile', { profileToken: profile.token, profileId: profile.id, nickname });
+
+    joinQueue({
+      socketId: socket.id,
+      nickname,
+      profileId: profile.id,
+      profileToken: profile.token,
+      rating: profile.rating
+    });
+    console.log(`${nickname} (${profile.rating}) is looking for a match`);
+    socket.emit('queue_status', getQueueStatus(socket.id));
+  });
+
+  /**
+   * EVENT: cancel_match
+   * Leave the matchmaking queue
+   */
+  onClientEvent(socket, 'cancel_match', () => {
+    if (leaveQueue(socket.id)) {
+      socket.emit('queue_left');
+    }
+  });
+
+  /**
+   * EVENT: rejoin_game
+   * Reclaim a held seat after a dropped connection
+   */
+  onClientEvent(socket, 'rejoin_game', (data) => {
+    const { sessionToken } = data;
+    const seat = findSessionSeat(sessionToken);
+
+    if (!seat) {
+      socket.emit('session_expired');
+      return;
+    }
+
+    const { room, role } = seat;
+    const { gameState } = room;
+    const previousSocketId = getPlayer(gameState, role).socketId;
+
+    // Leave any other room this socket wandered into
+    const currentRoom = getRoomBySocket(socket.id);
+    if (currentRoom && currentRoom !== room) {
+      leaveRoom(socket, currentRoom);
+    }
+
+    // The old socket may not have timed out yet: detach it from the seat
+    if (previousSocketId !== socket.id) {
+      untrackSocket(previousSocketId);
+      io.sockets.sockets.get(previousSocketId)?.leave(room.code);
+    }
+
+    clearTimeout(room.reconnectTimers[role]);
+    delete room.reconnectTimers[role];
+    dispatch(room, 'player_reconnected', { sessionToken, socketId: socket.id });
+    // Rooms rebuilt after a restart have no host until someone is back
+    if (room.hostSocketId === previousSocketId || !room.hostSocketId) {
+      room.hostSocketId = socket.id;
+    }
+
+    socket.leave(LOBBY_ROOM);
+    socket.join(room.code);
+    trackSocket(socket.id, room.code);
+    console.log(`[${room.code}] ${getPlayer(gameState, role).nickname} reconnected as ${role}`);
+
+    socket.emit('session', { sessionToken, roomCode: room.code, role });
+    sendGameState(socket, room);
+    socket.to(room.code).emit('player_reconnected', {
+      role,
+      nickname: getPlayer(gameState, role).nickname
+    });
+    broadcastGameState(room);
+  });
+
+  /**
+   * EVENT: leave_room
+   * Leave the current room and go back to the lobby
+   */
+  onClientEvent(socket, 'leave_room', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+
+    leaveRoom(socket, room);
+  });
+
+  /**
+   * EVENT: close_room
+   * Host closes the room, sending everyone back to the lobby
+   */
+  onClientEvent(socket, 'close_room', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+
+    if (room.hostSocketId !== socket.id) {
+      emitError(socket, ERROR_CODES.NOT_HOST, 'Only the host can close the room');
+      return;
+    }
+
+    console.log(`Room ${room.code} closed by host`);
+    io.to(room.code).emit('room_closed', { roomCode: room.code });
+    recordHandEvents(room);
+    abandonHand(room.code);
+    closeRoom(room.code).forEach((socketId) => {
+      io.sockets.sockets.get(socketId)?.leave(room.code);
+    });
+    broadcastRoomList();
+  });
+
+  /**
+   * EVENT: add_bot
+   * Seat a bot in the first free player seat
+   */
+  onClientEvent(socket, 'add_bot', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { gameState } = room;
+    const { strategy = 'equity', thinkTimeMs } = data;
+
+    if (getPlayerRole(room, socket.id) === 'viewer' && room.hostSocketId !== socket.id) {
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'Only players or the host can add bots');
+      return;
+    }
+
+    if (!isStrategy(strategy)) {
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, `Unknown bot strategy: ${strategy}`);
       return;
     }
 
-    // Check if this socket has already joined (simple check)
-    if (gameState.players.player1?.socketId === socket.id || 
-        gameState.players.player2?.socketId === socket.id) {
-      console.log(`Socket ${socket.id} already joined, sending state`);
-      const state = getGameStateForSocket(socket.id);
-      socket.emit('game_state', state);
+    if (gameState.rules.ranked) {
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'Bots cannot play ranked matches');
       return;
     }
 
-    // Add new player
-    const role = addPlayer(gameState, socket.id, nickname);
-    console.log(`${nickname} joined as ${role} (socket: ${socket.id})`);
+    const bot = createBot({
+      strategy,
+      thinkTime: Number.isFinite(thinkTimeMs) ? { minMs: thinkTimeMs / 2, maxMs: thinkTimeMs * 1.5 } : undefined
+    });
+    const botId = `bot:${crypto.randomBytes(4).toString('hex')}`;
+    const nickname = `🤖 ${strategy}`;
+    const role = dispatch(room, 'bot_added', { botId, nickname, bot });
+
+    if (role.success === false) {
+      emitError(socket, ERROR_CODES.REJECTED, role.message);
+      return;
+    }
 
-    // Send initial state to joining player immediately
-    const state = getGameStateForSocket(socket.id);
-    console.log('Sending game_state to', socket.id, state);
-    socket.emit('game_state', state);
+    console.log(`[${room.code}] Bot (${strategy}) seated as ${role}`);
 
-    // Notify all players
-    io.emit('player_joined', {
+    io.to(room.code).emit('player_joined', {
       nickname,
       role,
-      players: {
-        player1: gameState.players.player1?.nickname || null,
-        player2: gameState.players.player2?.nickname || null
-      }
+      players: getSeatNicknames(gameState)
     });
+    broadcastRoomList();
+    broadcastGameState(room);
+  });
 
-    // Broadcast updated state to everyone
-    setTimeout(() => {
-      broadcastGameState();
-    }, 100);
+  /**
+   * EVENT: remove_bot
+   * Free a seat taken by a bot (only while no hand is being played)
+   */
+  onClientEvent(socket, 'remove_bot', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { gameState } = room;
+    const { role } = data;
+
+    if (!isSeatRole(role) || !Object.prototype.hasOwnProperty.call(room.bots, role)) {
+      emitError(socket, ERROR_CODES.INVALID_TARGET, 'No bot in that seat');
+      return;
+    }
+
+    if (gameState.phase !== PHASES.WAITING && gameState.phase !== PHASES.GAME_OVER) {
+      emitError(socket, ERROR_CODES.WRONG_PHASE, 'Cannot remove a bot during a hand');
+      return;
+    }
+
+    dispatch(room, 'bot_removed', { role });
+    console.log(`[${room.code}] Bot removed from ${role}`);
+
+    io.to(room.code).emit('player_left', {
+      role,
+      players: getSeatNicknames(gameState)
+    });
+    broadcastRoomList();
+    broadcastGameState(room);
   });
 
   /**
    * EVENT: start_game
-   * Start the game when both players are ready
+   * Start the game once at least two players are seated
    */
-  socket.on('start_game', () => {
+  onClientEvent(socket, 'start_game', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { gameState } = room;
+
     if (!canStartGame(gameState)) {
-      socket.emit('error', { message: 'Need 2 players to start' });
+      emitError(socket, ERROR_CODES.NOT_ENOUGH_PLAYERS, 'Need at least 2 players to start');
       return;
     }
 
     if (gameState.phase !== PHASES.WAITING) {
-      socket.emit('error', { message: 'Game already in progress' });
+      emitError(socket, ERROR_CODES.WRONG_PHASE, 'Game already in progress');
       return;
     }
 
-    console.log('Starting new game...');
-    startNewHand(gameState);
-    broadcastGameState();
+    console.log(`[${room.code}] Starting new game...`);
+    dispatch(room, 'hand_started');
+    afterAction(room);
+    broadcastRoomList();
   });
 
   /**
    * EVENT: reset_game
    * Reset game after game over
    */
-  socket.on('reset_game', () => {
+  onClientEvent(socket, 'reset_game', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { gameState } = room;
+
     if (gameState.phase !== PHASES.GAME_OVER) {
-      socket.emit('error', { message: 'Can only reset after game over' });
+      emitError(socket, ERROR_CODES.WRONG_PHASE, 'Can only reset after game over');
       return;
     }
 
-    console.log('Resetting game and starting new hand...');
-    resetGame(gameState);
+    console.log(`[${room.code}] Resetting game and starting new hand...`);
+    dispatch(room, 'game_reset');
+
+    // Chat history lasts for one match
+    clearChat(room.chat);
+    broadcastChatHistory(room);
     
-    // Automatically start new hand if both players alive
+    // Automatically start new hand if at least two players are alive
     if (canStartGame(gameState)) {
-      startNewHand(gameState);
+      dispatch(room, 'hand_started');
     }
     
-    broadcastGameState();
+    afterAction(room);
   });
 
   /**
    * EVENT: player_action
-   * Player makes an action (fold, check, call, raise, all-in)
+   * Player makes an action (fold, check, call, bet, raise, all-in)
+   * BET and RAISE take the total commitment to go to as `amount`
+   * Liar's Deck: PLAY takes the hand indexes of the cards to lay as `cards`
    */
-  socket.on('player_action', (data) => {
-    const { action } = data;
-    const role = getPlayerRole(socket.id);
+  onClientEvent(socket, 'player_action', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { action, amount, cards } = data;
+    const role = getPlayerRole(room, socket.id);
+    const isLiarsDeck = room.gameState.rules.gameMode === GAME_MODES.LIARS_DECK;
 
     if (role === 'viewer') {
-      socket.emit('error', { message: 'Viewers cannot perform actions' });
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'Viewers cannot perform actions');
       return;
     }
 
-    if (!Object.values(ACTIONS).includes(action)) {
-      socket.emit('error', { message: 'Invalid action' });
+    if (!Object.values(isLiarsDeck ? LIAR_ACTIONS : ACTIONS).includes(action)) {
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, 'Invalid action');
       return;
     }
 
-    const result = processAction(gameState, role, action);
+    const result = isLiarsDeck
+      ? dispatch(room, 'liar_action', { role, action, cards: Array.isArray(cards) ? cards : [] })
+      : dispatch(room, 'action', { role, action, amount });
 
     if (result.success) {
-      console.log(result.message);
-      
-      // Broadcast updated state
-      broadcastGameState();
-
-      // If phase is now SHOWDOWN, evaluate after short delay
-      if (gameState.phase === PHASES.SHOWDOWN) {
-        setTimeout(() => {
-          broadcastGameState();
-        }, 2000);
-      }
+      console.log(`[${room.code}] ${result.message}`);
+      afterAction(room);
     } else {
-      socket.emit('error', { message: result.message });
+      emitError(socket, ERROR_CODES.REJECTED, result.message);
     }
   });
 
   /**
    * EVENT: shoot
-   * Trigger the shooting mechanic (loser pulls trigger)
+   * Trigger the shooting mechanic (the loser holding the revolver pulls the trigger)
    */
-  socket.on('shoot', () => {
-    const role = getPlayerRole(socket.id);
+  onClientEvent(socket, 'shoot', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { gameState } = room;
+    const role = getPlayerRole(room, socket.id);
 
     if (gameState.phase !== PHASES.SHOOTING) {
-      socket.emit('error', { message: 'Not in shooting phase' });
+      emitError(socket, ERROR_CODES.WRONG_PHASE, 'Not in shooting phase');
       return;
     }
 
     if (role !== gameState.loser) {
-      socket.emit('error', { message: 'Only the loser can shoot' });
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'Only the loser holding the revolver can shoot');
       return;
     }
 
-    const result = executeShoot(gameState);
-    console.log(result.message);
-
-    // Broadcast shooting result
-    io.emit('shoot_result', result);
-
-    // Broadcast updated game state
-    setTimeout(() => {
-      broadcastGameState();
-    }, 3000);
+    performShoot(room);
   });
 
   /**
    * EVENT: request_state
-   * Client requests current game state
+   * Client requests current game state (delayed spectators get it on the delay)
    */
-  socket.on('request_state', () => {
-    const state = getGameStateForSocket(socket.id);
-    socket.emit('game_state', state);
+  onClientEvent(socket, 'request_state', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+
+    sendGameState(socket, room);
   });
 
   /**
-   * EVENT: requestSwitchOptions
-   * Player wants to see 3 random cards to switch
+   * EVENT: watch_delayed
+   * Viewer opts in/out of the delayed broadcast with both players' hole cards
    */
-  socket.on('requestSwitchOptions', () => {
-    const role = getPlayerRole(socket.id);
-    const player = gameState.players[role];
-    
-    if (!player || player.hasSwitched) {
-      socket.emit('error', { message: 'Cannot switch cards' });
+  onClientEvent(socket, 'watch_delayed', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+
+    if (getPlayerRole(room, socket.id) !== 'viewer') {
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'Only viewers can watch the delayed broadcast');
       return;
     }
 
-    // Check if anyone is all-in
-    const anybodyAllIn = gameState.player1Bullets === 0 || gameState.player2Bullets === 0;
-    if (anybodyAllIn) {
-      socket.emit('error', { message: 'Cannot switch when someone is all-in' });
+    if (!room.gameState.rules.spectatorDelayMs) {
+      emitError(socket, ERROR_CODES.DISABLED, 'Delayed spectating is disabled on this table');
       return;
     }
 
-    // Get 3 random cards from deck (don't remove them yet)
-    const options = [];
-    const tempDeck = [...gameState.deck];
-    for (let i = 0; i < 3 && tempDeck.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * tempDeck.length);
-      options.push(tempDeck.splice(randomIndex, 1)[0]);
+    setSpectatorDelayed(socket, room, Boolean(data.enabled));
+  });
+
+  /**
+   * EVENT: toggle_equity
+   * Player opts in/out of seeing their equity next to their hand strength
+   */
+  onClientEvent(socket, 'toggle_equity', (data) => {
+    socket.data.showEquity = Boolean(data.enabled);
+
+    const room = getRoomBySocket(socket.id);
+    if (room) {
+      sendGameState(socket, room);
     }
-    
-    socket.emit('switchOptionsReceived', options);
   });
 
   /**
-   * EVENT: executeSwitch
-   * Player confirms switching a card
+   * EVENT: set_client_seed
+   * Player contributes a client seed to the shuffle and roll (from the next hand)
    */
-  socket.on('executeSwitch', (data) => {
-    const { cardIndex, newCard } = data;
-    const role = getPlayerRole(socket.id);
-    const player = gameState.players[role];
-    
-    if (!player || player.hasSwitched) {
-      socket.emit('error', { message: 'Cannot switch cards' });
+  onClientEvent(socket, 'set_client_seed', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const role = getPlayerRole(room, socket.id);
+
+    const result = dispatch(room, 'client_seed_set', { role, seed: data.seed });
+    if (!result.success) {
+      emitError(socket, ERROR_CODES.REJECTED, result.message);
       return;
     }
 
-    const anybodyAllIn = gameState.player1Bullets === 0 || gameState.player2Bullets === 0;
-    if (anybodyAllIn) {
-      socket.emit('error', { message: 'Cannot switch when someone is all-in' });
+    sendGameState(socket, room);
+  });
+
+  /**
+   * EVENT: request_switch_options
+   * Player wants to see 3 random cards to switch
+   */
+  onClientEvent(socket, 'request_switch_options', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const role = getPlayerRole(room, socket.id);
+
+    const result = dispatch(room, 'switch_requested', { role });
+    if (!result.success) {
+      emitError(socket, ERROR_CODES.REJECTED, result.message);
       return;
     }
+    
+    socket.emit('switch_options', result.options);
+  });
+
+  /**
+   * EVENT: execute_switch
+   * Player confirms switching a card for one of the offered options
+   */
+  onClientEvent(socket, 'execute_switch', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const { cardIndex, optionIndex } = data;
+    const role = getPlayerRole(room, socket.id);
 
-    const hand = gameState[`${role}Hand`];
-    if (!hand || cardIndex < 0 || cardIndex >= hand.length) {
-      socket.emit('error', { message: 'Invalid card index' });
+    const result = dispatch(room, 'switch', { role, cardIndex, optionIndex });
+    if (!result.success) {
+      emitError(socket, ERROR_CODES.REJECTED, result.message);
       return;
     }
 
-    // Perform the switch
-    const oldCard = hand[cardIndex];
-    hand[cardIndex] = newCard;
-    
-    // Remove newCard from deck and put oldCard back
-    gameState.deck = gameState.deck.filter(c => c.rank !== newCard.rank || c.suit !== newCard.suit);
-    gameState.deck.push(oldCard);
-    
-    player.hasSwitched = true;
+    console.log(`[${room.code}] ${result.message}`);
+    recordHandEvents(room);
     
     // Send success to the player
-    socket.emit('switchSuccess');
+    socket.emit('switch_success');
     
     // Broadcast state update (to update hasSwitched status)
-    broadcastGameState();
+    broadcastGameState(room);
     
-    // Notify others that someone switched (without revealing what)
-    socket.broadcast.emit('player_action_notify', { role, action: 'switched' });
+    // Notify others in the room that someone switched (without revealing what)
+    socket.to(room.code).except(getDelayedRoom(room)).emit('player_action_notify', { role, action: 'switched' });
+    queueForSpectators(room, 'player_action_notify', () => ({ role, action: 'switched' }));
+  });
+
+  /**
+   * EVENT: request_chat
+   * Client asks for the chat history it may read (and the emote list)
+   */
+  onClientEvent(socket, 'request_chat', () => {
+    const room = requireRoom(socket);
+    if (!room) return;
+
+    socket.emit('chat_history', {
+      messages: getChatHistory(room.chat, getPlayerRole(room, socket.id)),
+      emotes: EMOTES
+    });
+  });
+
+  /**
+   * EVENT: send_chat
+   * Post a message or quick emote to your channel (players or viewers)
+   */
+  onClientEvent(socket, 'send_chat', (data) => {
+    const room = requireRoom(socket);
+    if (!room) return;
+    const role = getPlayerRole(room, socket.id);
+
+    const result = postMessage(room.chat, {
+      key: getChatSenderKey(room, socket.id),
+      id: socket.id,
+      nickname: getNickname(room, socket.id),
+      role
+    }, { text: data.text, emote: data.emote });
+
+    if (!result.success) {
+      emitError(socket, ERROR_CODES.REJECTED, result.message);
+      return;
+    }
+
+    emitChatMessage(room, result.chatMessage);
+  });
+
+  /**
+   * EVENT: chat_mute
+   * Host mutes or unmutes whoever sent a message
+   */
+  onClientEvent(socket, 'chat_mute', (data) => {
+    const room = requireRoom(socket);
+    if (!room || !requireHost(socket, room)) return;
+    const { targetId, muted = true } = data;
+
+    if (targetId === socket.id || getRoomBySocket(targetId) !== room) {
+      emitError(socket, ERROR_CODES.INVALID_TARGET, 'Cannot mute that user');
+      return;
+    }
+
+    setMuted(room.chat, getChatSenderKey(room, targetId), Boolean(muted));
+    const nickname = getNickname(room, targetId);
+    console.log(`[${room.code}] ${nickname} ${muted ? 'muted' : 'unmuted'} by host`);
+    emitChatMessage(room, postNotice(room.chat, `${nickname} was ${muted ? 'muted' : 'unmuted'} by the host`));
+    sendGameState(socket, room);
+  });
+
+  /**
+   * EVENT: chat_kick
+   * Host removes a player or viewer from the room (their profile can't rejoin it)
+   */
+  onClientEvent(socket, 'chat_kick', (data) => {
+    const room = requireRoom(socket);
+    if (!room || !requireHost(socket, room)) return;
+    const { targetId } = data;
+
+    if (targetId === socket.id || getRoomBySocket(targetId) !== room) {
+      emitError(socket, ERROR_CODES.INVALID_TARGET, 'Cannot kick that user');
+      return;
+    }
+
+    const nickname = getNickname(room, targetId);
+
+    room.chat.banned.add(getChatSenderKey(room, targetId));
+    console.log(`[${room.code}] ${nickname} kicked by host`);
+    emitChatMessage(room, postNotice(room.chat, `${nickname} was removed by the host`));
+
+    const target = io.sockets.sockets.get(targetId);
+    if (target) {
+      // Being kicked is not walking out: it never costs a ranked match
+      target.emit('kicked', { roomCode: room.code });
+      leaveRoom(target, room, { forfeit: false });
+    } else {
+      releaseSeat(room, targetId, { forfeit: false });
+    }
   });
 
   /**
    * EVENT: disconnect
-   * Player disconnects
+   * Player disconnects (seat is held for a grace period)
    */
   socket.on('disconnect', () => {
     console.log(`Client disconnected: ${socket.id}`);
-    const role = getPlayerRole(socket.id);
-    removePlayer(gameState, socket.id);
-    
-    io.emit('player_left', {
-      role,
-      players: {
-        player1: gameState.players.player1?.nickname || null,
-        player2: gameState.players.player2?.nickname || null
-      }
-    });
-    
-    broadcastGameState();
+    leaveQueue(socket.id);
+    const room = getRoomBySocket(socket.id);
+    if (room) {
+      holdSeat(socket, room);
+    }
   });
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', players: Object.keys(io.sockets.sockets).length });
+  res.json({ status: 'ok', players: io.sockets.sockets.size, rooms: listRooms().length });
+});
+
+// Abuse protection counters: events dropped per rate limit, duplicate joins,
+// rejected nicknames and sockets disconnected for abuse
+app.get('/metrics', (req, res) => {
+  res.json({
+    connections: io.sockets.sockets.size,
+    rooms: listRooms().length,
+    rateLimit: getRateLimitMetrics()
+  });
 });
 
+// Room list endpoint
+app.get('/rooms', (req, res) => {
+  res.json(listRooms());
+});
+
+// Event log of an open room, for audits (?since=SEQ for newer events only)
+app.get('/rooms/:code/events', (req, res) => {
+  const room = getRoom(req.params.code);
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  res.json(getPublicEvents(room, Number(req.query.since) || 0));
+});
+
+// Bot strategies endpoint
+app.get('/bots', (req, res) => {
+  res.json(Object.keys(STRATEGIES));
+});
+
+// Rule presets endpoint
+app.get('/presets', (req, res) => {
+  res.json(listRulePresets());
+});
+
+// Hand history endpoints (?room=CODE&limit=N, ?session=TOKEN to see your own switches)
+app.get('/hands', (req, res) => {
+  res.json(listHandHistories({
+    roomCode: req.query.room,
+    limit: Number(req.query.limit) || undefined
+  }));
+});
+
+app.get('/hands/:id', (req, res) => {
+  const history = getHandHistory(req.params.id, { sessionToken: req.query.session });
+  if (!history) {
+    res.status(404).json({ error: 'Hand not found' });
+    return;
+  }
+  res.json(history);
+});
+
+// Leaderboard (?sort=KEY&limit=N&minHands=N) and single profiles
+app.get('/leaderboard', (req, res) => {
+  const sort = req.query.sort || 'rating';
+  if (!isLeaderboardSort(sort)) {
+    res.status(400).json({ error: `sort must be one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')}` });
+    return;
+  }
+  res.json(getLeaderboard({
+    sort,
+    limit: Number(req.query.limit) || undefined,
+    minHands: req.query.minHands !== undefined ? Number(req.query.minHands) || 0 : undefined
+  }));
+});
+
+app.get('/profiles/:id', (req, res) => {
+  const profile = getProfile(req.params.id);
+  if (!profile) {
+    res.status(404).json({ error: 'Profile not found' });
+    return;
+  }
+  res.json(profile);
+});
+
+// Provably fair check: recompute deal order and roll from a revealed seed
+// ?serverSeed=HEX&clientSeed=A:B&nonce=N[&serverSeedHash=HEX][&game=shortDeck|liarsDeck]
+// [&switches=JSON array of { oldCard, newCard } from your hand history]
+app.get('/fairness/verify', (req, res) => {
+  const { serverSeed, clientSeed, nonce, serverSeedHash, game } = req.query;
+  if (!serverSeed || nonce === undefined || !Number.isInteger(Number(nonce))) {
+    res.status(400).json({ error: 'serverSeed and an integer nonce are required' });
+    return;
+  }
+  const switches = parseSwitches(req.query.switches);
+  if (!switches) {
+    res.status(400).json({ error: 'switches must be a JSON array of { oldCard, newCard }' });
+    return;
+  }
+  const seed = { serverSeed, clientSeed, nonce: Number(nonce), serverSeedHash };
+  if (game === GAME_MODES.LIARS_DECK) {
+    const tableCard = pickTableCard(createFairRandom(serverSeed, clientSeed || '', seed.nonce, 'table_card'));
+    res.json({ ...verifyHand(seed, createLiarDeck()), tableCard });
+    return;
+  }
+  res.json(verifyHand(seed, game === GAME_MODES.SHORT_DECK ? createDeck(game) : undefined, switches));
+});
+
+/**
+ * Switches given to /fairness/verify
+ * @param {String} value - JSON array of { oldCard, newCard } (optional)
+ * @returns {Array|null} Switches, or null if malformed
+ */
+function parseSwitches(value) {
+  if (value === undefined) return [];
+  const isCard = card => typeof card?.rank === 'string' && typeof card?.suit === 'string';
+  try {
+    const switches = JSON.parse(value);
+    return Array.isArray(switches) && switches.every(sw => isCard(sw?.oldCard) && isCard(sw?.newCard)) ? switches : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Pick up the tables that were open before a restart
+resumeTables();
+
+// Pair the matchmaking queue
+setInterval(runMatchmaking, MATCHMAKING_TICK_MS);
+
 // Start server
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server is running on port ${PORT}`);
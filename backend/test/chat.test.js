@@ -0,0 +1,26 @@
+/**
+ * Chat Tests
+ * Emotes and the history cap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EMOTES, createChat, postMessage, postNotice } = require('../chat');
+
+const sender = { key: 'profile:ann', id: 'socket-ann', nickname: 'Ann', role: 'player1' };
+
+test('emotes are looked up on EMOTES itself', () => {
+  const emote = Object.keys(EMOTES)[0];
+  assert.equal(postMessage(createChat(), sender, { emote }).chatMessage.text, EMOTES[emote]);
+
+  ['constructor', 'toString', '__proto__'].forEach((name) => {
+    assert.deepEqual(postMessage(createChat(), sender, { emote: name }), { success: false, message: 'Unknown emote' });
+  });
+});
+
+test('notices count towards the history cap', () => {
+  const chat = createChat();
+  for (let i = 0; i < 250; i++) postNotice(chat, `Notice ${i}`);
+  assert.equal(chat.messages.length, 200);
+  assert.equal(chat.messages[0].text, 'Notice 50');
+});
@@ -0,0 +1,59 @@
+/**
+ * Equity Tests
+ * estimateEquity: exact enumeration of small runouts, seeded Monte Carlo, and a known matchup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeck, estimateEquity } = require('../pokerEval');
+const { createSeededRandom } = require('../random');
+
+const deck = createDeck();
+
+/**
+ * Cards by name, e.g. cards('A♠ K♥')
+ * @param {String} names - Rank and suit per card, space separated
+ * @returns {Array} Cards from the deck
+ */
+function cards(names) {
+  return names.split(' ').map(name => deck.find(c => c.rank + c.suit === name));
+}
+
+test('a complete board against a known hand is a single exact result', () => {
+  const equity = estimateEquity(cards('A♠ A♥'), cards('2♣ 7♦ 9♥ J♣ 4♠'), { opponentHand: cards('K♠ K♥') });
+  assert.deepEqual(equity, { win: 100, tie: 0, lose: 0, samples: 1, exact: true });
+});
+
+test('the river against a known hand enumerates all 44 cards', () => {
+  // Kings need one of the two kings left
+  const equity = estimateEquity(cards('A♠ A♥'), cards('2♣ 7♦ 9♥ J♣'), { opponentHand: cards('K♠ K♥') });
+  assert.equal(equity.exact, true);
+  assert.equal(equity.samples, 44);
+  assert.equal(equity.win, (42 / 44) * 100);
+  assert.equal(equity.lose, (2 / 44) * 100);
+});
+
+test('a random opponent on a complete board is enumerated exactly', () => {
+  const equity = estimateEquity(cards('A♠ A♥'), cards('2♣ 7♦ 9♥ J♣ 4♠'));
+  assert.equal(equity.exact, true);
+  assert.equal(equity.samples, 990); // 45 choose 2 opponent hands
+  assert.equal(equity.win + equity.tie + equity.lose, 100);
+});
+
+test('the same seed gives the same simulation', () => {
+  const options = { iterations: 500, seed: 'equity-test' };
+  const first = estimateEquity(cards('Q♠ J♠'), [], options);
+  assert.equal(first.exact, false);
+  assert.equal(first.samples, 500);
+  assert.deepEqual(estimateEquity(cards('Q♠ J♠'), [], options), first);
+});
+
+test('a custom random source makes the simulation reproducible', () => {
+  const run = () => estimateEquity(cards('7♣ 7♦'), cards('K♥ 8♠ 2♦'), { iterations: 500, maxEnumerations: 0, random: createSeededRandom('custom') });
+  assert.deepEqual(run(), run());
+});
+
+test('aces win about 85% against a random hand', () => {
+  const equity = estimateEquity(cards('A♠ A♥'), [], { iterations: 4000, seed: 'aces' });
+  assert.ok(equity.win > 81 && equity.win < 89, `aces won ${equity.win}%`);
+});
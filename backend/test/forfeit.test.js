@@ -0,0 +1,56 @@
+/**
+ * Forfeit Tests
+ * A heads-up match in progress goes to the opponent of a player who walks out
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PHASES, createGameState, addPlayer, removePlayer, startNewHand, forfeitMatch } = require('../gameLogic');
+
+/**
+ * Heads-up match table
+ * @returns {Object} Game state (nothing dealt yet)
+ */
+function createMatchTable() {
+  const gameState = createGameState({ turnTimeMs: 0, matchMode: true, ranked: true }, 'forfeit-test-secret');
+  addPlayer(gameState, 'socket-1', 'Ann', 'token-1');
+  addPlayer(gameState, 'socket-2', 'Bob', 'token-2');
+  return gameState;
+}
+
+test('leaving a match in progress hands it to the opponent', () => {
+  const gameState = createMatchTable();
+  startNewHand(gameState);
+
+  const result = forfeitMatch(gameState, 'player1');
+  assert.equal(result.success, true);
+  assert.equal(gameState.phase, PHASES.GAME_OVER);
+  assert.equal(gameState.match.winner, 'player2');
+  assert.equal(gameState.match.reason, 'forfeit');
+  assert.equal(gameState.turnClock, null);
+
+  // The finished match survives the seat being freed
+  removePlayer(gameState, 'socket-1');
+  assert.equal(gameState.match.winner, 'player2');
+});
+
+test('there is nothing to forfeit before the first hand or after the match', () => {
+  const gameState = createMatchTable();
+  assert.equal(forfeitMatch(gameState, 'player1').success, false);
+
+  startNewHand(gameState);
+  forfeitMatch(gameState, 'player1');
+  assert.equal(forfeitMatch(gameState, 'player2').success, false);
+  assert.equal(gameState.match.winner, 'player2');
+});
+
+test('only seated players of a heads-up match can forfeit', () => {
+  const gameState = createMatchTable();
+  startNewHand(gameState);
+  assert.equal(forfeitMatch(gameState, 'player3').success, false);
+
+  const threeWay = createGameState({ turnTimeMs: 0, matchMode: true, maxPlayers: 3 }, 'forfeit-test-secret');
+  ['Ann', 'Bob', 'Cat'].forEach((nickname, i) => addPlayer(threeWay, `socket-${i}`, nickname, `token-${i}`));
+  startNewHand(threeWay);
+  assert.equal(forfeitMatch(threeWay, 'player1').message, 'Only a heads-up match can be forfeited');
+});
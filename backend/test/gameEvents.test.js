@@ -0,0 +1,67 @@
+/**
+ * Game Events Tests
+ * Snapshots trimming the event log, restoring from them, and what audits see
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'liarbar-events-'));
+process.env.EVENT_LOG_DIR = LOG_DIR;
+process.env.SNAPSHOT_INTERVAL = '5';
+process.env.PROFILE_DB = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dispatch, getLastSeq, getPublicEvents } = require('../gameEvents');
+const { createRoom, restoreRooms } = require('../roomManager');
+
+test.after(() => fs.rmSync(LOG_DIR, { recursive: true, force: true }));
+
+/**
+ * Room with two seated players and a few client seeds logged
+ * @returns {Object} Room
+ */
+function createPlayedRoom() {
+  const room = createRoom({ name: 'Audit' });
+  dispatch(room, 'player_joined', { socketId: 'socket-ann', nickname: 'Ann', sessionToken: 'token-ann', profileId: null });
+  dispatch(room, 'player_joined', { socketId: 'socket-bob', nickname: 'Bob', sessionToken: 'token-bob', profileId: null });
+  for (let i = 0; i < 4; i++) {
+    dispatch(room, 'client_seed_set', { role: 'player1', seed: `seed${i}` });
+  }
+  return room;
+}
+
+test('a snapshot drops the events it covers from memory and from the log', () => {
+  const room = createPlayedRoom();
+  assert.equal(getLastSeq(room), 7);
+
+  dispatch(room, 'hand_started');
+  assert.equal(room.snapshotSeq, 7);
+  assert.deepEqual(room.events.map(event => event.type), ['hand_started']);
+  assert.equal(getLastSeq(room), 8);
+
+  const log = fs.readFileSync(path.join(LOG_DIR, `${room.code}.events.jsonl`), 'utf8').trim().split('\n');
+  assert.deepEqual(log.map(line => JSON.parse(line).seq), [8]);
+
+  const restored = restoreRooms().find(r => r.code === room.code);
+  assert.equal(getLastSeq(restored), 8);
+  assert.equal(restored.gameState.phase, room.gameState.phase);
+  assert.deepEqual(restored.gameState.seats.map(seat => seat.player?.nickname), room.gameState.seats.map(seat => seat.player?.nickname));
+});
+
+test('audits get connection aliases instead of socket ids, and no secrets', () => {
+  const room = createPlayedRoom();
+  const events = getPublicEvents(room);
+  const joins = events.filter(event => event.type === 'player_joined');
+
+  assert.equal(events[0].data.fairnessSecret, '[redacted]');
+  joins.forEach((event) => {
+    assert.match(event.data.socketId, /^conn-[0-9a-f]{8}$/);
+    assert.equal(event.data.sessionToken, '[redacted]');
+  });
+  assert.notEqual(joins[0].data.socketId, joins[1].data.socketId);
+  assert.equal(getPublicEvents(room)[1].data.socketId, joins[0].data.socketId);
+  assert.ok(!JSON.stringify(events).includes('socket-ann'));
+});
@@ -0,0 +1,29 @@
+/**
+ * Leaderboard Tests
+ * Sort keys are looked up on LEADERBOARD_SORTS itself, so names inherited from
+ * Object never reach the ORDER BY
+ */
+
+process.env.PROFILE_DB = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEADERBOARD_SORTS, isLeaderboardSort, getOrCreateProfile, getLeaderboard } = require('../profiles');
+
+test('every listed sort is accepted', () => {
+  Object.keys(LEADERBOARD_SORTS).forEach(sort => assert.equal(isLeaderboardSort(sort), true));
+});
+
+test('inherited names are not sorts', () => {
+  ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(sort => assert.equal(isLeaderboardSort(sort), false));
+});
+
+test('getLeaderboard falls back to rating for unknown sorts', () => {
+  const profile = getOrCreateProfile(null, 'Alice');
+
+  ['constructor', '__proto__', 'no_such_sort'].forEach((sort) => {
+    const rows = getLeaderboard({ sort, minHands: 0 });
+    assert.deepEqual(rows.map(row => row.id), getLeaderboard({ sort: 'rating', minHands: 0 }).map(row => row.id));
+    assert.ok(rows.some(row => row.id === profile.id));
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Liar's Deck Tests
+ * Deck make-up and card ids
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE_CARD_RANKS, JOKER_RANK, MATCHING_CARDS, createLiarDeck, isTruthfulClaim } = require('../liarsDeck');
+
+test('the deck has six of each table card and two jokers', () => {
+  const deck = createLiarDeck();
+  assert.equal(deck.length, 20);
+  TABLE_CARD_RANKS.forEach(rank => assert.equal(deck.filter(c => c.rank === rank || c.rank === JOKER_RANK).length, MATCHING_CARDS));
+});
+
+test('every card has its own id', () => {
+  const deck = createLiarDeck();
+  assert.equal(new Set(deck.map(c => c.id)).size, deck.length);
+});
+
+test('jokers back any claim', () => {
+  const deck = createLiarDeck();
+  const queen = deck.find(c => c.rank === 'Q');
+  const joker = deck.find(c => c.rank === JOKER_RANK);
+  assert.equal(isTruthfulClaim([queen, joker], 'Q'), true);
+  assert.equal(isTruthfulClaim([queen, joker], 'K'), false);
+});
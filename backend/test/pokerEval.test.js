@@ -0,0 +1,161 @@
+/**
+ * Hand Evaluator Tests
+ * findBestHand against the frozen reference evaluator (test/fixtures/referenceEval.js):
+ * every distinct 5-card hand, then seeded 6-, 7- and 9-card deals for each variant
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeck, findBestHand, getHandRanks } = require('../pokerEval');
+const { createSeededRandom } = require('../random');
+const reference = require('./fixtures/referenceEval');
+
+const SHORT_DECK_RANKS = getHandRanks('shortDeck');
+
+/**
+ * Score a Short Deck hand with the reference: the ace also plays low in
+ * A-6-7-8-9, and a flush outranks a full house
+ * @param {Array} cards - 5 cards
+ * @returns {Object} {rank, value, description}
+ */
+function evaluateShortDeckReference(cards) {
+  const values = cards.map(c => c.value).sort((a, b) => a - b).join(',');
+  const played = values === '6,7,8,9,14' ? cards.map(c => (c.value === 14 ? { ...c, value: 5 } : c)) : cards;
+  const hand = reference.evaluateHand(played);
+
+  const { FLUSH, FULL_HOUSE } = reference.HAND_RANKS;
+  if (hand.rank === FLUSH) return { ...hand, rank: FULL_HOUSE };
+  if (hand.rank === FULL_HOUSE) return { ...hand, rank: FLUSH };
+  return hand;
+}
+
+/**
+ * Reference scorer of a variant's 5-card hands
+ * @param {String} variant - Poker variant
+ * @returns {Function} cards -> {rank, value, description}
+ */
+function getReferenceScorer(variant) {
+  return variant === 'shortDeck' ? evaluateShortDeckReference : cards => reference.evaluateHand(cards);
+}
+
+/**
+ * Best hand by the reference: every playable 5-card combination, scored one by one
+ * @param {Array} holeCards - Hole cards
+ * @param {Array} board - Community cards
+ * @param {String} variant - Poker variant
+ * @returns {Object} {rank, value, description}
+ */
+function findReferenceBestHand(holeCards, board, variant) {
+  const hands = variant === 'omaha'
+    ? reference.getCombinations(holeCards, 2).flatMap(hole => reference.getCombinations(board, 3).map(rest => [...hole, ...rest]))
+    : reference.getCombinations([...holeCards, ...board], 5);
+  const score = getReferenceScorer(variant);
+
+  return hands.map(score).reduce((best, hand) => (reference.compareHands(hand, best) > 0 ? hand : best));
+}
+
+/**
+ * Check findBestHand agrees with the reference and returns 5 of the input cards making that hand
+ * @param {Array} cards - Cards, hole cards first
+ * @param {String} variant - Poker variant
+ * @param {Number} holeCards - How many of the cards are hole cards
+ */
+function checkHand(cards, variant = 'holdem', holeCards = 2) {
+  const hole = cards.slice(0, holeCards);
+  const board = cards.slice(holeCards);
+  const fast = findBestHand(hole, board, variant);
+  const expected = findReferenceBestHand(hole, board, variant);
+  const label = `${variant} ${cards.map(c => c.rank + c.suit).join(' ')}`;
+
+  assert.deepEqual(
+    { rank: fast.rank, value: fast.value, description: fast.description },
+    { rank: expected.rank, value: expected.value, description: expected.description },
+    label
+  );
+  assert.equal(fast.cards.length, 5, label);
+  assert.ok(fast.cards.every(card => cards.includes(card)), `${label}: cards not from the input`);
+  assert.equal(reference.compareHands(getReferenceScorer(variant)(fast.cards), expected), 0, `${label}: cards don't make the hand`);
+}
+
+/**
+ * One hand per distinct 5-card hand of a deck: every rank multiset, with both a
+ * flush and a non-flush of those whose ranks all differ
+ * @param {Array} deck - Deck to take the cards from
+ * @returns {Array} 5-card hands
+ */
+function getDistinctHands(deck) {
+  const values = [...new Set(deck.map(c => c.value))];
+  const suits = [...new Set(deck.map(c => c.suit))];
+  const cardOf = (value, suit) => deck.find(c => c.value === value && c.suit === suit);
+  const hands = [];
+
+  const build = (picked, from) => {
+    if (picked.length === 5) {
+      // Suit each card by how many of its rank came before it, so pairs never share a suit
+      const hand = picked.map((value, i) => cardOf(value, suits[picked.slice(0, i).filter(v => v === value).length]));
+      hands.push(hand);
+      // Ranks all different: that hand is a flush, so add one with a card of another suit
+      if (new Set(picked).size === 5) hands.push([cardOf(picked[0], suits[1]), ...hand.slice(1)]);
+      return;
+    }
+    for (let i = from; i < values.length; i++) {
+      if (picked.filter(v => v === values[i]).length < suits.length) build([...picked, values[i]], i);
+    }
+  };
+
+  build([], 0);
+  return hands;
+}
+
+/**
+ * Draw random cards from a deck
+ * @param {Array} deck - Deck
+ * @param {Number} size - Cards to draw
+ * @param {Function} random - RNG
+ * @returns {Array} Cards
+ */
+function drawCards(deck, size, random) {
+  const pool = [...deck];
+  for (let j = 0; j < size; j++) {
+    const k = j + Math.floor(random() * (pool.length - j));
+    [pool[j], pool[k]] = [pool[k], pool[j]];
+  }
+  return pool.slice(0, size);
+}
+
+test('every distinct 5-card hand matches the reference', () => {
+  const hands = getDistinctHands(createDeck());
+  assert.equal(hands.length, 7462); // 6175 rank multisets, plus a non-flush of the 1287 without pairs
+  hands.forEach(hand => checkHand(hand));
+});
+
+test('every distinct 5-card Short Deck hand matches the reference', () => {
+  getDistinctHands(createDeck('shortDeck')).forEach(hand => checkHand(hand, 'shortDeck'));
+});
+
+test('seeded 6- and 7-card deals match the reference', () => {
+  const random = createSeededRandom('evaluator-test');
+  const deck = createDeck();
+  [6, 7].forEach((size) => {
+    for (let i = 0; i < 20000; i++) checkHand(drawCards(deck, size, random));
+  });
+});
+
+test('seeded Short Deck and Omaha deals match the reference', () => {
+  const random = createSeededRandom('evaluator-test-variants');
+  const shortDeck = createDeck('shortDeck');
+  for (let i = 0; i < 10000; i++) checkHand(drawCards(shortDeck, 7, random), 'shortDeck');
+
+  const deck = createDeck('omaha');
+  for (let i = 0; i < 2000; i++) checkHand(drawCards(deck, 9, random), 'omaha', 4);
+});
+
+test('Short Deck plays A-6-7-8-9 as a 9-high straight and ranks a flush over a full house', () => {
+  const deck = createDeck('shortDeck');
+  const card = (rank, suit) => deck.find(c => c.rank === rank && c.suit === suit);
+
+  const wheel = findBestHand([card('A', '♠'), card('6', '♥')], [card('7', '♦'), card('8', '♣'), card('9', '♠'), card('K', '♥'), card('K', '♦')], 'shortDeck');
+  assert.equal(wheel.rank, SHORT_DECK_RANKS.STRAIGHT);
+  assert.deepEqual(wheel.value, [9]);
+  assert.ok(SHORT_DECK_RANKS.FLUSH > SHORT_DECK_RANKS.FULL_HOUSE);
+});
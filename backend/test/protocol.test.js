@@ -0,0 +1,37 @@
+/**
+ * Protocol Tests
+ * Client payload strings are capped by their schemas before any handler runs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, ROOM_NAME_MAX_LENGTH, validateClientEvent } = require('liarbar-protocol');
+
+test('room names up to ROOM_NAME_MAX_LENGTH are accepted', () => {
+  const result = validateClientEvent('create_room', { nickname: 'Ann', roomName: 'x'.repeat(ROOM_NAME_MAX_LENGTH) });
+  assert.equal(result.success, true);
+});
+
+test('oversized strings are rejected as invalid payloads', () => {
+  const long = 'x'.repeat(100000);
+  [
+    ['create_room', { nickname: 'Ann', roomName: 'x'.repeat(ROOM_NAME_MAX_LENGTH + 1) }, 'payload.roomName is too long'],
+    ['create_room', { nickname: 'Ann', preset: long }, 'payload.preset is too long'],
+    ['create_room', { nickname: 'Ann', gameMode: long }, 'payload.gameMode is too long'],
+    ['join_game', { nickname: long }, 'payload.nickname is too long'],
+    ['join_room', { nickname: 'Ann', roomCode: long }, 'payload.roomCode is too long'],
+    ['join_game', { nickname: 'Ann', profileToken: long }, 'payload.profileToken is too long'],
+    ['player_action', { action: long }, 'payload.action is too long'],
+    ['send_chat', { text: long }, 'payload.text is too long'],
+    ['chat_kick', { targetId: long }, 'payload.targetId is too long']
+  ].forEach(([event, payload, error]) => {
+    const result = validateClientEvent(event, payload);
+    assert.equal(result.success, false, event);
+    assert.equal(result.code, ERROR_CODES.INVALID_PAYLOAD, event);
+    assert.match(result.message, new RegExp(error.replace('.', '\\.')), event);
+  });
+});
+
+test('chat texts over the stored length still pass validation', () => {
+  assert.equal(validateClientEvent('send_chat', { text: 'x'.repeat(500) }).success, true);
+});
@@ -0,0 +1,43 @@
+/**
+ * Rate Limit Tests
+ * Token buckets per event, including event names inherited from Object
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_LIMITS, DEFAULT_LIMIT, createLimiter, takeToken } = require('../rateLimit');
+
+/**
+ * Take tokens at a single instant
+ * @param {Object} limiter - Socket limiter
+ * @param {String} event - Event name
+ * @param {Number} count - Attempts
+ * @returns {Number} Attempts that went through
+ */
+function takeMany(limiter, event, count) {
+  let passed = 0;
+  for (let i = 0; i < count; i++) {
+    if (takeToken(limiter, event, 1000)) passed++;
+  }
+  return passed;
+}
+
+test('an event gets its burst, then is limited', () => {
+  assert.equal(takeMany(createLimiter(), 'join_room', 10), EVENT_LIMITS.join_room.burst);
+  assert.equal(takeMany(createLimiter(), 'list_rooms', 50), DEFAULT_LIMIT.burst);
+});
+
+test('buckets refill over time', () => {
+  const limiter = createLimiter();
+  takeMany(limiter, 'shoot', 10);
+  assert.equal(takeToken(limiter, 'shoot', 1000), false);
+  assert.equal(takeToken(limiter, 'shoot', 2000), true);
+});
+
+test('names inherited from Object get the default limit and leave Object.prototype alone', () => {
+  ['constructor', '__proto__', 'toString'].forEach((event) => {
+    assert.equal(takeMany(createLimiter(), event, 50), DEFAULT_LIMIT.burst);
+  });
+  assert.equal(({}).tokens, undefined);
+  assert.equal(({}).updatedAt, undefined);
+});
@@ -0,0 +1,27 @@
+/**
+ * Rules Tests
+ * Presets and death formulas are looked up on their own tables only
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES, RULE_PRESETS, isRulePreset, createRules } = require('../rules');
+
+test('every preset is accepted and applied', () => {
+  Object.keys(RULE_PRESETS).forEach((key) => {
+    assert.equal(isRulePreset(key), true);
+    assert.equal(createRules({ preset: key }).preset, key);
+  });
+});
+
+test('unknown and inherited presets fall back to the default', () => {
+  ['constructor', 'toString', '__proto__', 'nope'].forEach((preset) => {
+    assert.equal(isRulePreset(preset), false);
+    assert.deepEqual(createRules({ preset }), createRules());
+    assert.equal(createRules({ preset }).preset, DEFAULT_RULES.preset);
+  });
+});
+
+test('inherited names are not death formulas', () => {
+  assert.throws(() => createRules({ deathFormula: 'constructor' }), /Unknown death formula/);
+});
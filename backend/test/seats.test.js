@@ -0,0 +1,19 @@
+/**
+ * Seat Role Tests
+ * Only seats a table can have are roles
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSeatRole } = require('../gameLogic');
+const { MAX_PLAYERS } = require('../rules');
+
+test('player1 to player<MAX_PLAYERS> are seat roles', () => {
+  for (let seat = 1; seat <= MAX_PLAYERS; seat++) assert.equal(isSeatRole(`player${seat}`), true);
+});
+
+test('seats a table cannot have are not roles', () => {
+  [`player${MAX_PLAYERS + 1}`, 'player9', 'player0', 'player10', 'player01', 'viewer', 'constructor', null].forEach((role) => {
+    assert.equal(isSeatRole(role), false, String(role));
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Card Switch Tests
+ * requestSwitchOptions / executeSwitch: every rejection path, and where the
+ * discarded card ends up in the deck
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PHASES,
+  ACTIONS,
+  createGameState,
+  addPlayer,
+  startNewHand,
+  processAction,
+  getSeat,
+  requestSwitchOptions,
+  executeSwitch
+} = require('../gameLogic');
+const { verifyHand } = require('../fairness');
+
+/**
+ * Heads-up table with a hand dealt
+ * @returns {Object} { gameState, active, waiting } (roles to act and not to act)
+ */
+function dealHand() {
+  const gameState = createGameState({ turnTimeMs: 0 }, 'switch-test-secret');
+  addPlayer(gameState, 'socket-1', 'Ann', 'token-1');
+  addPlayer(gameState, 'socket-2', 'Bob', 'token-2');
+  startNewHand(gameState);
+  const active = gameState.activePlayer;
+  const waiting = gameState.seats.find(seat => seat.player && seat.role !== active).role;
+  return { gameState, active, waiting };
+}
+
+test('a hand is dealt into a betting phase', () => {
+  const { gameState, active } = dealHand();
+  assert.equal(gameState.phase, PHASES.PREFLOP);
+  assert.ok(active);
+});
+
+test('only seated players can switch', () => {
+  const { gameState } = dealHand();
+  assert.deepEqual(requestSwitchOptions(gameState, 'viewer'), { success: false, message: 'Only players can switch cards' });
+  assert.equal(executeSwitch(gameState, 'player6', 0, 0).message, 'Only players can switch cards');
+});
+
+test('switching is only allowed during betting', () => {
+  const gameState = createGameState({ turnTimeMs: 0 }, 'switch-test-secret');
+  addPlayer(gameState, 'socket-1', 'Ann', 'token-1');
+  addPlayer(gameState, 'socket-2', 'Bob', 'token-2');
+  assert.equal(gameState.phase, PHASES.WAITING);
+  assert.equal(requestSwitchOptions(gameState, 'player1').message, 'Can only switch during betting');
+  assert.equal(executeSwitch(gameState, 'player1', 0, 0).message, 'Can only switch during betting');
+});
+
+test('only the player to act can switch', () => {
+  const { gameState, waiting } = dealHand();
+  assert.equal(requestSwitchOptions(gameState, waiting).message, 'Not your turn');
+  assert.equal(executeSwitch(gameState, waiting, 0, 0).message, 'Not your turn');
+});
+
+test('a player switches at most once per hand', () => {
+  const { gameState, active } = dealHand();
+  assert.ok(requestSwitchOptions(gameState, active).success);
+  assert.ok(executeSwitch(gameState, active, 0, 0).success);
+  assert.equal(requestSwitchOptions(gameState, active).message, 'Already switched this hand');
+  assert.equal(executeSwitch(gameState, active, 0, 0).message, 'Already switched this hand');
+});
+
+test('nobody can switch once someone is all-in', () => {
+  const { gameState, active } = dealHand();
+  assert.ok(processAction(gameState, active, ACTIONS.ALL_IN).success);
+  const next = gameState.activePlayer;
+  assert.ok(next && next !== active);
+  assert.equal(requestSwitchOptions(gameState, next).message, 'Cannot switch when someone is all-in');
+  assert.equal(executeSwitch(gameState, next, 0, 0).message, 'Cannot switch when someone is all-in');
+});
+
+test('card and option indexes must point at a hole card and an offered option', () => {
+  const { gameState, active } = dealHand();
+  const { options } = requestSwitchOptions(gameState, active);
+  const hand = [...getSeat(gameState, active).hand];
+
+  [-1, hand.length, 0.5, '0', null].forEach((cardIndex) => {
+    assert.equal(executeSwitch(gameState, active, cardIndex, 0).message, 'Invalid card index');
+  });
+  [-1, options.length, 1.5, '1', undefined].forEach((optionIndex) => {
+    assert.equal(executeSwitch(gameState, active, 0, optionIndex).message, 'Invalid option index');
+  });
+  assert.deepEqual(getSeat(gameState, active).hand, hand);
+});
+
+test('options must be requested on the current street first', () => {
+  const { gameState, active } = dealHand();
+  assert.equal(executeSwitch(gameState, active, 0, 0).message, 'Request switch options first');
+
+  // Options offered on an earlier street don't carry over
+  requestSwitchOptions(gameState, active);
+  gameState.switchOptions[active].phase = PHASES.FLOP;
+  assert.equal(executeSwitch(gameState, active, 0, 0).message, 'Request switch options first');
+});
+
+test('an option that left the deck can no longer be taken', () => {
+  const { gameState, active } = dealHand();
+  const { options } = requestSwitchOptions(gameState, active);
+  const taken = options[0];
+  gameState.deck = gameState.deck.filter(card => card.rank !== taken.rank || card.suit !== taken.suit);
+
+  assert.equal(executeSwitch(gameState, active, 0, 0).message, 'Switch option no longer available');
+  assert.equal(getSeat(gameState, active).player.hasSwitched, false);
+});
+
+test('asking again on the same street offers the same cards', () => {
+  const { gameState, active } = dealHand();
+  const first = requestSwitchOptions(gameState, active).options;
+  assert.deepEqual(requestSwitchOptions(gameState, active).options, first);
+});
+
+test('the discarded card goes to the bottom of the deck, not to the board', () => {
+  const { gameState, active } = dealHand();
+  const { options } = requestSwitchOptions(gameState, active);
+  const oldCard = getSeat(gameState, active).hand[1];
+  const deckSize = gameState.deck.length;
+
+  assert.ok(executeSwitch(gameState, active, 1, 2).success);
+  assert.deepEqual(getSeat(gameState, active).hand[1], options[2]);
+  assert.equal(gameState.deck.length, deckSize);
+  assert.deepEqual(gameState.deck[0], oldCard);
+  assert.ok(!gameState.deck.some(card => card.rank === options[2].rank && card.suit === options[2].suit));
+  // Cards are dealt from the end of the deck
+  assert.notDeepEqual(gameState.deck[gameState.deck.length - 1], oldCard);
+});
+
+test('verifyHand replays switches to the deck the game deals from', () => {
+  const { gameState, active } = dealHand();
+  const { options } = requestSwitchOptions(gameState, active);
+  const oldCard = getSeat(gameState, active).hand[0];
+  executeSwitch(gameState, active, 0, 1);
+
+  const { dealOrder } = verifyHand(gameState.fairness.hand, undefined, [{ oldCard, newCard: options[1] }]);
+  const undealt = [...gameState.deck].reverse();
+  assert.deepEqual(dealOrder.slice(dealOrder.length - undealt.length), undealt);
+});
+
+test('switch options depend on the table secret, not only on the hand seed', () => {
+  const { gameState, active } = dealHand();
+  const { options } = requestSwitchOptions(gameState, active);
+  assert.deepEqual(requestSwitchOptions(dealHand().gameState, active).options, options);
+
+  // Same revealed seed and deck on a table with another secret
+  const other = createGameState({ turnTimeMs: 0 }, 'another-secret');
+  addPlayer(other, 'socket-1', 'Ann', 'token-1');
+  addPlayer(other, 'socket-2', 'Bob', 'token-2');
+  startNewHand(other);
+  other.fairness.hand = { ...gameState.fairness.hand };
+  other.deck = [...gameState.deck];
+  other.activePlayer = active;
+  assert.notDeepEqual(requestSwitchOptions(other, active).options, options);
+});
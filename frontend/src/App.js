@@ -2,17 +2,32 @@
  * Main App Component
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { SocketProvider } from './context/SocketContext';
 import JoinScreen from './components/JoinScreen';
 import GameScreen from './components/GameScreen';
+import Leaderboard from './components/Leaderboard';
 import MultiPlayerTest from './components/MultiPlayerTest';
 import './styles/App.css';
 
+// Profile kept across visits so stats follow this browser
+const PROFILE_STORAGE_KEY = 'liarsbar.profile';
+
+function loadProfile() {
+  try {
+    return JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
 function App() {
   const [joined, setJoined] = useState(false);
   const [nickname, setNickname] = useState('');
+  const [roomOptions, setRoomOptions] = useState({});
   const [testMode, setTestMode] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [profile, setProfile] = useState(loadProfile);
 
   // Enable test mode with URL parameter: ?test=true
   useEffect(() => {
@@ -22,11 +37,23 @@ function App() {
     }
   }, []);
 
-  const handleJoin = (name) => {
+  const handleJoin = (name, options = {}) => {
     setNickname(name);
+    setRoomOptions(options);
     setJoined(true);
   };
 
+  const handleLeave = () => {
+    setJoined(false);
+    setRoomOptions({});
+  };
+
+  const handleProfile = useCallback((data) => {
+    const next = { profileToken: data.profileToken, profileId: data.profileId };
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(next));
+    setProfile(next);
+  }, []);
+
   // Test mode: multiple players in one browser
   if (testMode) {
     return (
@@ -40,10 +67,18 @@ function App() {
   return (
     <SocketProvider>
       <div className="App">
-        {!joined ? (
-          <JoinScreen onJoin={handleJoin} />
+        {joined ? (
+          <GameScreen
+            nickname={nickname}
+            roomOptions={roomOptions}
+            profileToken={profile.profileToken}
+            onProfile={handleProfile}
+            onLeave={handleLeave}
+          />
+        ) : showLeaderboard ? (
+          <Leaderboard profileId={profile.profileId} onBack={() => setShowLeaderboard(false)} />
         ) : (
-          <GameScreen nickname={nickname} />
+          <JoinScreen onJoin={handleJoin} onShowLeaderboard={() => setShowLeaderboard(true)} />
         )}
       </div>
     </SocketProvider>
@@ -1,11 +1,19 @@
 /**
  * Action Buttons Component
- * Displays available player actions
+ * Displays available player actions, with a slider to size bets and raises
  */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+
+function ActionButtons({ availableActions, raiseRange, onAction, gameState, player, anybodyAllIn, onSwitchInit }) {
+  const minTo = raiseRange?.minTo || 0;
+  const [betTo, setBetTo] = useState(minTo);
+
+  // A new decision starts from the minimum bet
+  useEffect(() => {
+    setBetTo(minTo);
+  }, [minTo]);
 
-function ActionButtons({ availableActions, onAction, gameState, player, anybodyAllIn, onSwitchInit }) {
   if (!availableActions || availableActions.length === 0) {
     return null;
   }
@@ -13,43 +21,58 @@ function ActionButtons({ availableActions, onAction, gameState, player, anybodyA
   // Calculate call amount dynamically
   const getCallLabel = () => {
     if (!gameState) return '📞 Call';
-    
-    const playerRole = gameState.yourRole;
-    const opponent = playerRole === 'player1' ? 'player2' : 'player1';
-    const playerCommitted = gameState.players[playerRole]?.committed || 0;
-    const opponentCommitted = gameState.players[opponent]?.committed || 0;
-    
-    if (opponentCommitted > playerCommitted) {
-      const toCall = opponentCommitted - playerCommitted;
-      return `📞 Call ${toCall}`;
-    }
-    return '📞 Call +1';
+
+    const playerCommitted = gameState.players[gameState.yourRole]?.committed || 0;
+    const highestCommitted = Math.max(0, ...Object.values(gameState.players).map(p => p?.committed || 0));
+
+    return `📞 Call ${highestCommitted - playerCommitted}`;
   };
 
   const buttonLabels = {
     FOLD: '❌ Fold',
+    CHECK: '✋ Check',
     CALL: getCallLabel(),
+    BET: `💰 Bet ${betTo}`,
+    RAISE: `⬆️ Raise to ${betTo}`,
     ALL_IN: '🔥 All-In'
   };
 
   // Thêm kiểm tra nếu player không tồn tại thì không render gì cả
   if (!player) return null;
 
+  const sizesBet = raiseRange && (availableActions.includes('BET') || availableActions.includes('RAISE'));
+
   return (
     <div className="action-buttons">
+      {sizesBet && raiseRange.maxTo > raiseRange.minTo && (
+        <div className="bet-slider">
+          <input
+            type="range"
+            min={raiseRange.minTo}
+            max={raiseRange.maxTo}
+            step={1}
+            value={betTo}
+            onChange={(e) => setBetTo(Number(e.target.value))}
+          />
+          <div className="bet-slider-labels">
+            <span>{raiseRange.minTo}</span>
+            <span>{raiseRange.maxTo}</span>
+          </div>
+        </div>
+      )}
       {availableActions.map((action) => (
         <button
           key={action}
           className={`action-button action-${action.toLowerCase()}`}
-          onClick={() => onAction(action)}
+          onClick={() => onAction(action, action === 'BET' || action === 'RAISE' ? betTo : undefined)}
         >
           {buttonLabels[action] || action}
         </button>
       ))}
       {/* Kiểm tra an toàn trước khi truy cập hasSwitched */}
       {!player.hasSwitched && !anybodyAllIn && (
-        <button 
-          className="action-button switch-button" 
+        <button
+          className="action-button switch-button"
           onClick={onSwitchInit}
         >
           🔄 Switch
@@ -1,18 +1,20 @@
 /**
  * Bullet Meter Component
- * Visual representation of bullets (chambers in revolver)
+ * Visual representation of bullets (chambers in revolver), and on revolver
+ * tables the seat's cylinder with the chambers already fired
  */
 
 import React from 'react';
 
-function BulletMeter({ bullets, committed, nickname, position }) {
-  const maxBullets = 8;
-  
+// Radius of the cylinder drawing, in px
+const CYLINDER_RADIUS = 30;
+
+function BulletMeter({ bullets, committed, nickname, position, chambers = 8, cylinder = null }) {
   return (
     <div className={`bullet-meter-${position}`}>
       <div className="bullet-meter-label">{nickname}</div>
       <div className="bullet-chambers">
-        {Array.from({ length: maxBullets }).map((_, index) => {
+        {Array.from({ length: chambers }).map((_, index) => {
           let chamberClass = 'chamber empty';
           
           if (index < bullets + committed) {
@@ -29,6 +31,26 @@ function BulletMeter({ bullets, committed, nickname, position }) {
       <div className="bullet-meter-info">
         {bullets} available • {committed} bet
       </div>
+      {cylinder && (
+        <>
+          <div className="cylinder">
+            {Array.from({ length: cylinder.chambers }).map((_, index) => {
+              const angle = (360 / cylinder.chambers) * index;
+              const state = index < cylinder.position ? 'spent' : index === cylinder.position ? 'hammer' : 'unfired';
+              return (
+                <div
+                  key={index}
+                  className={`cylinder-chamber ${state}`}
+                  style={{ transform: `rotate(${angle}deg) translateY(-${CYLINDER_RADIUS}px) rotate(-${angle}deg)` }}
+                />
+              );
+            })}
+          </div>
+          <div className="bullet-meter-info">
+            Chamber {cylinder.position + 1}/{cylinder.chambers} • {committed} loaded in {cylinder.chambers - cylinder.position} left
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,136 @@
+/**
+ * Chat Panel Component
+ * Table chat with quick emotes; the host can mute or kick people
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useSocket } from '../context/SocketContext';
+
+function ChatPanel({ gameState }) {
+  const { socket } = useSocket();
+  const [messages, setMessages] = useState([]);
+  const [emotes, setEmotes] = useState({});
+  const [text, setText] = useState('');
+  const [open, setOpen] = useState(true);
+  const [showMembers, setShowMembers] = useState(false);
+  const listRef = useRef(null);
+
+  const isPlayer = /^player\d+$/.test(gameState.yourRole || '');
+
+  // Load history once, then follow new messages
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleHistory = (history) => {
+      setMessages(history.messages);
+      setEmotes(history.emotes);
+    };
+    const handleMessage = (message) => {
+      setMessages(prev => [...prev, message]);
+    };
+
+    socket.on('chat_history', handleHistory);
+    socket.on('chat_message', handleMessage);
+    socket.emit('request_chat');
+
+    return () => {
+      socket.off('chat_history', handleHistory);
+      socket.off('chat_message', handleMessage);
+    };
+  }, [socket]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages, open]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (text.trim() && socket) {
+      socket.emit('send_chat', { text: text.trim() });
+      setText('');
+    }
+  };
+
+  const sendEmote = (emote) => {
+    if (socket) {
+      socket.emit('send_chat', { emote });
+    }
+  };
+
+  if (!open) {
+    return (
+      <button className="chat-toggle" onClick={() => setOpen(true)}>
+        💬 Chat ({messages.length})
+      </button>
+    );
+  }
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-header">
+        <span>{isPlayer ? 'TABLE CHAT' : 'TABLE + VIEWER CHAT'}</span>
+        {gameState.isHost && (
+          <button className="chat-header-button" onClick={() => setShowMembers(!showMembers)}>
+            {showMembers ? 'Chat' : 'Moderate'}
+          </button>
+        )}
+        <button className="chat-header-button" onClick={() => setOpen(false)}>_</button>
+      </div>
+
+      {showMembers && gameState.isHost ? (
+        <div className="chat-members">
+          {(gameState.members || []).length === 0 && <div className="chat-notice">Nobody else here</div>}
+          {(gameState.members || []).map((member) => (
+            <div key={member.id} className="chat-member">
+              <span>{member.nickname} <small>({member.role})</small></span>
+              <button
+                className="chat-header-button"
+                onClick={() => socket.emit('chat_mute', { targetId: member.id, muted: !member.muted })}
+              >
+                {member.muted ? 'Unmute' : 'Mute'}
+              </button>
+              <button className="chat-header-button" onClick={() => socket.emit('chat_kick', { targetId: member.id })}>
+                Kick
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="chat-messages" ref={listRef}>
+          {messages.map((message) => (
+            message.role === 'system' ? (
+              <div key={message.id} className="chat-notice">{message.text}</div>
+            ) : (
+              <div key={message.id} className={`chat-message ${message.channel} ${message.emote ? 'emote' : ''}`}>
+                <span className="chat-nickname">{message.nickname}:</span> {message.text}
+              </div>
+            )
+          ))}
+        </div>
+      )}
+
+      <div className="chat-emotes">
+        {Object.entries(emotes).map(([key, label]) => (
+          <button key={key} className="chat-emote" title={label} onClick={() => sendEmote(key)}>
+            {label.split(' ')[0]}
+          </button>
+        ))}
+      </div>
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={200}
+          placeholder={isPlayer ? 'Say something to the table' : 'Chat with other viewers'}
+        />
+      </form>
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -0,0 +1,114 @@
+/**
+ * Fairness Panel Component
+ * Shows the seed commitments, lets players set their client seed and
+ * verifies the last revealed hand (deal order and roulette roll)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../context/SocketContext';
+import Card from './Card';
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 16)}…` : '—');
+
+function FairnessPanel({ fairness, clientSeed, isPlayer, lastShot, dealtSeats = 2, gameMode = 'holdem', onSetClientSeed, onClose }) {
+  const [seedInput, setSeedInput] = useState(clientSeed || '');
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState('');
+
+  const revealed = fairness?.revealed;
+
+  // A new hand was revealed: old verification no longer applies
+  useEffect(() => {
+    setVerification(null);
+  }, [revealed?.nonce]);
+
+  const handleVerify = () => {
+    const params = new URLSearchParams({
+      serverSeed: revealed.serverSeed,
+      clientSeed: revealed.clientSeed,
+      nonce: revealed.nonce,
+      serverSeedHash: revealed.serverSeedHash,
+      game: gameMode
+    });
+    fetch(`${API_URL}/fairness/verify?${params}`)
+      .then(res => (res.ok ? res.json() : Promise.reject()))
+      .then(setVerification)
+      .catch(() => setError('Verification failed'));
+  };
+
+  const shotMatches = lastShot?.fairness?.nonce === revealed?.nonce;
+  const holeCards = gameMode === 'omaha' ? 4 : 2;
+  const shownShot = lastShot?.shot ?? 0;
+
+  return (
+    <div className="switch-overlay">
+      <div className="switch-modal fairness-modal">
+        <h2>PROVABLY FAIR</h2>
+
+        <div className="reference-section fairness-section">
+          <p className="section-title">Commitments</p>
+          <div>This hand: {fairness?.hand ? `#${fairness.hand.nonce} • ${shortHash(fairness.hand.serverSeedHash)}` : '—'}</div>
+          {fairness?.hand && <div>Client seed: <code>{fairness.hand.clientSeed}</code></div>}
+          <div>Next hand: {shortHash(fairness?.nextServerSeedHash)}</div>
+        </div>
+
+        {isPlayer && (
+          <div className="reference-section fairness-section">
+            <p className="section-title">Your client seed (used from the next hand)</p>
+            <input
+              type="text"
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value.replace(/:/g, ''))}
+              maxLength={64}
+              className="nickname-input"
+            />
+            <button className="room-badge-button" onClick={() => onSetClientSeed(seedInput)}>Save</button>
+          </div>
+        )}
+
+        <div className="reference-section fairness-section">
+          <p className="section-title">Last revealed hand</p>
+          {revealed ? (
+            <>
+              <div>Hand #{revealed.nonce}</div>
+              <div>Server seed: <code>{revealed.serverSeed}</code></div>
+              <div>Hash: <code>{revealed.serverSeedHash}</code></div>
+              <div>Client seed: <code>{revealed.clientSeed}</code></div>
+              <button className="room-badge-button" onClick={handleVerify}>Verify</button>
+            </>
+          ) : (
+            <div>No hand finished yet</div>
+          )}
+          {error && <p>{error}</p>}
+        </div>
+
+        {verification && (
+          <div className="reference-section fairness-section">
+            <div>Seed matches published hash: {verification.hashMatches ? '✅' : '❌'}</div>
+            <div>
+              Roll{shownShot > 0 && ` (shot ${shownShot + 1})`}: {(verification.rolls[shownShot] * 100).toFixed(1)}%
+              {shotMatches && ` (shown: ${(lastShot.roll * 100).toFixed(1)}% ${lastShot.roll === verification.rolls[shownShot] ? '✅' : '❌'})`}
+            </div>
+            {verification.tableCard && <div>Table card: {verification.tableCard}</div>}
+            <p className="section-title">
+              {verification.tableCard
+                ? 'Deal order (one card at a time around the table)'
+                : 'Deal order (hole cards, then the board; switches change later cards)'}
+            </p>
+            <div className="card-row fairness-deck">
+              {verification.dealOrder.slice(0, verification.tableCard ? undefined : dealtSeats * holeCards + 5).map((card, i) => (
+                <Card key={i} card={card} />
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button className="action-btn cancel-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FairnessPanel;
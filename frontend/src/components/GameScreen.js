@@ -8,19 +8,78 @@ import { useSocket } from '../context/SocketContext';
 import Table from './Table';
 import PlayerPanel from './PlayerPanel';
 import ActionButtons from './ActionButtons';
+import LiarTable from './LiarTable';
+import LiarControls from './LiarControls';
 import BulletMeter from './BulletMeter';
 import ShootingScreen from './ShootingScreen';
 import Card from './Card';
+import HandReplay from './HandReplay';
+import FairnessPanel from './FairnessPanel';
+import MatchSummary from './MatchSummary';
+import ChatPanel from './ChatPanel';
+import MatchmakingQueue from './MatchmakingQueue';
+
+// What the table's tie policy does with tied players
+const TIE_OUTCOMES = {
+  none: 'nobody shoots',
+  halfOdds: 'both shoot at half odds',
+  fullOdds: 'both shoot at full odds',
+  replay: 'replaying the hand'
+};
+
+// Poker variants named on the stakes line (Hold'em goes unnamed)
+const VARIANT_NAMES = {
+  omaha: 'Pot-limit Omaha',
+  shortDeck: 'Short Deck'
+};
+
+// Where the other seats sit, clockwise from your left, by how many there are
+const SEAT_POSITIONS = {
+  1: ['top'],
+  2: ['top', 'top'],
+  3: ['left', 'top', 'right'],
+  4: ['left', 'top', 'top', 'right'],
+  5: ['left', 'top', 'top', 'top', 'right']
+};
 
-function GameScreen({ nickname }) {
-  const { socket, connected } = useSocket();
+/**
+ * Other seats clockwise from the anchor seat, each with its place around the table
+ */
+function arrangeSeats(roles, anchorRole) {
+  const index = roles.indexOf(anchorRole);
+  const others = roles.slice(index + 1).concat(roles.slice(0, index));
+  return others.map((role, i) => ({ role, position: SEAT_POSITIONS[others.length][i] }));
+}
+
+/**
+ * Random hex string used as this browser's client seed
+ */
+function createClientSeed() {
+  const bytes = new Uint8Array(8);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function GameScreen({ nickname, roomOptions = {}, profileToken, onProfile, onLeave }) {
+  const { socket, connected, protocolError } = useSocket();
   const [gameState, setGameState] = useState(null);
   const [shootResult, setShootResult] = useState(null);
   const [message, setMessage] = useState('');
   const [switchStep, setSwitchStep] = useState(null); // 'select_hand' | 'select_option'
   const [selectedHandIdx, setSelectedHandIdx] = useState(null);
   const [switchOptions, setSwitchOptions] = useState([]);
+  const [botStrategy, setBotStrategy] = useState('equity');
+  const [showEquity, setShowEquity] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showFairness, setShowFairness] = useState(false);
+  const [lastShot, setLastShot] = useState(null);
+  const [spectatorMode, setSpectatorMode] = useState(null); // { enabled, delayMs }
+  const [queueStatus, setQueueStatus] = useState(null);
   const hasJoinedRef = React.useRef(false);
+  const sessionTokenRef = React.useRef(null);
+  const roomCodeRef = React.useRef(null);
+  const clientSeedRef = React.useRef(createClientSeed());
+  const profileTokenRef = React.useRef(profileToken);
 
   // Set up socket listeners (only once)
   useEffect(() => {
@@ -31,6 +90,7 @@ function GameScreen({ nickname }) {
     // Listen for game state updates
     const handleGameState = (state) => {
       console.log('Received game state:', state);
+      roomCodeRef.current = state.roomCode;
       setGameState(state);
       setShootResult(null);
     };
@@ -50,11 +110,80 @@ function GameScreen({ nickname }) {
     // Listen for shoot result
     const handleShootResult = (result) => {
       setShootResult(result);
+      setLastShot(result);
+    };
+
+    // Remember seat token so we can reclaim the seat after a dropped connection
+    const handleSession = (session) => {
+      sessionTokenRef.current = session.sessionToken;
+      socket.emit('set_client_seed', { seed: clientSeedRef.current });
+    };
+
+    // Server-issued profile: keep its token so stats follow us to the next room
+    const handleProfile = (profile) => {
+      profileTokenRef.current = profile.profileToken;
+      if (onProfile) onProfile(profile);
+    };
+
+    // Matchmaking: queue updates until an opponent is found (the server then seats us)
+    const handleQueueStatus = (status) => {
+      setQueueStatus(status);
+    };
+
+    const handleMatchFound = (match) => {
+      setQueueStatus(null);
+      setMessage(`Matched with ${match.opponent.nickname} (${match.opponent.rating})`);
+      setTimeout(() => setMessage(''), 3000);
+    };
+
+    // Held seat was released before we got back: join the room again
+    const handleSessionExpired = () => {
+      sessionTokenRef.current = null;
+      setMessage('Your seat was released');
+      setTimeout(() => setMessage(''), 3000);
+      if (roomCodeRef.current) {
+        socket.emit('join_room', { nickname, roomCode: roomCodeRef.current, profileToken: profileTokenRef.current });
+      } else {
+        socket.emit('join_game', { nickname, profileToken: profileTokenRef.current });
+      }
+    };
+
+    // Listen for opponent dropping / coming back
+    const handlePlayerDisconnected = (data) => {
+      setMessage(`${data.nickname} lost connection, reconnecting…`);
+      setTimeout(() => setMessage(''), 3000);
+    };
+
+    const handlePlayerReconnected = (data) => {
+      setMessage(`${data.nickname} reconnected`);
+      setTimeout(() => setMessage(''), 3000);
+    };
+
+    // Listen for room closed by host
+    const handleRoomClosed = () => {
+      setGameState(null);
+      if (onLeave) onLeave();
+    };
+
+    // Host removed us from the room
+    const handleKicked = () => {
+      sessionTokenRef.current = null;
+      setGameState(null);
+      if (onLeave) onLeave();
+    };
+
+    // Delayed broadcast toggled: wait for the buffer to fill before showing hole cards
+    const handleSpectatorMode = (mode) => {
+      setSpectatorMode(mode);
+      if (mode.enabled) {
+        setGameState(null);
+      }
     };
 
     // Listen for errors
     const handleError = (error) => {
       console.error('Server error:', error);
+      setSwitchStep(null);
       setMessage(error.message);
       setTimeout(() => setMessage(''), 3000);
     };
@@ -63,6 +192,16 @@ function GameScreen({ nickname }) {
     socket.on('player_joined', handlePlayerJoined);
     socket.on('player_left', handlePlayerLeft);
     socket.on('shoot_result', handleShootResult);
+    socket.on('session', handleSession);
+    socket.on('profile', handleProfile);
+    socket.on('queue_status', handleQueueStatus);
+    socket.on('match_found', handleMatchFound);
+    socket.on('session_expired', handleSessionExpired);
+    socket.on('player_disconnected', handlePlayerDisconnected);
+    socket.on('player_reconnected', handlePlayerReconnected);
+    socket.on('room_closed', handleRoomClosed);
+    socket.on('spectator_mode', handleSpectatorMode);
+    socket.on('kicked', handleKicked);
     socket.on('error', handleError);
 
     return () => {
@@ -70,22 +209,70 @@ function GameScreen({ nickname }) {
       socket.off('player_joined', handlePlayerJoined);
       socket.off('player_left', handlePlayerLeft);
       socket.off('shoot_result', handleShootResult);
+      socket.off('session', handleSession);
+      socket.off('profile', handleProfile);
+      socket.off('queue_status', handleQueueStatus);
+      socket.off('match_found', handleMatchFound);
+      socket.off('session_expired', handleSessionExpired);
+      socket.off('player_disconnected', handlePlayerDisconnected);
+      socket.off('player_reconnected', handlePlayerReconnected);
+      socket.off('room_closed', handleRoomClosed);
+      socket.off('spectator_mode', handleSpectatorMode);
+      socket.off('kicked', handleKicked);
       socket.off('error', handleError);
     };
-  }, [socket]);
+  }, [socket, nickname, onProfile, onLeave]);
 
-  // Join game (only once when connected)
+  // Join game (only once when connected), rejoin after a reconnect
   useEffect(() => {
-    if (!socket || !connected || hasJoinedRef.current) return;
+    if (!socket || !connected) return;
+
+    if (hasJoinedRef.current) {
+      if (sessionTokenRef.current) {
+        console.log('Reconnected, reclaiming seat');
+        socket.emit('rejoin_game', { sessionToken: sessionTokenRef.current });
+      } else if (roomCodeRef.current) {
+        socket.emit('join_room', { nickname, roomCode: roomCodeRef.current, profileToken: profileTokenRef.current });
+      } else if (roomOptions.findMatch) {
+        socket.emit('find_match', { nickname, profileToken: profileTokenRef.current });
+      }
+      return;
+    }
 
-    console.log('Joining game as:', nickname);
-    socket.emit('join_game', { nickname });
+    console.log('Joining game as:', nickname, roomOptions);
+    if (roomOptions.createRoom) {
+      socket.emit('create_room', {
+        nickname,
+        roomName: roomOptions.roomName,
+        preset: roomOptions.preset,
+        maxPlayers: roomOptions.maxPlayers,
+        blinds: roomOptions.blinds,
+        tiePolicy: roomOptions.tiePolicy,
+        gameMode: roomOptions.gameMode,
+        deathModel: roomOptions.deathModel,
+        matchMode: roomOptions.matchMode,
+        bestOfSurvivals: roomOptions.bestOfSurvivals,
+        profileToken: profileTokenRef.current
+      });
+    } else if (roomOptions.findMatch) {
+      socket.emit('find_match', { nickname, profileToken: profileTokenRef.current });
+    } else if (roomOptions.roomCode) {
+      socket.emit('join_room', { nickname, roomCode: roomOptions.roomCode, profileToken: profileTokenRef.current });
+    } else {
+      socket.emit('join_game', { nickname, profileToken: profileTokenRef.current });
+    }
     hasJoinedRef.current = true;
-  }, [socket, connected, nickname]);
+  }, [socket, connected, nickname, roomOptions]);
+
+  const handleAction = (action, amount) => {
+    if (socket) {
+      socket.emit('player_action', { action, amount });
+    }
+  };
 
-  const handleAction = (action) => {
+  const handleLiarAction = (action, cards) => {
     if (socket) {
-      socket.emit('player_action', { action });
+      socket.emit('player_action', { action, cards });
     }
   };
 
@@ -107,122 +294,242 @@ function GameScreen({ nickname }) {
     }
   };
 
+  const handleToggleEquity = (e) => {
+    setShowEquity(e.target.checked);
+    if (socket) {
+      socket.emit('toggle_equity', { enabled: e.target.checked });
+    }
+  };
+
+  const handleSetClientSeed = (seed) => {
+    clientSeedRef.current = seed;
+    if (socket) {
+      socket.emit('set_client_seed', { seed });
+    }
+  };
+
+  const handleWatchDelayed = (e) => {
+    if (socket) {
+      socket.emit('watch_delayed', { enabled: e.target.checked });
+    }
+  };
+
+  const handleAddBot = () => {
+    if (socket) {
+      socket.emit('add_bot', { strategy: botStrategy });
+    }
+  };
+
+  const handleRemoveBot = (role) => {
+    if (socket) {
+      socket.emit('remove_bot', { role });
+    }
+  };
+
+  const handleLeaveRoom = () => {
+    sessionTokenRef.current = null;
+    if (socket) {
+      socket.emit('leave_room');
+    }
+    if (onLeave) onLeave();
+  };
+
+  const handleCancelMatch = () => {
+    if (socket) {
+      socket.emit('cancel_match');
+    }
+    if (onLeave) onLeave();
+  };
+
+  const handleCloseRoom = () => {
+    if (socket) {
+      socket.emit('close_room');
+    }
+  };
+
   const handleSwitchInit = () => setSwitchStep('select_hand');
 
   const handleHandCardClick = (idx) => {
     if (switchStep === 'select_hand') {
       setSelectedHandIdx(idx);
-      socket.emit('requestSwitchOptions');
+      socket.emit('request_switch_options');
       setSwitchStep('loading');
     }
   };
 
   useEffect(() => {
     if (!socket) return;
-    socket.on('switchOptionsReceived', (options) => {
+    socket.on('switch_options', (options) => {
       setSwitchOptions(options);
       setSwitchStep('select_option');
     });
-    socket.on('switchSuccess', () => setSwitchStep(null));
+    socket.on('switch_success', () => setSwitchStep(null));
     return () => {
-      socket.off('switchOptionsReceived');
-      socket.off('switchSuccess');
+      socket.off('switch_options');
+      socket.off('switch_success');
     };
   }, [socket]);
 
   if (!connected) {
     return (
       <div className="game-screen">
-        <div className="connecting">Connecting to server...</div>
+        <div className="connecting">{protocolError || 'Connecting to server...'}</div>
       </div>
     );
   }
 
+  if (!gameState && roomOptions.findMatch && !roomCodeRef.current) {
+    return <MatchmakingQueue status={queueStatus} onCancel={handleCancelMatch} />;
+  }
+
   if (!gameState) {
     return (
       <div className="game-screen">
-        <div className="connecting">Loading game...</div>
+        <div className="connecting">
+          {spectatorMode?.enabled
+            ? `Buffering delayed broadcast (${spectatorMode.delayMs / 1000}s)...`
+            : 'Loading game...'}
+        </div>
       </div>
     );
   }
 
-  // Determine if we're a player or viewer
-  const isPlayer = gameState.yourRole === 'player1' || gameState.yourRole === 'player2';
-  const isViewer = gameState.yourRole === 'viewer';
+  // Determine if we're a player or viewer (delayed spectators are viewers who see every hand)
+  const seatRoles = Object.keys(gameState.players);
+  const isPlayer = seatRoles.includes(gameState.yourRole);
+  const isSpectator = gameState.yourRole === 'spectator_delayed';
+  const isViewer = gameState.yourRole === 'viewer' || isSpectator;
+  const handsRevealed = isSpectator || ['SHOWDOWN', 'TIE', 'SHOOTING', 'HAND_OVER', 'GAME_OVER'].includes(gameState.phase);
 
   // Show shooting screen if in shooting phase
   if (gameState.phase === 'SHOOTING' && shootResult) {
-    const loserNickname = gameState.players[gameState.loser]?.nickname || gameState.loser;
-    return <ShootingScreen result={shootResult} loser={loserNickname} />;
+    const nameOf = role => gameState.players[role]?.nickname || role;
+    return (
+      <ShootingScreen
+        result={shootResult}
+        loser={nameOf(shootResult.player)}
+        nextShooter={shootResult.nextShooter ? nameOf(shootResult.nextShooter) : null}
+      />
+    );
   }
 
   // Get current player info
   const currentPlayer = gameState.players[gameState.yourRole];
-  const anybodyAllIn = Object.values(gameState.players || {}).some(p => p && p.isAllIn);
+  const anybodyAllIn = Object.values(gameState.players || {}).some(p => p && p.isAllIn && !p.folded);
+  const seatedRoles = seatRoles.filter(role => gameState.players[role]);
+  const seatName = role => gameState.players[role]?.nickname || role;
+  const outrightWinners = gameState.winners.filter(role => !gameState.tied.includes(role));
+
+  // Your seat sits at the bottom, everyone else around the table
+  const anchorRole = isViewer ? 'player2' : gameState.yourRole;
+  const otherSeats = arrangeSeats(seatRoles, anchorRole);
+
+  const renderSeat = (role, position) => {
+    const player = gameState.players[role];
+    const isMine = role === gameState.yourRole;
+    const hiddenHand = player?.inHand ? Array(player.handSize).fill(null) : [];
+
+    return (
+      <PlayerPanel
+        key={role}
+        player={player}
+        isCurrentTurn={gameState.activePlayer === role}
+        turnClock={gameState.turnClock?.player === role ? gameState.turnClock : null}
+        startingBullets={gameState.rules.startingBullets}
+        position={position}
+        compact={seatRoles.length > 2}
+        sittingOut={!!player && !player.inHand && gameState.phase !== 'WAITING' && gameState.phase !== 'GAME_OVER'}
+        isDealer={gameState.dealer === role && gameState.phase !== 'WAITING'}
+        blind={gameState.blinds?.small === role ? 'SB' : gameState.blinds?.big === role ? 'BB' : null}
+        hand={isMine ? gameState.yourHand : (handsRevealed && gameState.hands?.[role]) || hiddenHand}
+        handStrength={isMine ? gameState.yourHandStrength : gameState.handStrengths?.[role]}
+        equity={isMine ? gameState.yourEquity : gameState.liveEquity?.[role]}
+        isMe={isMine}
+      />
+    );
+  };
 
   return (
     <div className="game-screen">
       {/* Top message bar */}
       {message && <div className="message-bar">{message}</div>}
 
+      {/* Room code (share it to invite people) */}
+      <div className="room-badge">
+        <span className="room-badge-name">{gameState.roomName}</span>
+        <span className="room-badge-code">CODE: {gameState.roomCode}</span>
+        <button className="room-badge-button" onClick={() => setShowHistory(true)}>History</button>
+        <button className="room-badge-button" onClick={() => setShowFairness(true)}>Fairness</button>
+        {onLeave && (
+          <button className="room-badge-button" onClick={handleLeaveRoom}>Leave</button>
+        )}
+        {gameState.isHost && (
+          <button className="room-badge-button" onClick={handleCloseRoom}>Close room</button>
+        )}
+      </div>
+
+      {/* Equity opt-in for players */}
+      {isPlayer && gameState.rules.gameMode !== 'liarsDeck' && (
+        <label className="equity-toggle">
+          <input type="checkbox" checked={showEquity} onChange={handleToggleEquity} />
+          Show my equity
+        </label>
+      )}
+
       {/* Viewer indicator */}
       {isViewer && (
         <div className="viewer-badge">
-          👁️ VIEWER MODE
+          {isSpectator ? `📡 DELAYED BROADCAST (${gameState.spectatorDelayMs / 1000}s)` : '👁️ VIEWER MODE'}
         </div>
       )}
 
+      {/* Viewers may opt in to the delayed broadcast with both hands shown */}
+      {isViewer && gameState.rules.spectatorDelayMs > 0 && (
+        <label className="equity-toggle">
+          <input type="checkbox" checked={isSpectator} onChange={handleWatchDelayed} />
+          Show hole cards ({gameState.rules.spectatorDelayMs / 1000}s delay)
+        </label>
+      )}
+
       {/* Main game layout */}
       <div className="game-layout">
         
-        {/* Opponent panel (top) - Always show the OTHER player */}
-        {(() => {
-          const opponentRole = gameState.yourRole === 'player1' ? 'player2' : 'player1';
-          const opponent = gameState.players[opponentRole];
-          
-          return opponent ? (
-            <PlayerPanel
-              player={opponent}
-              isCurrentTurn={gameState.activePlayer === opponentRole}
-              position="top"
-              hand={
-                (gameState.phase === 'SHOWDOWN' || gameState.phase === 'SHOOTING' || gameState.phase === 'GAME_OVER') 
-                  ? gameState[`${opponentRole}Hand`] 
-                  : [null, null]
-              }
-              isMe={false}
-            />
-          ) : null;
-        })()}
-
-        {/* Table with community cards */}
-        <Table
-          communityCards={gameState.communityCards}
-          pot={gameState.pot}
-          phase={gameState.phase}
-        />
+        {/* Other seats around the table, clockwise from your left */}
+        <div className="seats-row">
+          {otherSeats.filter(seat => seat.position === 'top').map(seat => renderSeat(seat.role, 'top'))}
+        </div>
 
-        {/* Your panel (bottom) - Always show YOUR player */}
-        {(() => {
-          const yourRole = gameState.yourRole;
-          const you = gameState.players[yourRole];
-          
-          return you ? (
-            <PlayerPanel
-              player={you}
-              isCurrentTurn={gameState.activePlayer === yourRole}
-              position="bottom"
-              hand={gameState.yourHand}
-              handStrength={gameState.yourHandStrength}
-              isMe={true}
+        {/* Table with community cards, side seats left and right of it */}
+        <div className="seats-middle">
+          {otherSeats.filter(seat => seat.position === 'left').map(seat => renderSeat(seat.role, 'left'))}
+          {gameState.liar ? (
+            <LiarTable liar={gameState.liar} seatName={seatName} />
+          ) : (
+            <Table
+              communityCards={gameState.communityCards}
+              pot={gameState.pot}
+              phase={gameState.phase}
             />
-          ) : null;
-        })()}
+          )}
+          {otherSeats.filter(seat => seat.position === 'right').map(seat => renderSeat(seat.role, 'right'))}
+        </div>
+
+        {/* Your panel (bottom) - Always show YOUR seat (viewers watch player2 here) */}
+        {renderSeat(anchorRole, 'bottom')}
 
         {/* Action buttons (only for active player) */}
-        {isPlayer && gameState.activePlayer === gameState.yourRole && (
+        {isPlayer && gameState.activePlayer === gameState.yourRole && gameState.liar && (
+          <LiarControls
+            hand={gameState.yourHand}
+            tableCard={gameState.liar.tableCard}
+            availableActions={gameState.availableActions}
+            onAction={handleLiarAction}
+          />
+        )}
+        {isPlayer && gameState.activePlayer === gameState.yourRole && !gameState.liar && (
           <ActionButtons
             availableActions={gameState.availableActions}
+            raiseRange={gameState.raiseRange}
             onAction={handleAction}
             gameState={gameState}
             player={currentPlayer}
@@ -238,16 +545,15 @@ function GameScreen({ nickname }) {
               🔫 PULL TRIGGER
             </button>
             <div className="shoot-info">
-              {gameState.players[gameState.yourRole]?.nickname}, Death Probability: {((gameState.players[gameState.loser].committed / 8) * 100).toFixed(1)}%
+              {gameState.players[gameState.yourRole]?.nickname}, Death Probability: {(gameState.players[gameState.loser].deathProbability * 100).toFixed(1)}%
             </div>
           </div>
         )}
 
-        {/* Bullet meters */}
+        {/* Bullet meters (heads-up: both players, bigger tables: just yours) */}
         <div className="bullet-meters">
           {(() => {
-            const opponentRole = gameState.yourRole === 'player1' ? 'player2' : 'player1';
-            const opponent = gameState.players[opponentRole];
+            const opponent = otherSeats.length === 1 ? gameState.players[otherSeats[0].role] : null;
             const you = gameState.players[gameState.yourRole];
             
             return (
@@ -257,6 +563,8 @@ function GameScreen({ nickname }) {
                     bullets={opponent.bullets}
                     committed={opponent.committed}
                     nickname={opponent.nickname}
+                    chambers={gameState.rules.chambers}
+                    cylinder={opponent.cylinder}
                     position="top"
                   />
                 )}
@@ -265,6 +573,8 @@ function GameScreen({ nickname }) {
                     bullets={you.bullets}
                     committed={you.committed}
                     nickname={you.nickname}
+                    chambers={gameState.rules.chambers}
+                    cylinder={you.cylinder}
                     position="bottom"
                   />
                 )}
@@ -273,6 +583,18 @@ function GameScreen({ nickname }) {
           })()}
         </div>
 
+        {/* Switch options currently offered (delayed broadcast only) */}
+        {isSpectator && seatRoles.filter(role => gameState.switchOptions?.[role]).map(role => (
+          <div key={role} className="spectator-switch-options">
+            <span>{gameState.players[role]?.nickname} is choosing a switch:</span>
+            <div className="card-row">
+              {gameState.switchOptions[role].map((card, i) => (
+                <Card key={i} card={card} />
+              ))}
+            </div>
+          </div>
+        ))}
+
         {/* Phase indicator */}
         <div className="phase-indicator">
           {gameState.phase === 'WAITING' && 'Waiting for players...'}
@@ -282,25 +604,78 @@ function GameScreen({ nickname }) {
           {gameState.phase === 'TURN' && `Turn${gameState.activePlayer ? ` - ${gameState.players[gameState.activePlayer]?.nickname}'s turn` : ''}`}
           {gameState.phase === 'RIVER' && `River${gameState.activePlayer ? ` - ${gameState.players[gameState.activePlayer]?.nickname}'s turn` : ''}`}
           {gameState.phase === 'SHOWDOWN' && 'Showdown!'}
-          {gameState.phase === 'SHOOTING' && `🔫 ${gameState.players[gameState.loser]?.nickname} must shoot`}
+          {gameState.phase === 'CLAIM' && `🃏 ${gameState.liar.tableCard}s round - ${seatName(gameState.activePlayer)}'s claim`}
+          {gameState.phase === 'REVEAL' && `🤥 ${seatName(gameState.liar.reveal.accuser)} calls Liar!`}
+          {gameState.phase === 'SHOOTING' && `🔫 ${seatName(gameState.loser)} must shoot${gameState.losers.length > 1 ? ` (${gameState.shots.length + 1}/${gameState.losers.length})` : ''}`}
+          {gameState.phase === 'TIE' && `🤝 Split pot: ${gameState.tied.map(seatName).join(' & ')} tie`}
+          {gameState.phase === 'HAND_OVER' && 'Survived! Next hand coming...'}
           {gameState.phase === 'GAME_OVER' && '💀 Game Over'}
         </div>
 
-        {/* Start Game button (when both players ready) */}
-        {gameState.phase === 'WAITING' && 
-         gameState.players.player1 && 
-         gameState.players.player2 && 
+        {/* Stakes of the current hand and when they go up */}
+        {gameState.phase !== 'WAITING' && gameState.stakes && !gameState.liar && (
+          <div className="stakes-indicator">
+            {VARIANT_NAMES[gameState.rules.gameMode] && `${VARIANT_NAMES[gameState.rules.gameMode]} • `}
+            {gameState.stakes.bigBlind > 0 && `Blinds ${gameState.stakes.smallBlind}/${gameState.stakes.bigBlind}`}
+            {gameState.stakes.bigBlind > 0 && gameState.stakes.ante > 0 && ' • '}
+            {gameState.stakes.ante > 0 && `Ante ${gameState.stakes.ante}`}
+            {gameState.rules.blindLevelHands > 0 && ` • Level ${gameState.stakes.level + 1}`}
+            {gameState.stakes.handsToNextLevel !== null &&
+              ` • up in ${gameState.stakes.handsToNextLevel} hand${gameState.stakes.handsToNextLevel === 1 ? '' : 's'}`}
+          </div>
+        )}
+
+        {/* Match score */}
+        {gameState.match && gameState.phase !== 'WAITING' && (
+          <div className="match-score">
+            Match • hand {gameState.match.hands.length + 1}
+            {gameState.match.bestOfSurvivals > 0 && ` • best of ${gameState.match.bestOfSurvivals}`}
+            {seatedRoles.map(role => ` • ${seatName(role)} ${gameState.match.handsWon[role]}`).join('')}
+          </div>
+        )}
+
+        {/* Add bot (practice alone) when a seat is free */}
+        {gameState.phase === 'WAITING' &&
+         seatedRoles.length < seatRoles.length &&
+         (isPlayer || gameState.isHost) && (
+          <div className="start-game-container">
+            <div className="bot-controls">
+              <select value={botStrategy} onChange={(e) => setBotStrategy(e.target.value)}>
+                <option value="random">Random bot</option>
+                <option value="tightPassive">Tight/passive bot</option>
+                <option value="equity">Equity bot</option>
+              </select>
+              <button className="start-game-button add-bot-button" onClick={handleAddBot}>
+                🤖 ADD BOT
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Remove bot between games */}
+        {(gameState.phase === 'WAITING' || gameState.phase === 'GAME_OVER') && (isPlayer || gameState.isHost) &&
+         seatedRoles.filter(role => gameState.players[role].isBot).map(role => (
+          <button key={role} className="remove-bot-button" onClick={() => handleRemoveBot(role)}>
+            Remove {gameState.players[role].nickname}
+          </button>
+        ))}
+
+        {/* Start Game button (once at least two players are seated) */}
+        {gameState.phase === 'WAITING' &&
+         seatedRoles.length >= 2 &&
          isPlayer && (
           <div className="start-game-container">
             <button className="start-game-button" onClick={handleStartGame}>
               ▶️ START GAME
             </button>
-            <div className="start-info">Both players ready!</div>
+            <div className="start-info">
+              {seatedRoles.length === seatRoles.length ? 'All seats filled!' : `${seatedRoles.length} of ${seatRoles.length} seats filled`}
+            </div>
           </div>
         )}
 
         {/* Reset Game button (when game over) */}
-        {gameState.phase === 'GAME_OVER' && isPlayer && (
+        {gameState.phase === 'GAME_OVER' && isPlayer && !gameState.match?.reason && (
           <div className="reset-game-container">
             <button className="reset-game-button" onClick={handleResetGame}>
               🔄 NEW GAME
@@ -311,21 +686,66 @@ function GameScreen({ nickname }) {
         {/* Hand result at showdown */}
         {gameState.handResult && (
           <div className="hand-result">
-            <div>
-              {gameState.players.player1?.nickname || 'Player 1'}: {gameState.handResult.player1Hand?.description}
-            </div>
-            <div>
-              {gameState.players.player2?.nickname || 'Player 2'}: {gameState.handResult.player2Hand?.description}
-            </div>
-            {gameState.winner && (
+            {Object.entries(gameState.handResult).map(([role, hand]) => (
+              <div key={role}>
+                {seatName(role)}: {hand?.description}
+              </div>
+            ))}
+            {gameState.pots.length > 1 && gameState.pots.map((pot, i) => (
+              <div key={i} className="hand-result-pot">
+                {i === 0 ? 'Main pot' : `Side pot ${i}`} ({pot.amount}): {pot.winners.map(seatName).join(' & ')}
+              </div>
+            ))}
+            {outrightWinners.length > 0 && (
               <div className="winner">
-                Winner: {gameState.players[gameState.winner]?.nickname || gameState.winner}
+                {outrightWinners.length > 1 ? 'Winners' : 'Winner'}: {outrightWinners.map(seatName).join(', ')}
+              </div>
+            )}
+            {gameState.tied.length > 0 && (
+              <div className="winner tie-result">
+                Tie: {gameState.tied.map(seatName).join(' & ')} • {TIE_OUTCOMES[gameState.rules.tiePolicy]}
               </div>
             )}
           </div>
         )}
       </div>
 
+      {/* Table chat */}
+      <ChatPanel gameState={gameState} />
+
+      {/* Match summary once a match is decided */}
+      {gameState.phase === 'GAME_OVER' && gameState.match?.reason && !showHistory && !showFairness && (
+        <MatchSummary
+          match={gameState.match}
+          players={gameState.players}
+          canRestart={isPlayer}
+          onNewMatch={handleResetGame}
+        />
+      )}
+
+      {/* Hand history replay */}
+      {showHistory && (
+        <HandReplay
+          roomCode={gameState.roomCode}
+          sessionToken={sessionTokenRef.current}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {/* Provably fair seeds and verification */}
+      {showFairness && (
+        <FairnessPanel
+          fairness={gameState.fairness}
+          clientSeed={gameState.yourClientSeed}
+          isPlayer={isPlayer}
+          lastShot={lastShot}
+          dealtSeats={seatRoles.filter(role => gameState.players[role]?.inHand).length || 2}
+          gameMode={gameState.rules.gameMode}
+          onSetClientSeed={handleSetClientSeed}
+          onClose={() => setShowFairness(false)}
+        />
+      )}
+
       {/* Switch Card UI */}
       {switchStep && (
         <div className="switch-overlay">
@@ -371,7 +791,7 @@ function GameScreen({ nickname }) {
                     <p>Chọn 1 lá bài mới từ bộ bài:</p>
                     <div className="card-row">
                       {switchOptions.map((card, i) => (
-                        <div key={i} className="card-wrapper clickable" onClick={() => socket.emit('executeSwitch', { cardIndex: selectedHandIdx, newCard: card })}>
+                        <div key={i} className="card-wrapper clickable" onClick={() => socket.emit('execute_switch', { cardIndex: selectedHandIdx, optionIndex: i })}>
                           <Card card={card} />
                         </div>
                       ))}
@@ -0,0 +1,188 @@
+/**
+ * Hand Replay Component
+ * Lists recorded hands of a room and steps through one event at a time
+ */
+
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../context/SocketContext';
+import Table from './Table';
+import PlayerPanel from './PlayerPanel';
+import BulletMeter from './BulletMeter';
+
+const BETTING_PHASES = ['PREFLOP', 'FLOP', 'TURN', 'RIVER'];
+
+const cardText = (card) => `${card.rank}${card.suit}`;
+
+/**
+ * One line describing what happened at a step
+ */
+function describeEvent(event, seats) {
+  const name = (role) => seats[role]?.nickname || role;
+
+  switch (event.type) {
+    case 'hand_start':
+      if (event.tableCard) {
+        return `Round #${event.handNumber} dealt • table card ${event.tableCard}`;
+      }
+      return `Hand #${event.handNumber} ${event.replay ? 'replays the tie' : 'dealt'} • ${name(event.dealer)} has the button`
+        + (Object.values(event.antes).some(Boolean) ? ` • antes ${Object.values(event.antes).join(' / ')}` : '')
+        + (event.blinds && Object.keys(event.blinds).length > 0
+          ? ` • blinds ${Object.entries(event.blinds).map(([role, blind]) => `${name(role)} ${blind}`).join(', ')}`
+          : '');
+    case 'action':
+      if (event.action === 'FOLD') return `${name(event.player)} folds`;
+      if (event.action === 'CHECK') return `${name(event.player)} checks`;
+      if (event.action === 'CALL') return `${name(event.player)} calls ${event.amount}`;
+      if (event.action === 'BET') return `${name(event.player)} bets ${event.amount}`;
+      if (event.action === 'RAISE') return `${name(event.player)} raises to ${event.state.committed[event.player]}`;
+      return `${name(event.player)} goes all-in (${event.amount})`;
+    case 'timeout':
+      return `${name(event.player)} ran out of time`;
+    case 'switch':
+      return event.oldCard
+        ? `${name(event.player)} switches ${cardText(event.oldCard)} → ${cardText(event.newCard)}`
+        : `${name(event.player)} switches a card`;
+    case 'board':
+      return `${event.street === 'RUNOUT' ? 'Run out' : event.street}: ${event.cards.map(cardText).join(' ')}`;
+    case 'claim':
+      return `${name(event.player)} lays ${event.count} claiming ${event.count > 1 ? 'they are' : 'it is'} the table card`
+        + (event.cards ? ` (${event.cards.map(cardText).join(' ')})` : '');
+    case 'challenge':
+      return `${name(event.player)} calls ${name(event.claimant)} a liar: ${event.cards.map(cardText).join(' ')} • `
+        + (event.truthful ? 'the claim was true' : 'caught lying');
+    case 'showdown': {
+      const tied = event.tied || [];
+      const outright = event.winners.filter(role => !tied.includes(role));
+      const parts = [
+        outright.length > 0 && `${outright.map(name).join(' & ')} ${outright.length > 1 ? 'win' : 'wins'}`,
+        tied.length > 0 && `${tied.map(name).join(' & ')} tie`,
+        event.losers.length > 0 ? `${event.losers.map(name).join(', ')} must shoot` : 'nobody shoots'
+      ];
+      return `Showdown: ${parts.filter(Boolean).join(', ')}`;
+    }
+    case 'shoot':
+      return `${name(event.player)} pulls the trigger (${(event.probability * 100).toFixed(1)}%) — ${event.survived ? 'survived' : 'died'}`;
+    default:
+      return event.type;
+  }
+}
+
+function HandReplay({ roomCode, sessionToken, onClose }) {
+  const [hands, setHands] = useState([]);
+  const [hand, setHand] = useState(null);
+  const [step, setStep] = useState(0);
+  const [error, setError] = useState('');
+
+  // Load the hand list for the room
+  useEffect(() => {
+    fetch(`${API_URL}/hands?room=${encodeURIComponent(roomCode)}`)
+      .then(res => res.json())
+      .then(setHands)
+      .catch(() => setError('Could not load hand history'));
+  }, [roomCode]);
+
+  const openHand = (id) => {
+    const query = sessionToken ? `?session=${encodeURIComponent(sessionToken)}` : '';
+    fetch(`${API_URL}/hands/${id}${query}`)
+      .then(res => (res.ok ? res.json() : Promise.reject()))
+      .then((history) => {
+        setHand(history);
+        setStep(0);
+      })
+      .catch(() => setError('Could not load hand'));
+  };
+
+  const renderList = () => (
+    <>
+      {hands.length === 0 && <p>No finished hands yet</p>}
+      <div className="room-list">
+        {hands.map((h) => (
+          <div key={h.id} className="room-list-item" onClick={() => openHand(h.id)}>
+            <span className="room-list-code">#{h.handNumber}</span>
+            <span className="room-list-name">{Object.values(h.players).filter(Boolean).join(' vs ')}</span>
+            <span className="room-list-preset">{h.outcome}</span>
+            <span className="room-list-players">{new Date(h.endedAt).toLocaleTimeString()}</span>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+
+  const renderReplay = () => {
+    const event = hand.events[step];
+    const { state } = event;
+    const showdown = hand.events.slice(0, step + 1).find(e => e.type === 'showdown');
+    const dealtRoles = Object.keys(state.hands);
+    const bottomRole = dealtRoles.includes(hand.viewerRole) ? hand.viewerRole : dealtRoles[0];
+    const topRoles = dealtRoles.filter(role => role !== bottomRole);
+
+    const panel = (role, position) => (
+      <PlayerPanel
+        key={role}
+        player={{
+          nickname: hand.seats[role].nickname,
+          bullets: state.bullets[role],
+          committed: state.committed[role],
+          folded: state.folded?.includes(role)
+        }}
+        isMe={role === hand.viewerRole}
+        isCurrentTurn={BETTING_PHASES.includes(state.phase) && state.activePlayer === role}
+        hand={state.hands[role]}
+        handStrength={showdown?.handResult?.[role]?.description}
+        startingBullets={hand.rules.startingBullets}
+        position={position}
+        compact={dealtRoles.length > 2}
+        isDealer={state.dealer === role}
+      />
+    );
+
+    const meter = (role, position) => (
+      <BulletMeter
+        bullets={state.bullets[role]}
+        committed={state.committed[role]}
+        nickname={hand.seats[role].nickname}
+        chambers={hand.rules.chambers}
+        position={position}
+      />
+    );
+
+    return (
+      <div className="replay-board">
+        <div className="seats-row">
+          {topRoles.map(role => panel(role, 'top'))}
+        </div>
+        <Table communityCards={state.communityCards} pot={state.pot} phase={state.phase} />
+        {panel(bottomRole, 'bottom')}
+
+        <div className="bullet-meters">
+          {topRoles.length === 1 && meter(topRoles[0], 'top')}
+          {meter(bottomRole, 'bottom')}
+        </div>
+
+        <div className="replay-event">{describeEvent(event, hand.seats)}</div>
+
+        <div className="replay-controls">
+          <button className="room-badge-button" onClick={() => setHand(null)}>☰ Hands</button>
+          <button className="room-badge-button" onClick={() => setStep(step - 1)} disabled={step === 0}>⏮ Prev</button>
+          <span>{step + 1} / {hand.events.length}</span>
+          <button className="room-badge-button" onClick={() => setStep(step + 1)} disabled={step === hand.events.length - 1}>Next ⏭</button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="switch-overlay">
+      <div className="switch-modal replay-modal">
+        <h2>{hand ? `HAND #${hand.handNumber}` : 'HAND HISTORY'}</h2>
+        {error && <p>{error}</p>}
+        {hand ? renderReplay() : renderList()}
+        <div className="modal-actions">
+          <button className="action-btn cancel-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HandReplay;
@@ -1,18 +1,62 @@
 /**
  * Join Screen Component
- * Initial screen where user enters nickname
+ * Initial screen where user enters nickname and picks a room
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { NICKNAME_MAX_LENGTH, ROOM_NAME_MAX_LENGTH, validateNickname } from 'liarbar-protocol';
+import { useSocket } from '../context/SocketContext';
 
-function JoinScreen({ onJoin }) {
+function JoinScreen({ onJoin, onShowLeaderboard }) {
+  const { socket, connected } = useSocket();
   const [nickname, setNickname] = useState('');
+  const [nicknameError, setNicknameError] = useState('');
+  const [roomCode, setRoomCode] = useState(() => {
+    // Shareable link: ?room=CODE
+    const urlParams = new URLSearchParams(window.location.search);
+    return (urlParams.get('room') || '').toUpperCase();
+  });
+  const [roomName, setRoomName] = useState('');
+  const [rooms, setRooms] = useState([]);
+  const [presets, setPresets] = useState([]);
+  const [preset, setPreset] = useState('classic');
+  const [matchMode, setMatchMode] = useState(false);
+  const [bestOfSurvivals, setBestOfSurvivals] = useState(0);
+  const [maxPlayers, setMaxPlayers] = useState(2);
+  const [blinds, setBlinds] = useState(false);
+  const [tiePolicy, setTiePolicy] = useState('none');
+  const [gameMode, setGameMode] = useState('holdem');
+  const [deathModel, setDeathModel] = useState('');
+
+  // Subscribe to the lobby room list
+  useEffect(() => {
+    if (!socket || !connected) return;
+
+    const handleRoomList = (list) => setRooms(list);
+    const handlePresets = (list) => setPresets(list);
+    socket.on('room_list', handleRoomList);
+    socket.on('rule_presets', handlePresets);
+    socket.emit('list_rooms');
+
+    return () => {
+      socket.off('room_list', handleRoomList);
+      socket.off('rule_presets', handlePresets);
+    };
+  }, [socket, connected]);
+
+  // Same nickname rules as the server, checked before joining
+  const join = (options) => {
+    const result = validateNickname(nickname);
+    if (!result.success) {
+      setNicknameError(result.message);
+      return;
+    }
+    onJoin(result.nickname, options);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (nickname.trim()) {
-      onJoin(nickname.trim());
-    }
+    join(roomCode.trim() ? { roomCode: roomCode.trim() } : {});
   };
 
   return (
@@ -20,25 +64,152 @@ function JoinScreen({ onJoin }) {
       <div className="join-container">
         <h1 className="game-title">LIAR'S BAR</h1>
         <p className="game-subtitle">Poker • Roulette • Death</p>
-        
+
         <form onSubmit={handleSubmit} className="join-form">
           <input
             type="text"
             placeholder="Enter your nickname"
             value={nickname}
-            onChange={(e) => setNickname(e.target.value)}
-            maxLength={20}
+            onChange={(e) => {
+              setNickname(e.target.value);
+              setNicknameError('');
+            }}
+            maxLength={NICKNAME_MAX_LENGTH}
             className="nickname-input"
             autoFocus
           />
+          {nicknameError && <p className="nickname-error">{nicknameError}</p>}
+          <input
+            type="text"
+            placeholder="Room code (empty = quick play)"
+            value={roomCode}
+            onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+            maxLength={5}
+            className="nickname-input room-code-input"
+          />
           <button type="submit" className="join-button">
-            ENTER GAME
+            {roomCode.trim() ? 'JOIN ROOM' : 'QUICK PLAY'}
+          </button>
+          <button type="button" className="join-button" onClick={() => join({ findMatch: true })}>
+            FIND RANKED MATCH
           </button>
         </form>
 
+        <div className="create-room">
+          <input
+            type="text"
+            placeholder="New room name (optional)"
+            value={roomName}
+            onChange={(e) => setRoomName(e.target.value)}
+            maxLength={ROOM_NAME_MAX_LENGTH}
+            className="nickname-input"
+          />
+          <select
+            value={gameMode}
+            onChange={(e) => setGameMode(e.target.value)}
+            className="nickname-input preset-select"
+          >
+            <option value="holdem">Texas Hold'em</option>
+            <option value="omaha">Pot-limit Omaha (4 hole cards, use exactly 2)</option>
+            <option value="shortDeck">Short Deck (36 cards, flush beats full house)</option>
+            <option value="liarsDeck">Liar's Deck (call the bluff, loser shoots)</option>
+          </select>
+          {presets.length > 0 && (
+            <select
+              value={preset}
+              onChange={(e) => setPreset(e.target.value)}
+              className="nickname-input preset-select"
+            >
+              {presets.map((p) => (
+                <option key={p.key} value={p.key}>
+                  {p.name} — {p.description}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            value={deathModel}
+            onChange={(e) => setDeathModel(e.target.value)}
+            className="nickname-input preset-select"
+          >
+            <option value="">Death odds: as in the preset</option>
+            <option value="formula">Death odds: formula, every pull independent</option>
+            <option value="revolver">Death odds: real revolver, the cylinder turns</option>
+          </select>
+          <select
+            value={maxPlayers}
+            onChange={(e) => setMaxPlayers(Number(e.target.value))}
+            className="nickname-input preset-select"
+          >
+            {[2, 3, 4, 5, 6].map(seats => (
+              <option key={seats} value={seats}>{seats === 2 ? 'Heads-up (2 seats)' : `${seats} seats`}</option>
+            ))}
+          </select>
+          {gameMode !== 'liarsDeck' && (
+          <div className="match-options">
+            <label>
+              <input type="checkbox" checked={blinds} onChange={(e) => setBlinds(e.target.checked)} />
+              Small/big blinds instead of antes
+            </label>
+            <select value={tiePolicy} onChange={(e) => setTiePolicy(e.target.value)}>
+              <option value="none">Tie: nobody shoots</option>
+              <option value="halfOdds">Tie: both shoot at half odds</option>
+              <option value="fullOdds">Tie: both shoot at full odds</option>
+              <option value="replay">Tie: replay the hand</option>
+            </select>
+          </div>
+          )}
+          <div className="match-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={matchMode || gameMode === 'liarsDeck'}
+                disabled={gameMode === 'liarsDeck'}
+                onChange={(e) => setMatchMode(e.target.checked)}
+              />
+              Match mode (bullets carry over)
+            </label>
+            {(matchMode || gameMode === 'liarsDeck') && (
+              <select value={bestOfSurvivals} onChange={(e) => setBestOfSurvivals(Number(e.target.value))}>
+                <option value={0}>Until death</option>
+                <option value={3}>Best of 3 survivals</option>
+                <option value={5}>Best of 5 survivals</option>
+                <option value={7}>Best of 7 survivals</option>
+              </select>
+            )}
+          </div>
+          <button
+            type="button"
+            className="join-button"
+            onClick={() => join({ createRoom: true, roomName: roomName.trim(), preset, maxPlayers, blinds, tiePolicy, matchMode, bestOfSurvivals, gameMode, deathModel: deathModel || undefined })}
+          >
+            CREATE ROOM
+          </button>
+        </div>
+
+        {rooms.length > 0 && (
+          <div className="room-list">
+            {rooms.map((room) => (
+              <div key={room.code} className="room-list-item" onClick={() => setRoomCode(room.code)}>
+                <span className="room-list-code">{room.code}</span>
+                <span className="room-list-name">{room.name}</span>
+                <span className="room-list-preset">{presets.find(p => p.key === room.preset)?.name || room.preset}</span>
+                <span className="room-list-players">
+                  {room.seated}/{room.maxPlayers}
+                  {room.viewers > 0 && ` • 👁️ ${room.viewers}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button type="button" className="join-button leaderboard-button" onClick={onShowLeaderboard}>
+          🏆 LEADERBOARD
+        </button>
+
         <div className="rules-brief">
           <p>🎲 1v1 Texas Hold'em with bullets</p>
-          <p>💀 Loser shoots • 8 chambers • Death probability = bullets bet / 8</p>
+          <p>💀 Loser shoots • Classic: 8 chambers • Death probability = bullets bet / 8</p>
           <p>🔫 Survive or die</p>
         </div>
 
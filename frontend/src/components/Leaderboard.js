@@ -0,0 +1,92 @@
+/**
+ * Leaderboard Component
+ * Top player profiles from the stats database, sortable by stat
+ */
+
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../context/SocketContext';
+
+const SORTS = [
+  { key: 'rating', label: 'Rating' },
+  { key: 'hands_won', label: 'Hands won' },
+  { key: 'win_rate', label: 'Win rate' },
+  { key: 'survivals', label: 'Survivals' },
+  { key: 'survival_rate', label: 'Survival rate' },
+  { key: 'biggest_all_in_survived', label: 'Biggest all-in survived' },
+  { key: 'hands_played', label: 'Hands played' },
+  { key: 'deaths', label: 'Deaths' }
+];
+
+function Leaderboard({ profileId, onBack }) {
+  const [sort, setSort] = useState('rating');
+  const [profiles, setProfiles] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    fetch(`${API_URL}/leaderboard?sort=${sort}&limit=50`)
+      .then(res => (res.ok ? res.json() : Promise.reject()))
+      .then(setProfiles)
+      .catch(() => setError('Could not load the leaderboard'));
+  }, [sort]);
+
+  return (
+    <div className="join-screen">
+      <div className="join-container leaderboard">
+        <h1 className="game-title">LEADERBOARD</h1>
+
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className="nickname-input preset-select">
+          {SORTS.map(({ key, label }) => (
+            <option key={key} value={key}>Sort by: {label}</option>
+          ))}
+        </select>
+
+        {error && <p>{error}</p>}
+        {profiles && profiles.length === 0 && <p>No hands played yet</p>}
+
+        {profiles && profiles.length > 0 && (
+          <table className="leaderboard-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Player</th>
+                <th title="Ranked rating (ranked matches played)">Rating</th>
+                <th title="Hands played">Hands</th>
+                <th title="Hands won">Won</th>
+                <th title="Shots survived / taken">Shots</th>
+                <th title="Deaths">💀</th>
+                <th title="Biggest all-in survived (bullets)">All-in</th>
+                <th title="Voluntarily put bullets in preflop">VPIP</th>
+                <th title="Raised preflop">PFR</th>
+                <th title="Raises and all-ins per call">AF</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map((profile, index) => (
+                <tr key={profile.id} className={profile.id === profileId ? 'leaderboard-me' : ''}>
+                  <td>{index + 1}</td>
+                  <td>{profile.nickname}</td>
+                  <td>{profile.rating} ({profile.ratedMatches})</td>
+                  <td>{profile.stats.hands_played}</td>
+                  <td>{profile.stats.hands_won} ({profile.derived.winRate}%)</td>
+                  <td>{profile.stats.survivals}/{profile.stats.times_shot}</td>
+                  <td>{profile.stats.deaths}</td>
+                  <td>{profile.stats.biggest_all_in_survived}</td>
+                  <td>{profile.derived.vpip}%</td>
+                  <td>{profile.derived.pfr}%</td>
+                  <td>{profile.derived.aggression}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <button type="button" className="join-button" onClick={onBack}>
+          BACK
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Leaderboard;
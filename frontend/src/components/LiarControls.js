@@ -0,0 +1,64 @@
+/**
+ * Liar's Deck Controls Component
+ * Pick 1-3 cards to lay face down as the table card, or call the last claim a lie
+ */
+
+import React, { useState, useEffect } from 'react';
+import Card from './Card';
+
+// Most cards a claim may lay (matches the server)
+const MAX_CLAIM_CARDS = 3;
+
+function LiarControls({ hand, tableCard, availableActions, onAction }) {
+  const [selected, setSelected] = useState([]);
+  const handKey = (hand || []).map(card => card.id).join(',');
+
+  // A new hand (or one less after a claim) starts with nothing picked
+  useEffect(() => {
+    setSelected([]);
+  }, [handKey]);
+
+  if (!availableActions || availableActions.length === 0) {
+    return null;
+  }
+
+  const toggleCard = (index) => {
+    setSelected(current => (current.includes(index)
+      ? current.filter(i => i !== index)
+      : current.length < MAX_CLAIM_CARDS ? [...current, index] : current));
+  };
+
+  return (
+    <div className="action-buttons liar-controls">
+      {availableActions.includes('PLAY') && (
+        <div className="liar-hand">
+          {(hand || []).map((card, i) => (
+            <div
+              key={card.id}
+              className={`card-wrapper clickable ${selected.includes(i) ? 'selected' : ''}`}
+              onClick={() => toggleCard(i)}
+            >
+              <Card card={card} />
+            </div>
+          ))}
+        </div>
+      )}
+      {availableActions.includes('PLAY') && (
+        <button
+          className="action-button action-play"
+          disabled={selected.length === 0}
+          onClick={() => onAction('PLAY', selected)}
+        >
+          🂠 Lay {selected.length || ''} as {tableCard}
+        </button>
+      )}
+      {availableActions.includes('LIAR') && (
+        <button className="action-button action-liar" onClick={() => onAction('LIAR')}>
+          🤥 LIAR!
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LiarControls;
@@ -0,0 +1,51 @@
+/**
+ * Liar's Deck Table Component
+ * Shows the round's table card, the face-down pile, the last claim and the
+ * claim that was called once it is turned over
+ */
+
+import React from 'react';
+import Card from './Card';
+
+function LiarTable({ liar, seatName }) {
+  const { tableCard, pile, lastClaim, reveal } = liar;
+
+  return (
+    <div className="table liar-table">
+      <div className="liar-table-card">
+        Table card: <strong>{tableCard}</strong>
+        <span className="liar-table-hint">(jokers count as {tableCard})</span>
+      </div>
+
+      {reveal ? (
+        <div className={`liar-reveal ${reveal.truthful ? 'liar-reveal-truth' : 'liar-reveal-lie'}`}>
+          <div className="card-row">
+            {reveal.cards.map(card => (
+              <Card key={card.id} card={card} className="flip-in" />
+            ))}
+          </div>
+          <div>
+            {seatName(reveal.accuser)} called {seatName(reveal.player)} a liar:
+            {reveal.truthful ? ' the claim was true!' : ' caught lying!'}
+          </div>
+        </div>
+      ) : (
+        <div className="liar-pile">
+          <div className="card-row">
+            {Array.from({ length: Math.min(pile, 6) }, (_, i) => (
+              <Card key={i} faceDown />
+            ))}
+            {pile === 0 && <div className="no-cards">No cards laid yet</div>}
+          </div>
+          {lastClaim && (
+            <div className="liar-last-claim">
+              {seatName(lastClaim.player)} claims {lastClaim.count} × {tableCard}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LiarTable;
@@ -0,0 +1,85 @@
+/**
+ * Match Summary Component
+ * End-of-match screen: result, score and every shot taken
+ */
+
+import React from 'react';
+
+const REASONS = {
+  death: 'Death',
+  best_of: 'Best of',
+  out_of_bullets: 'Out of bullets',
+  forfeit: 'Opponent left'
+};
+
+function MatchSummary({ match, players, canRestart, onNewMatch }) {
+  const name = (role) => players[role]?.nickname || role;
+  const roles = Object.keys(match.handsWon).filter(role => players[role]);
+
+  return (
+    <div className="switch-overlay">
+      <div className="switch-modal match-summary">
+        <h2>MATCH OVER</h2>
+
+        <div className="match-summary-winner">
+          {match.winner ? `🏆 ${name(match.winner)} wins` : 'Draw'}
+        </div>
+        <div className="match-summary-reason">
+          {REASONS[match.reason] || match.reason}
+          {match.reason === 'best_of' && ` ${match.bestOfSurvivals} survivals`}
+        </div>
+
+        <table className="match-summary-table">
+          <thead>
+            <tr>
+              <th></th>
+              {roles.map(role => <th key={role}>{name(role)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Hands won</td>
+              {roles.map(role => <td key={role}>{match.handsWon[role]}</td>)}
+            </tr>
+            <tr>
+              <td>Shots survived</td>
+              {roles.map(role => <td key={role}>{match.survivals[role]}</td>)}
+            </tr>
+            <tr>
+              <td>Bullets left</td>
+              {roles.map(role => <td key={role}>{players[role].eliminated ? '💀' : players[role].bullets}</td>)}
+            </tr>
+            {match.ratings && (
+              <tr>
+                <td>Rating</td>
+                {roles.map((role) => (
+                  <td key={role}>
+                    {match.ratings[role] ? `${match.ratings[role].before} → ${match.ratings[role].after}` : '—'}
+                  </td>
+                ))}
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="match-summary-hands">
+          {match.hands.map((hand) => (
+            <div key={hand.handNumber} className="match-summary-hand">
+              <span>#{hand.handNumber}</span>
+              <span>{name(hand.loser)} shot at {(hand.probability * 100).toFixed(1)}%</span>
+              <span>{hand.survived ? 'survived' : '💀 died'}</span>
+            </div>
+          ))}
+        </div>
+
+        {canRestart && (
+          <div className="modal-actions">
+            <button className="reset-game-button" onClick={onNewMatch}>🔄 NEW MATCH</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MatchSummary;
@@ -0,0 +1,44 @@
+/**
+ * Matchmaking Queue Component
+ * Waiting screen while the server looks for a ranked opponent
+ */
+
+import React from 'react';
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function MatchmakingQueue({ status, onCancel }) {
+  return (
+    <div className="game-screen">
+      <div className="matchmaking-queue">
+        <h2>FINDING A MATCH</h2>
+
+        {status ? (
+          <>
+            <div className="matchmaking-rating">Your rating: {status.rating}</div>
+            <div className="matchmaking-stats">
+              <span>Waiting {formatDuration(status.waitedMs)}</span>
+              <span>
+                Estimated wait {status.estimatedWaitMs === 0 ? 'any moment' : `~${formatDuration(status.estimatedWaitMs)}`}
+              </span>
+              <span>Opponents within ±{status.window}</span>
+              <span>{status.queueSize} in queue</span>
+            </div>
+          </>
+        ) : (
+          <div className="matchmaking-rating">Joining the queue...</div>
+        )}
+
+        <button className="action-btn cancel-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default MatchmakingQueue;
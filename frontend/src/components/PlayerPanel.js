@@ -5,11 +5,14 @@
 
 import React from 'react';
 import Card from './Card';
+import TurnTimer from './TurnTimer';
+
+const PlayerPanel = ({ player, isMe, isCurrentTurn, hand, handStrength, equity, turnClock, startingBullets = 8, position, compact = false, sittingOut = false, isDealer = false, blind = null }) => {
+    const layoutClass = `${position ? `seat-${position}` : ''} ${compact ? 'compact' : ''}`;
 
-const PlayerPanel = ({ player, isMe, isCurrentTurn, hand, handStrength }) => {
     if (!player) {
         return (
-            <div className={`player-panel empty`}>
+            <div className={`player-panel empty ${layoutClass}`}>
                 <div className="waiting-text">Waiting for player...</div>
             </div>
         );
@@ -18,12 +21,24 @@ const PlayerPanel = ({ player, isMe, isCurrentTurn, hand, handStrength }) => {
     // Use the hand prop if provided, otherwise fallback to player.hand (if it exists)
     const displayHand = hand || player.hand || [];
 
+    const isReconnecting = player.connected === false;
+
     return (
-        <div className={`player-panel ${isCurrentTurn ? 'active' : ''}`}>
+        <div className={`player-panel ${layoutClass} ${isCurrentTurn ? 'active' : ''} ${isReconnecting ? 'reconnecting' : ''} ${player.folded ? 'folded' : ''} ${player.eliminated ? 'eliminated' : ''}`}>
             <div className="player-info">
-                <div className="player-nickname">{player.nickname}</div>
+                <div className="player-nickname">
+                    {player.nickname}
+                    {isDealer && <span className="dealer-chip" title="Dealer button">D</span>}
+                    {blind && <span className="blind-chip">{blind}</span>}
+                </div>
+                {isReconnecting && (
+                    <div className="player-reconnecting">⏳ Reconnecting…</div>
+                )}
+                {player.eliminated && <div className="player-status">💀 Eliminated</div>}
+                {player.folded && <div className="player-status">Folded</div>}
+                {sittingOut && !player.eliminated && <div className="player-status">Sitting out</div>}
                 <div className="player-bullets">
-                    Remaining bullets: {player.bullets} / 8
+                    Remaining bullets: {player.bullets} / {startingBullets}
                 </div>
                 <div className="player-committed">
                     Bet: {player.committed}
@@ -39,12 +54,21 @@ const PlayerPanel = ({ player, isMe, isCurrentTurn, hand, handStrength }) => {
             </div>
 
             {/* Hiển thị độ mạnh bài (nằm trong DOM nhưng sẽ dùng CSS đưa ra ngoài) */}
-            {handStrength && (
+            {(handStrength || equity) && (
                 <div className="hand-strength-badge">
                     {handStrength}
+                    {equity && (
+                        <div className="equity-line">
+                            Win {equity.win.toFixed(1)}% • Tie {equity.tie.toFixed(1)}%
+                        </div>
+                    )}
                 </div>
             )}
 
+            {turnClock && (
+                <TurnTimer remainingMs={turnClock.remainingMs} totalMs={turnClock.totalMs} />
+            )}
+
             {isCurrentTurn && <div className="active-indicator">YOUR TURN</div>}
         </div>
     );
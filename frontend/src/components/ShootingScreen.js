@@ -5,7 +5,7 @@
 
 import React from 'react';
 
-function ShootingScreen({ result, loser }) {
+function ShootingScreen({ result, loser, nextShooter }) {
   if (!result) return null;
 
   return (
@@ -30,9 +30,15 @@ function ShootingScreen({ result, loser }) {
         <div className="probability-display">
           <div>Death Probability: {(result.probability * 100).toFixed(1)}%</div>
           <div>Roll: {(result.roll * 100).toFixed(1)}%</div>
+          {result.chamber !== null && result.chamber !== undefined && <div>Chamber {result.chamber + 1} of the cylinder</div>}
+          {result.fairness && (
+            <div className="fairness-note">Hand #{result.fairness.nonce} • seed revealed, verify it under Fairness</div>
+          )}
         </div>
 
         <div className="result-message">{result.message}</div>
+        {nextShooter && <div className="result-message">{nextShooter} shoots next...</div>}
+        {result.nextHand && <div className="result-message">Next hand coming...</div>}
       </div>
     </div>
   );
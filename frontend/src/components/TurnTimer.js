@@ -0,0 +1,47 @@
+/**
+ * Turn Timer Component
+ * Countdown ring for the player on the clock
+ */
+
+import React, { useState, useEffect } from 'react';
+
+const RADIUS = 18;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+function TurnTimer({ remainingMs, totalMs }) {
+  const [left, setLeft] = useState(remainingMs);
+
+  // Count down locally from the server's remaining time
+  useEffect(() => {
+    const deadline = Date.now() + remainingMs;
+    setLeft(remainingMs);
+
+    const interval = setInterval(() => {
+      setLeft(Math.max(0, deadline - Date.now()));
+    }, 250);
+
+    return () => clearInterval(interval);
+  }, [remainingMs]);
+
+  const fraction = totalMs > 0 ? left / totalMs : 0;
+  const urgent = left <= 5000;
+
+  return (
+    <div className={`turn-timer ${urgent ? 'urgent' : ''}`}>
+      <svg width="44" height="44" viewBox="0 0 44 44">
+        <circle className="turn-timer-track" cx="22" cy="22" r={RADIUS} />
+        <circle
+          className="turn-timer-ring"
+          cx="22"
+          cy="22"
+          r={RADIUS}
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - fraction)}
+        />
+      </svg>
+      <span className="turn-timer-seconds">{Math.ceil(left / 1000)}</span>
+    </div>
+  );
+}
+
+export default TurnTimer;
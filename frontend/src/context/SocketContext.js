@@ -5,21 +5,30 @@
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
+import { PROTOCOL_VERSION, ERROR_CODES, isSupportedVersion } from 'liarbar-protocol';
 
 const SocketContext = createContext(null);
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'ws://localhost:3001';
 
+// REST endpoints live on the same server as the socket
+export const API_URL = process.env.REACT_APP_API_URL || SOCKET_URL.replace(/^ws/, 'http');
+
+// Shown when client and server speak different protocol versions
+const PROTOCOL_MISMATCH = 'The game was updated, reload the page to keep playing';
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [protocolError, setProtocolError] = useState(null);
 
   useEffect(() => {
     const newSocket = io(SOCKET_URL, {
       transports: ['websocket'],
       reconnection: true,
       reconnectionDelay: 1000,
-      reconnectionAttempts: 5
+      reconnectionAttempts: 5,
+      auth: { protocolVersion: PROTOCOL_VERSION }
     });
 
     newSocket.on('connect', () => {
@@ -34,6 +43,18 @@ export const SocketProvider = ({ children }) => {
 
     newSocket.on('connect_error', (error) => {
       console.error('Connection error:', error);
+      // The server speaks another protocol version: retrying won't help, a reload will
+      if (error.data?.code === ERROR_CODES.UNSUPPORTED_VERSION) {
+        setProtocolError(PROTOCOL_MISMATCH);
+        newSocket.close();
+      }
+    });
+
+    newSocket.on('welcome', ({ protocolVersion }) => {
+      if (!isSupportedVersion(protocolVersion)) {
+        setProtocolError(PROTOCOL_MISMATCH);
+        newSocket.close();
+      }
     });
 
     setSocket(newSocket);
@@ -44,7 +65,7 @@ export const SocketProvider = ({ children }) => {
   }, []);
 
   return (
-    <SocketContext.Provider value={{ socket, connected }}>
+    <SocketContext.Provider value={{ socket, connected, protocolError }}>
       {children}
     </SocketContext.Provider>
   );
@@ -0,0 +1,292 @@
+/**
+ * Protocol Module
+ * Every Socket.io event between the LiarBar server and client, with the
+ * schema of its payload, the protocol version and the error codes.
+ * Shared by the backend and the frontend (CommonJS so both can load it).
+ */
+
+// Bumped on any change an older client can't handle (renamed events, new required fields)
+const PROTOCOL_VERSION = 1;
+
+// Codes sent with every `error` event ({ code, message })
+const ERROR_CODES = {
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // Client speaks another protocol version
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',             // Event not in CLIENT_EVENTS
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',         // Payload doesn't match the event's schema
+  INVALID_NICKNAME: 'INVALID_NICKNAME',
+  NICKNAME_TAKEN: 'NICKNAME_TAKEN',           // Someone at the table already uses it
+  RATE_LIMITED: 'RATE_LIMITED',               // Too many events of a kind, the event was dropped
+  NOT_IN_ROOM: 'NOT_IN_ROOM',                 // Event needs a room and the socket has none
+  ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  KICKED: 'KICKED',                           // Removed from the room by its host
+  NOT_HOST: 'NOT_HOST',
+  FORBIDDEN: 'FORBIDDEN',                     // Not allowed for the socket's seat or role
+  INVALID_TARGET: 'INVALID_TARGET',           // No such seat, bot or user to act on
+  WRONG_PHASE: 'WRONG_PHASE',                 // Not possible at this point of the game
+  NOT_ENOUGH_PLAYERS: 'NOT_ENOUGH_PLAYERS',
+  DISABLED: 'DISABLED',                       // Turned off by the table's rules
+  REJECTED: 'REJECTED'                        // Refused by the game or chat rules (see message)
+};
+
+// Nicknames: letters (accents included) and digits of any script, spaces and a little punctuation
+const NICKNAME_MAX_LENGTH = 20;
+const NICKNAME_PATTERN = /^[\p{L}\p{M}\p{N} _.'-]+$/u;
+
+// Longest clocks and spectator delay a room can ask for (setTimeout can't wait past ~24.8 days)
+const ROOM_TIMER_LIMITS = {
+  turnTimeSeconds: 600,
+  timeBankSeconds: 3600,
+  spectatorDelaySeconds: 600
+};
+
+// Room names are stored and listed as sent (trimmed), so this is their only limit
+const ROOM_NAME_MAX_LENGTH = 30;
+
+// Schemas are a JSON Schema subset: type, enum, properties, required, items,
+// minLength/maxLength, minimum/maximum and minItems/maxItems.
+// Every string is capped so oversized payloads never reach a handler, a log or a broadcast
+// Raw nickname: validateNickname trims it and applies NICKNAME_MAX_LENGTH
+const nickname = { type: 'string', minLength: 1, maxLength: 64 };
+// Option, action and emote names
+const name = { type: 'string', maxLength: 32 };
+// Room codes, tokens and socket ids
+const token = { type: 'string', maxLength: 64 };
+const optionalToken = { type: ['string', 'null'], maxLength: 64 };
+const integer = { type: 'integer' };
+// Seat roles: player1 to player6 (tables seat at most 6)
+const seatRole = { type: 'string', enum: ['player1', 'player2', 'player3', 'player4', 'player5', 'player6'] };
+const enabled = { type: 'object', properties: { enabled: { type: 'boolean' } }, required: ['enabled'] };
+
+/**
+ * Object schema
+ * @param {Object} properties - Property name -> schema
+ * @param {Array} required - Required property names
+ * @returns {Object} Schema
+ */
+function object(properties = {}, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// Client -> server events: payload schema (null = no payload)
+const CLIENT_EVENTS = {
+  // Lobby and rooms
+  list_rooms: null,
+  create_room: object({
+    nickname,
+    roomName: { type: 'string', maxLength: ROOM_NAME_MAX_LENGTH },
+    preset: name,
+    turnTimeSeconds: { type: 'number', minimum: 0, maximum: ROOM_TIMER_LIMITS.turnTimeSeconds },
+    timeBankSeconds: { type: 'number', minimum: 0, maximum: ROOM_TIMER_LIMITS.timeBankSeconds },
+    spectatorDelaySeconds: { type: 'number', minimum: 0, maximum: ROOM_TIMER_LIMITS.spectatorDelaySeconds },
+    matchMode: { type: 'boolean' },
+    bestOfSurvivals: { type: 'integer', minimum: 0 },
+    maxPlayers: integer,
+    blinds: { type: 'boolean' },
+    tiePolicy: name,
+    gameMode: name,
+    deathModel: name,
+    profileToken: optionalToken
+  }, ['nickname']),
+  join_room: object({ nickname, roomCode: token, profileToken: optionalToken }, ['nickname', 'roomCode']),
+  join_game: object({ nickname, profileToken: optionalToken }, ['nickname']),
+  find_match: object({ nickname, profileToken: optionalToken }, ['nickname']),
+  cancel_match: null,
+  rejoin_game: object({ sessionToken: token }, ['sessionToken']),
+  leave_room: null,
+  close_room: null,
+
+  // Seats and bots
+  add_bot: object({ strategy: name, thinkTimeMs: { type: 'number', minimum: 0 } }),
+  remove_bot: object({ role: seatRole }, ['role']),
+
+  // Playing
+  start_game: null,
+  reset_game: null,
+  player_action: object({
+    action: name,
+    amount: { type: ['number', 'null'] },
+    cards: { type: 'array', items: integer, maxItems: 10 }
+  }, ['action']),
+  shoot: null,
+  request_switch_options: null,
+  execute_switch: object({ cardIndex: integer, optionIndex: integer }, ['cardIndex', 'optionIndex']),
+  set_client_seed: object({ seed: { type: 'string', maxLength: 64 } }, ['seed']),
+
+  // Views
+  request_state: null,
+  watch_delayed: enabled,
+  toggle_equity: enabled,
+
+  // Chat
+  request_chat: null,
+  // Longer texts than chat keeps (200 characters) are cut by the server, not rejected
+  send_chat: object({ text: { type: 'string', maxLength: 1000 }, emote: name }),
+  chat_mute: object({ targetId: token, muted: { type: 'boolean' } }, ['targetId']),
+  chat_kick: object({ targetId: token }, ['targetId'])
+};
+
+const seatList = { type: 'object' }; // Role -> nickname (null for a free seat)
+
+// Server -> client events: payload schema (null = no payload)
+const SERVER_EVENTS = {
+  welcome: object({ protocolVersion: integer }, ['protocolVersion']),
+  error: object({ code: { type: 'string', enum: Object.values(ERROR_CODES) }, message: { type: 'string' } }, ['code', 'message']),
+
+  // Lobby and rooms
+  rule_presets: { type: 'array' },
+  room_list: { type: 'array' },
+  room_created: object({ roomCode: { type: 'string' }, roomName: { type: 'string' } }, ['roomCode']),
+  room_closed: object({ roomCode: { type: 'string' } }, ['roomCode']),
+  profile: object({ profileToken: { type: 'string' }, profileId: { type: 'string' }, nickname }, ['profileToken', 'profileId']),
+  queue_status: object({ rating: { type: 'number' }, waitedMs: { type: 'number' }, estimatedWaitMs: { type: 'number' } }),
+  queue_left: null,
+  match_found: object({ roomCode: { type: 'string' }, opponent: { type: 'object' } }, ['roomCode', 'opponent']),
+
+  // Seats and connections
+  session: object({ sessionToken: { type: 'string' }, roomCode: { type: 'string' }, role: { type: 'string' } }, ['sessionToken', 'roomCode', 'role']),
+  session_expired: null,
+  player_joined: object({ nickname: { type: 'string' }, role: { type: 'string' }, players: seatList }, ['role', 'players']),
+  player_left: object({ role: { type: 'string' }, players: seatList }, ['players']),
+  player_disconnected: object({ role: { type: 'string' }, nickname: { type: 'string' }, reconnectDeadline: { type: ['number', 'null'] } }, ['role']),
+  player_reconnected: object({ role: { type: 'string' }, nickname: { type: 'string' } }, ['role']),
+  kicked: object({ roomCode: { type: 'string' } }, ['roomCode']),
+
+  // Playing
+  game_state: object({ phase: { type: 'string' }, yourRole: { type: 'string' } }, ['phase']),
+  player_action_notify: object({ role: { type: 'string' }, action: { type: 'string' } }, ['role', 'action']),
+  shoot_result: object({ success: { type: 'boolean' }, message: { type: 'string' } }),
+  switch_options: { type: 'array' },
+  switch_success: null,
+  spectator_mode: object({ enabled: { type: 'boolean' }, delayMs: { type: 'number' } }, ['enabled']),
+
+  // Chat
+  chat_history: object({ messages: { type: 'array' }, emotes: { type: 'array' } }, ['messages']),
+  chat_message: object({ channel: { type: 'string' } })
+};
+
+/**
+ * JSON type of a value, telling integers apart
+ * @param {*} value - Value
+ * @returns {Array} Types the value satisfies
+ */
+function getTypes(value) {
+  if (value === null) return ['null'];
+  if (Array.isArray(value)) return ['array'];
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return [];
+    return Number.isInteger(value) ? ['integer', 'number'] : ['number'];
+  }
+  return [typeof value];
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema (see CLIENT_EVENTS)
+ * @param {*} value - Value
+ * @param {String} path - Where the value sits, for messages
+ * @returns {Array} Error messages (empty when the value is valid)
+ */
+function validate(schema, value, path = 'payload') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !getTypes(value).some(type => types.includes(type))) {
+    return [`${path} must be of type ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} takes at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+  if (getTypes(value).includes('object')) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check the payload of an incoming client event
+ * A missing payload counts as an empty object, so required fields are reported
+ * @param {String} event - Event name
+ * @param {*} payload - Payload as received
+ * @returns {Object} { success, payload, message, code }
+ */
+function validateClientEvent(event, payload) {
+  if (!Object.prototype.hasOwnProperty.call(CLIENT_EVENTS, event)) {
+    return { success: false, code: ERROR_CODES.UNKNOWN_EVENT, message: `Unknown event: ${event}` };
+  }
+
+  const schema = CLIENT_EVENTS[event];
+  if (!schema) {
+    return { success: true, payload: undefined };
+  }
+
+  const value = payload === undefined ? {} : payload;
+  const errors = validate(schema, value);
+  if (errors.length > 0) {
+    return { success: false, code: ERROR_CODES.INVALID_PAYLOAD, message: `Invalid ${event}: ${errors.join(', ')}` };
+  }
+  return { success: true, payload: value };
+}
+
+/**
+ * Check a nickname against the nickname rules
+ * Surrounding spaces are dropped and inner runs of spaces collapsed first
+ * @param {String} nickname - Nickname as typed
+ * @returns {Object} { success, nickname, message }
+ */
+function validateNickname(nickname) {
+  const cleaned = String(nickname).trim().replace(/\s+/g, ' ');
+  if (!cleaned) {
+    return { success: false, message: 'Nickname required' };
+  }
+  if (cleaned.length > NICKNAME_MAX_LENGTH) {
+    return { success: false, message: `Nickname can be at most ${NICKNAME_MAX_LENGTH} characters` };
+  }
+  if (!NICKNAME_PATTERN.test(cleaned)) {
+    return { success: false, message: "Nickname can only use letters, digits, spaces and _ . ' -" };
+  }
+  return { success: true, nickname: cleaned };
+}
+
+/**
+ * Check a client's protocol version can talk to this side
+ * @param {*} version - Version announced by the client
+ * @returns {Boolean}
+ */
+function isSupportedVersion(version) {
+  return version === PROTOCOL_VERSION;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  NICKNAME_MAX_LENGTH,
+  ROOM_NAME_MAX_LENGTH,
+  ROOM_TIMER_LIMITS,
+  validate,
+  validateClientEvent,
+  validateNickname,
+  isSupportedVersion
+};